@@ -1,118 +1,402 @@
-import { useState, useCallback, useRef, useEffect } from 'react'
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react'
 import ImageUploader from './components/ImageUploader'
 import CanvasView from './components/CanvasView'
 import GalleryView from './components/GalleryView'
 import ComposerView from './components/ComposerView'
-import { saveCrops, loadAllCrops, updateCrop, deleteCrop, uploadImage, getImage } from './utils/api'
+import ImageLibraryView from './components/ImageLibraryView'
+import ProjectSwitcher from './components/ProjectSwitcher'
+import {
+  CROP_LIST_FIELDS,
+  loadCropsPage,
+  loadCrops,
+  updateCrop,
+  deleteCrop,
+  uploadImage,
+  getImage,
+  getImageFileUrl,
+  setCurrentProject,
+  loadProjects,
+  createProject,
+  updateProject,
+  deleteProject,
+  moveToProject,
+  addCrops
+} from './utils/api'
+import { DEFAULT_PROJECT_ID } from './utils/projects'
+import { normalizeTags } from './utils/tags'
+
+// The open project is remembered across reloads
+const PROJECT_STORAGE_KEY = 'vistacrop.projectId'
+// Crops are loaded a page at a time, as the gallery scrolls
+const CROP_PAGE_SIZE = 100
+
+function readStoredProjectId() {
+  try {
+    return window.localStorage.getItem(PROJECT_STORAGE_KEY) || DEFAULT_PROJECT_ID
+  } catch {
+    return DEFAULT_PROJECT_ID
+  }
+}
+
+// New crop record for a region cut in the Canvas view
+function createCrop(cropData, imageId, id) {
+  return {
+    id,
+    imageId, // Tag with current image
+    imageData: cropData.imageData,
+    // Note: originalImage is not stored in the crop - it's fetched separately via imageId
+    x: cropData.x,
+    y: cropData.y,
+    width: cropData.width,
+    height: cropData.height,
+    originalImageWidth: cropData.originalImageWidth,
+    originalImageHeight: cropData.originalImageHeight,
+    rotation: 0,
+    tags: normalizeTags(cropData.tags),
+    notes: '',
+    sourceRotation: cropData.sourceRotation || 0,
+    filter: cropData.filter || 'none',
+    constraint: cropData.constraint || null
+  }
+}
+
+// Add the crops that are not loaded yet, keeping the loaded objects
+function mergeCrops(loaded, incoming) {
+  const known = new Set(loaded.map(crop => String(crop.id)))
+  const added = incoming.filter(crop => !known.has(String(crop.id)))
+  return added.length > 0 ? [...loaded, ...added] : loaded
+}
+
+function storeProjectId(projectId) {
+  try {
+    window.localStorage.setItem(PROJECT_STORAGE_KEY, projectId)
+  } catch {
+    // Private browsing: the project is just not remembered
+  }
+}
 
 function App() {
-  const [view, setView] = useState('canvas') // 'canvas', 'gallery', or 'composer'
+  const [view, setView] = useState('canvas') // 'canvas', 'library', 'gallery', or 'composer'
+  // Every request is scoped to this project; set before the first render so child effects use it too
+  const [projectId, setProjectId] = useState(() => {
+    const storedProjectId = readStoredProjectId()
+    setCurrentProject(storedProjectId)
+    return storedProjectId
+  })
+  const [projects, setProjects] = useState([])
   const [uploadedImage, setUploadedImage] = useState(null)
   const [imageId, setImageId] = useState(null)
   const [crops, setCrops] = useState([])
+  // The project's crop count, and where the next page of crops starts (null once all are loaded)
+  const [cropTotal, setCropTotal] = useState(0)
+  const [cropCursor, setCropCursor] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
+  // Crop to reopen in the Canvas view with its region selected
+  const [editCropId, setEditCropId] = useState(null)
+
+  // Crops cut from the open image, outlined in the Canvas view
+  const imageCrops = useMemo(
+    () => (imageId ? crops.filter(crop => String(crop.imageId) === String(imageId)) : []),
+    [crops, imageId]
+  )
 
   // Use ref to avoid stale closure issues
   const imageIdRef = useRef(null)
+  // Upload in flight for the current image; resolves to its server id
+  const pendingUploadRef = useRef(null)
+  // Bumped when the project changes, so pages requested for the old one are dropped
+  const cropLoadRef = useRef(0)
+  const isLoadingPageRef = useRef(false)
 
-  // Load all crops on app mount
+  // Load the project's first page of crops on mount and whenever the project changes
   useEffect(() => {
+    let cancelled = false
+    cropLoadRef.current += 1
+    isLoadingPageRef.current = false
+    imageIdRef.current = null
+    pendingUploadRef.current = null
+    setImageId(null)
+    setUploadedImage(null)
+    setCrops([])
+    setCropTotal(0)
+    setCropCursor(null)
+    setIsLoading(true)
+
     async function loadSavedCrops() {
       try {
-        const allCrops = await loadAllCrops()
-        if (allCrops.length > 0) {
-          setCrops(allCrops)
+        const page = await loadCropsPage({ limit: CROP_PAGE_SIZE, fields: CROP_LIST_FIELDS })
+        if (cancelled) return
+        setCropTotal(page.total)
+        setCropCursor(page.nextCursor)
+        if (page.crops.length > 0) {
+          setCrops(page.crops)
           // Get the imageId from the first crop
-          const firstCropImageId = allCrops[0].imageId
+          const firstCropImageId = page.crops[0].imageId
           if (firstCropImageId) {
             imageIdRef.current = firstCropImageId
             setImageId(firstCropImageId)
-            // Fetch the original image from the server
+            // Show the original image, served as a file by the server, with all of its crops outlined
             try {
-              const imageData = await getImage(firstCropImageId)
-              if (imageData && imageData.data) {
-                setUploadedImage(imageData.data)
+              const [image, firstImageCrops] = await Promise.all([getImage(firstCropImageId), loadCrops(firstCropImageId)])
+              if (!cancelled) {
+                if (image) setUploadedImage(image.url)
+                setCrops(prev => mergeCrops(prev, firstImageCrops))
               }
             } catch (imgError) {
               console.error('Failed to load image:', imgError)
             }
           }
-          console.log(`Loaded ${allCrops.length} crops from database`)
+          console.log(`Loaded ${page.crops.length} of ${page.total} crops from database`)
         }
       } catch (error) {
         console.error('Failed to load crops:', error)
       } finally {
-        setIsLoading(false)
+        if (!cancelled) setIsLoading(false)
       }
     }
     loadSavedCrops()
+    return () => { cancelled = true }
+  }, [projectId])
+
+  // Next page of crops, for the gallery as it scrolls
+  const loadMoreCrops = useCallback(async () => {
+    if (!cropCursor || isLoadingPageRef.current) return
+    const load = cropLoadRef.current
+    isLoadingPageRef.current = true
+    try {
+      const page = await loadCropsPage({ limit: CROP_PAGE_SIZE, cursor: cropCursor, fields: CROP_LIST_FIELDS })
+      if (load !== cropLoadRef.current) return
+      setCrops(prev => mergeCrops(prev, page.crops))
+      setCropTotal(page.total)
+      setCropCursor(page.nextCursor)
+    } catch (error) {
+      console.error('Failed to load crops:', error)
+    } finally {
+      if (load === cropLoadRef.current) isLoadingPageRef.current = false
+    }
+  }, [cropCursor])
+
+  // Canvases resolve their crops against the loaded ones, so the composer loads every page
+  useEffect(() => {
+    if (view === 'composer' && cropCursor) loadMoreCrops()
+  }, [view, cropCursor, loadMoreCrops])
+
+  // Crops found outside the loaded pages, e.g. by a search, join the list
+  const handleCropsFound = useCallback((found) => {
+    setCrops(prev => mergeCrops(prev, found))
   }, [])
 
-  const handleImageUpload = async (imageDataUrl) => {
-    // Generate a unique imageId for this upload session
-    const newImageId = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    imageIdRef.current = newImageId
-    setImageId(newImageId)
-    setUploadedImage(imageDataUrl)
-    setCrops([]) // Clear crops for new image
-    setView('canvas')
+  // Project list with counts, refreshed as crops are added or removed
+  const refreshProjects = useCallback(async () => {
+    try {
+      setProjects(await loadProjects())
+    } catch (error) {
+      console.error('Failed to load projects:', error)
+    }
+  }, [])
 
-    // Upload the image to the server immediately
+  useEffect(() => {
+    refreshProjects()
+  }, [refreshProjects, projectId, crops.length])
+
+  const handleSelectProject = useCallback((nextProjectId) => {
+    setCurrentProject(nextProjectId)
+    storeProjectId(nextProjectId)
+    setProjectId(nextProjectId)
+  }, [])
+
+  // A remembered project that has since been deleted falls back to the default one
+  useEffect(() => {
+    if (projects.length > 0 && !projects.some(project => project.id === projectId)) {
+      handleSelectProject(DEFAULT_PROJECT_ID)
+    }
+  }, [projects, projectId, handleSelectProject])
+
+  const handleCreateProject = async (name) => {
     try {
-      await uploadImage(newImageId, imageDataUrl)
-      console.log(`Uploaded image: ${newImageId}`)
+      const project = await createProject({ name })
+      await refreshProjects()
+      handleSelectProject(project.id)
     } catch (error) {
-      console.error('Failed to upload image:', error)
+      console.error('Failed to create project:', error)
     }
   }
 
-  // Helper to save crops to the server - groups by imageId to avoid duplicates
-  const saveToServer = useCallback(async (cropsToSave) => {
-    // Group crops by their imageId
-    const cropsByImageId = {}
-    for (const crop of cropsToSave) {
-      const cropImageId = crop.imageId || imageIdRef.current
-      if (!cropImageId) continue
-      if (!cropsByImageId[cropImageId]) {
-        cropsByImageId[cropImageId] = []
+  const handleRenameProject = async (id, name) => {
+    try {
+      await updateProject(id, { name })
+      await refreshProjects()
+    } catch (error) {
+      console.error('Failed to rename project:', error)
+    }
+  }
+
+  const handleDeleteProject = async (id) => {
+    const project = projects.find(p => p.id === id)
+    if (!window.confirm(`Delete the project "${project?.name}"?`)) return
+
+    try {
+      try {
+        await deleteProject(id)
+      } catch (error) {
+        // Projects with content need a second confirmation, since everything in them goes too
+        if (error.status !== 409) throw error
+        const { images, crops: cropIds, canvases } = error.data.dependents
+        if (!window.confirm(`"${project?.name}" still has ${images.length} image(s), ${cropIds.length} crop(s) and ${canvases.length} canvas(es). Delete them all?`)) {
+          return
+        }
+        await deleteProject(id, { force: true })
       }
-      cropsByImageId[cropImageId].push(crop)
+      handleSelectProject(DEFAULT_PROJECT_ID)
+      await refreshProjects()
+    } catch (error) {
+      console.error('Failed to delete project:', error)
     }
+  }
+
+  const handleMoveImage = async (targetProjectId) => {
+    const target = projects.find(p => p.id === targetProjectId)
+    const items = { imageIds: [imageIdRef.current], canvasIds: [] }
 
-    // Save each group to its respective imageId
     try {
-      for (const [imgId, imgCrops] of Object.entries(cropsByImageId)) {
-        await saveCrops(imgId, imgCrops)
-        console.log(`Saved ${imgCrops.length} crops to image: ${imgId}`)
+      let confirmed = false
+      while (true) {
+        try {
+          await moveToProject(targetProjectId, items)
+          break
+        } catch (error) {
+          // Canvases using these crops (and the images their other crops come from) have to move along
+          if (error.status !== 409) throw error
+          if (!confirmed && !window.confirm(`Crops of this image are used in saved canvases. Move those canvases and the images they use to "${target?.name}" too?`)) {
+            return
+          }
+          confirmed = true
+          const { canvases, images } = error.data.dependents
+          const itemCount = items.canvasIds.length + items.imageIds.length
+          items.canvasIds = [...new Set([...items.canvasIds, ...canvases])]
+          items.imageIds = [...new Set([...items.imageIds, ...images])]
+          if (items.canvasIds.length + items.imageIds.length === itemCount) throw error
+        }
       }
+      console.log(`Moved image ${imageIdRef.current} to project ${targetProjectId}`)
+      handleSelectProject(targetProjectId)
     } catch (error) {
-      console.error('Failed to save crops:', error)
+      console.error('Failed to move image:', error)
     }
-  }, [])
+  }
 
+  const handleImageUpload = async (imageDataUrl, file) => {
+    // The server assigns the image id once the upload finishes
+    imageIdRef.current = null
+    setImageId(null)
+    setUploadedImage(imageDataUrl)
+    setView('canvas')
+
+    // Upload the image to the server immediately
+    const upload = (async () => {
+      try {
+        const result = await uploadImage(file || imageDataUrl)
+        if (pendingUploadRef.current !== upload) return result.imageId // a newer image replaced this one
+        imageIdRef.current = result.imageId
+        setImageId(result.imageId)
+        if (result.duplicate) {
+          // Same artwork was uploaded before - reopen it so its crops are reused
+          const existingCrops = await loadCrops(result.imageId)
+          setCrops(prev => mergeCrops(prev, existingCrops))
+          console.log(`Image already stored as ${result.imageId}, reusing ${existingCrops.length} crops`)
+        } else {
+          console.log(`Uploaded image: ${result.imageId}`)
+        }
+        return result.imageId
+      } catch (error) {
+        console.error('Failed to upload image:', error)
+        if (error.status === 413 || error.status === 415) {
+          window.alert(error.message)
+        }
+        return null
+      }
+    })()
+    pendingUploadRef.current = upload
+  }
+
+  const handleOpenImage = async (image) => {
+    try {
+      // The image's outlines need all of its crops, loaded into the gallery's pages or not
+      const openedCrops = await loadCrops(image.id)
+
+      // An upload still in flight no longer owns the canvas
+      pendingUploadRef.current = null
+      imageIdRef.current = image.id
+      setImageId(image.id)
+      setUploadedImage(image.url)
+      setCrops(prev => mergeCrops(prev, openedCrops))
+      setView('canvas')
+      console.log(`Opened image ${image.id}`)
+    } catch (error) {
+      console.error('Failed to open image:', error)
+    }
+  }
+
+  const handleEditCropRegion = async (crop) => {
+    if (String(crop.imageId) !== String(imageIdRef.current)) {
+      await handleOpenImage({ id: crop.imageId, url: getImageFileUrl(crop.imageId) })
+    }
+    setEditCropId(crop.id)
+    setView('canvas')
+  }
+
+  const handleEditCropStarted = useCallback(() => setEditCropId(null), [])
+
+  // A single crop goes through the batch endpoint too, so the image's other
+  // crops are never re-sent
   const handleAddCrop = async (cropData) => {
-    const newCrop = {
-      id: Date.now(),
-      imageId: imageIdRef.current, // Tag with current image
-      imageData: cropData.imageData,
-      // Note: originalImage is not stored in the crop - it's fetched separately via imageId
-      x: cropData.x,
-      y: cropData.y,
-      width: cropData.width,
-      height: cropData.height,
-      originalImageWidth: cropData.originalImageWidth,
-      originalImageHeight: cropData.originalImageHeight,
-      rotation: 0,
-      tags: [],
-      notes: '',
-      sourceRotation: cropData.sourceRotation || 0,
-      filter: cropData.filter || 'none'
-    }
-    const updatedCrops = [...crops, newCrop]
-    setCrops(updatedCrops)
+    let cropImageId = imageIdRef.current
+    if (!cropImageId && pendingUploadRef.current) {
+      // Crop drawn while the image is still uploading: wait for its id
+      cropImageId = await pendingUploadRef.current
+    }
+
+    const newCrop = createCrop(cropData, cropImageId, Date.now())
+    setCrops(prev => [...prev, newCrop])
+    if (!cropImageId) return
+
+    try {
+      const { crops: [savedCrop] } = await addCrops(cropImageId, [newCrop])
+      setCrops(prev => prev.map(c => c.id === newCrop.id ? savedCrop : c))
+      setCropTotal(total => total + 1)
+      console.log(`Added crop ${newCrop.id} to image: ${cropImageId}`)
+    } catch (error) {
+      console.error('Failed to save crop:', error)
+      setCrops(prev => prev.filter(c => c.id !== newCrop.id))
+      window.alert(error.message)
+    }
+  }
 
-    // Save to server immediately
-    await saveToServer(updatedCrops)
+  // Crops reviewed together in the Canvas view are stored in one request,
+  // without re-sending the image's other crops
+  const handleAddCrops = async (cropDataList) => {
+    let cropImageId = imageIdRef.current
+    if (!cropImageId && pendingUploadRef.current) {
+      cropImageId = await pendingUploadRef.current
+    }
+    if (!cropImageId) {
+      console.error('Failed to add crops: the image is not stored')
+      return false
+    }
+
+    const now = Date.now()
+    const newCrops = cropDataList.map((cropData, index) => createCrop(cropData, cropImageId, now + index))
+    try {
+      const { crops: savedCrops } = await addCrops(cropImageId, newCrops)
+      setCrops(prev => [...prev, ...savedCrops])
+      setCropTotal(total => total + savedCrops.length)
+      console.log(`Added ${savedCrops.length} crops to image: ${cropImageId}`)
+      return true
+    } catch (error) {
+      console.error('Failed to add crops:', error)
+      window.alert(error.message)
+      return false
+    }
   }
 
   const handleUpdateCrop = async (id, updates) => {
@@ -138,19 +422,30 @@ function App() {
 
   const handleDeleteCrop = async (id) => {
     const crop = crops.find(c => c.id === id)
-    const updatedCrops = crops.filter(c => c.id !== id)
-    setCrops(updatedCrops)
 
     // Use granular delete API
     try {
       const cropImageId = crop?.imageId || imageIdRef.current
       if (cropImageId) {
-        await deleteCrop(cropImageId, id)
+        try {
+          await deleteCrop(cropImageId, id)
+        } catch (error) {
+          // Crops placed on saved canvases need confirmation before they are removed from them
+          if (error.status !== 409) throw error
+          const count = error.data.dependents.canvases.length
+          if (!window.confirm(`This crop is used in ${count} saved canvas${count === 1 ? '' : 'es'}. Delete it and remove it from ${count === 1 ? 'that canvas' : 'those canvases'}?`)) {
+            return
+          }
+          await deleteCrop(cropImageId, id, { force: true })
+        }
         console.log(`Deleted crop ${id} from image: ${cropImageId}`)
       }
     } catch (error) {
       console.error('Failed to delete crop:', error)
     }
+
+    setCrops(prev => prev.filter(c => c.id !== id))
+    setCropTotal(total => Math.max(total - 1, 0))
   }
 
   return (
@@ -164,6 +459,16 @@ function App() {
             </svg>
           </div>
           <h1 className="text-lg font-bold gradient-text">Art Detail Studio</h1>
+          <ProjectSwitcher
+            projects={projects}
+            currentProjectId={projectId}
+            canMoveImage={Boolean(imageId)}
+            onSelectProject={handleSelectProject}
+            onCreateProject={handleCreateProject}
+            onRenameProject={handleRenameProject}
+            onDeleteProject={handleDeleteProject}
+            onMoveImage={handleMoveImage}
+          />
         </div>
 
         {/* View Toggle */}
@@ -182,6 +487,20 @@ function App() {
               Canvas
             </span>
           </button>
+          <button
+            onClick={() => setView('library')}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${view === 'library'
+              ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white shadow-lg'
+              : 'text-[var(--text-secondary)] hover:text-white'
+              }`}
+          >
+            <span className="flex items-center gap-2">
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z" />
+              </svg>
+              Library
+            </span>
+          </button>
           <button
             onClick={() => setView('gallery')}
             className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${view === 'gallery'
@@ -194,9 +513,9 @@ function App() {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
               </svg>
               Gallery
-              {crops.length > 0 && (
+              {cropTotal > 0 && (
                 <span className="bg-white/20 px-2 py-0.5 rounded-full text-xs">
-                  {crops.length}
+                  {cropTotal}
                 </span>
               )}
             </span>
@@ -225,19 +544,39 @@ function App() {
       <main className="flex-1 p-4 min-h-0 flex flex-col">
         {view === 'canvas' ? (
           <CanvasView
+            key={projectId}
             image={uploadedImage}
+            crops={imageCrops}
+            editCropId={editCropId}
             onAddCrop={handleAddCrop}
+            onAddCrops={handleAddCrops}
+            onUpdateCrop={handleUpdateCrop}
+            onDeleteCrop={handleDeleteCrop}
+            onEditCropStarted={handleEditCropStarted}
             onImageUpload={handleImageUpload}
             onSwitchToGallery={() => setView('gallery')}
           />
+        ) : view === 'library' ? (
+          <ImageLibraryView
+            key={projectId}
+            currentImageId={imageId}
+            onOpenImage={handleOpenImage}
+          />
         ) : view === 'gallery' ? (
           <GalleryView
+            key={projectId}
             crops={crops}
+            totalCrops={cropTotal}
+            hasMoreCrops={Boolean(cropCursor)}
+            onLoadMoreCrops={loadMoreCrops}
+            onCropsFound={handleCropsFound}
             onUpdateCrop={handleUpdateCrop}
             onDeleteCrop={handleDeleteCrop}
+            onEditCropRegion={handleEditCropRegion}
           />
         ) : (
           <ComposerView
+            key={projectId}
             crops={crops}
           />
         )}
@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
-import path from 'path';
-import fs from 'fs';
+import { getStorage } from '@/lib/storage';
+import { resolveProjectScope, inProject } from '@/lib/projects';
 
 export async function POST(request, { params }) {
     const { canvasId } = await params;
@@ -11,26 +11,39 @@ export async function POST(request, { params }) {
         return NextResponse.json({ error: 'No file uploaded' }, { status: 400 });
     }
 
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
     const arrayBuffer = await file.arrayBuffer();
     const buffer = Buffer.from(arrayBuffer);
 
-    // Ensure public/uploads directory exists
-    const uploadDir = path.join(process.cwd(), 'public', 'uploads');
-    if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
-    }
-
     // Generate filename
     // Use original name if available, or generate one
-    const originalName = file.name || 'export.png';
+    const originalName = (file.name || 'export.png').replace(/[^\w.-]/g, '_');
     const fileName = `canvas-${canvasId}-${Date.now()}-${originalName}`;
-    const filePath = path.join(uploadDir, fileName);
 
     try {
-        await fs.promises.writeFile(filePath, buffer);
+        const storage = getStorage();
+
+        // The file is saved (to public/uploads) and recorded on its canvas in
+        // one transaction, so garbage collection knows it is in use
+        const url = `/uploads/${fileName}`;
+        const canvas = await storage.transaction(async (tx) => {
+            const existing = await tx.canvases.get(canvasId);
+            if (!inProject(existing, projectId)) return null;
+            storage.blobs.write('exports', fileName, buffer);
+            return tx.canvases.update(canvasId, {
+                exports: [...(existing.exports || []), { fileName, url, createdAt: Date.now() }]
+            });
+        });
+
+        if (!canvas) {
+            return NextResponse.json({ error: 'Canvas not found' }, { status: 404 });
+        }
+
         return NextResponse.json({
             success: true,
-            url: `/uploads/${fileName}`
+            url
         });
     } catch (error) {
         console.error('Upload error:', error);
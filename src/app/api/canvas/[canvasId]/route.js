@@ -1,12 +1,16 @@
 import { NextResponse } from 'next/server';
-import { readDb, writeDb } from '@/lib/db';
+import { getStorage } from '@/lib/storage';
+import { resolveProjectScope, inProject } from '@/lib/projects';
 
 export async function GET(request, { params }) {
     const { canvasId } = await params;
-    const db = readDb();
-    const canvas = (db.canvases || []).find(c => String(c.id) === String(canvasId));
 
-    if (!canvas) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    const canvas = await getStorage().canvases.get(canvasId);
+
+    if (!inProject(canvas, projectId)) {
         return NextResponse.json({ error: 'Canvas not found' }, { status: 404 });
     }
 
@@ -15,32 +19,34 @@ export async function GET(request, { params }) {
 
 export async function PUT(request, { params }) {
     const { canvasId } = await params;
-    const body = await request.json();
+    // Canvases change project through POST /api/projects/{projectId}/move
+    const { projectId: ignoredProjectId, ...body } = await request.json();
 
-    const db = readDb();
-    if (!db.canvases) db.canvases = [];
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
 
-    const index = db.canvases.findIndex(c => String(c.id) === String(canvasId));
+    // PUT only updates; it does not create missing canvases
+    const canvas = await getStorage().transaction(async (tx) => {
+        if (!inProject(await tx.canvases.get(canvasId), projectId)) return null;
+        return tx.canvases.update(canvasId, { ...body, updatedAt: Date.now() });
+    });
 
-    if (index === -1) {
-        // Optionally create if not exists, but PUT usually updates
+    if (!canvas) {
         return NextResponse.json({ error: 'Canvas not found' }, { status: 404 });
     }
 
-    db.canvases[index] = { ...db.canvases[index], ...body, updatedAt: Date.now() };
-    writeDb(db);
-
-    return NextResponse.json(db.canvases[index]);
+    return NextResponse.json(canvas);
 }
 
 export async function DELETE(request, { params }) {
     const { canvasId } = await params;
 
-    const db = readDb();
-    if (!db.canvases) return NextResponse.json({ success: true }); // already empty
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
 
-    db.canvases = db.canvases.filter(c => String(c.id) !== String(canvasId));
-    writeDb(db);
+    await getStorage().transaction(async (tx) => {
+        if (inProject(await tx.canvases.get(canvasId), projectId)) await tx.canvases.remove(canvasId);
+    });
 
     return NextResponse.json({ success: true });
 }
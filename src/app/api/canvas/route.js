@@ -1,27 +1,30 @@
 import { NextResponse } from 'next/server';
-import { readDb, writeDb } from '@/lib/db';
+import { getStorage } from '@/lib/storage';
+import { resolveProjectScope } from '@/lib/projects';
 
-export async function GET() {
-    const db = readDb();
-    return NextResponse.json(db.canvases || []);
+export async function GET(request) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    const canvases = await getStorage().canvases.list({ projectId });
+    return NextResponse.json(canvases);
 }
 
 export async function POST(request) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
     const body = await request.json();
-    const db = readDb();
 
     const newCanvas = {
         id: Date.now().toString(),
         ...body,
+        projectId,
         createdAt: Date.now(),
         updatedAt: Date.now()
     };
 
-    // Ensure canvases array exists
-    if (!db.canvases) db.canvases = [];
-
-    db.canvases.push(newCanvas);
-    writeDb(db);
+    await getStorage().canvases.put(newCanvas);
 
     return NextResponse.json({ canvasId: newCanvas.id, ...newCanvas });
 }
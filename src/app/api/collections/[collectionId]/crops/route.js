@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import { getStorage } from '@/lib/storage';
+import {
+    getProjectCollection,
+    getCollectionCrops,
+    addCollectionCrops,
+    setCollectionCrops,
+    removeCollectionCrops,
+    toCollectionResponse,
+    getCollectionErrorStatus,
+    readCollectionBody
+} from '@/lib/collections';
+import { resolveProjectScope } from '@/lib/projects';
+
+function collectionErrorResponse(error) {
+    const status = getCollectionErrorStatus(error);
+    if (!status) throw error;
+    return NextResponse.json({ error: error.message, code: error.code }, { status });
+}
+
+/**
+ * GET /api/collections/{collectionId}/crops
+ * The collection's crops, in the collection's order
+ * Response: { crops }
+ */
+export async function GET(request, { params }) {
+    const { collectionId } = await params;
+    const storage = getStorage();
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        const collection = await getProjectCollection(storage, projectId, collectionId);
+        return NextResponse.json({ crops: await getCollectionCrops(storage, collection) });
+    } catch (error) {
+        return collectionErrorResponse(error);
+    }
+}
+
+/**
+ * POST /api/collections/{collectionId}/crops
+ * Add crops: { cropIds, position? }. Appended unless `position` is given;
+ * crops already in the collection move there.
+ * Response: { collection }
+ */
+export async function POST(request, { params }) {
+    const { collectionId } = await params;
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        const { cropIds, position } = await readCollectionBody(request);
+        const collection = await addCollectionCrops(projectId, collectionId, cropIds, position);
+        return NextResponse.json({ collection: toCollectionResponse(collection) });
+    } catch (error) {
+        return collectionErrorResponse(error);
+    }
+}
+
+/**
+ * PUT /api/collections/{collectionId}/crops
+ * Replace the members and their order: { cropIds }
+ * Response: { collection }
+ */
+export async function PUT(request, { params }) {
+    const { collectionId } = await params;
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        const { cropIds } = await readCollectionBody(request);
+        const collection = await setCollectionCrops(projectId, collectionId, cropIds);
+        return NextResponse.json({ collection: toCollectionResponse(collection) });
+    } catch (error) {
+        return collectionErrorResponse(error);
+    }
+}
+
+/**
+ * DELETE /api/collections/{collectionId}/crops?cropId=1&cropId=2
+ * Remove crops from the collection (the crops themselves are kept)
+ * Response: { collection }
+ */
+export async function DELETE(request, { params }) {
+    const { collectionId } = await params;
+    const { searchParams } = new URL(request.url);
+
+    const cropIds = searchParams.getAll('cropId');
+    if (cropIds.length === 0) {
+        return NextResponse.json({ error: 'cropId is required' }, { status: 400 });
+    }
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        const collection = await removeCollectionCrops(projectId, collectionId, cropIds);
+        return NextResponse.json({ collection: toCollectionResponse(collection) });
+    } catch (error) {
+        return collectionErrorResponse(error);
+    }
+}
@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server';
+import { getStorage } from '@/lib/storage';
+import {
+    getProjectCollection,
+    parseCollectionInput,
+    updateCollection,
+    deleteCollection,
+    toCollectionResponse,
+    getCollectionErrorStatus,
+    readCollectionBody
+} from '@/lib/collections';
+import { resolveProjectScope } from '@/lib/projects';
+
+function collectionErrorResponse(error) {
+    const status = getCollectionErrorStatus(error);
+    if (!status) throw error;
+    return NextResponse.json({ error: error.message, code: error.code }, { status });
+}
+
+/**
+ * GET /api/collections/{collectionId}
+ */
+export async function GET(request, { params }) {
+    const { collectionId } = await params;
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        const collection = await getProjectCollection(getStorage(), projectId, collectionId);
+        return NextResponse.json({ collection: toCollectionResponse(collection) });
+    } catch (error) {
+        return collectionErrorResponse(error);
+    }
+}
+
+/**
+ * PATCH /api/collections/{collectionId}
+ * Rename or describe a collection: { name?, description? }
+ */
+export async function PATCH(request, { params }) {
+    const { collectionId } = await params;
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        const input = parseCollectionInput(await readCollectionBody(request), { partial: true });
+        const collection = await updateCollection(projectId, collectionId, input);
+        return NextResponse.json({ collection: toCollectionResponse(collection) });
+    } catch (error) {
+        return collectionErrorResponse(error);
+    }
+}
+
+/**
+ * DELETE /api/collections/{collectionId}
+ * Delete a collection; its crops are kept
+ */
+export async function DELETE(request, { params }) {
+    const { collectionId } = await params;
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        await deleteCollection(projectId, collectionId);
+        return NextResponse.json({ success: true });
+    } catch (error) {
+        return collectionErrorResponse(error);
+    }
+}
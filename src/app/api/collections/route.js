@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { getStorage } from '@/lib/storage';
+import { parseCollectionInput, createCollection, toCollectionResponse, getCollectionErrorStatus, readCollectionBody } from '@/lib/collections';
+import { resolveProjectScope } from '@/lib/projects';
+
+/**
+ * GET /api/collections
+ * The project's collections, oldest first
+ * Response: { collections: [{ id, projectId, name, description, cropIds, cropCount, createdAt, updatedAt }] }
+ */
+export async function GET(request) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    const collections = await getStorage().collections.list({ projectId });
+    return NextResponse.json({ collections: collections.map(toCollectionResponse) });
+}
+
+/**
+ * POST /api/collections
+ * Create a collection in the project: { name, description?, cropIds? }
+ * Response (201): { collection }
+ */
+export async function POST(request) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        const body = await readCollectionBody(request);
+        const collection = await createCollection(projectId, parseCollectionInput(body), body.cropIds);
+        return NextResponse.json({ collection: toCollectionResponse(collection) }, { status: 201 });
+    } catch (error) {
+        const status = getCollectionErrorStatus(error);
+        if (!status) throw error;
+        return NextResponse.json({ error: error.message, code: error.code }, { status });
+    }
+}
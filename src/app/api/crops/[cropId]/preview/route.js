@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { getStorage } from '@/lib/storage';
+import { createFileResponse } from '@/lib/fileResponse';
+import { resolveProjectScope, inProject } from '@/lib/projects';
+
+/**
+ * GET /api/crops/{cropId}/preview
+ * Stream the crop preview image. Supports conditional requests and Range.
+ */
+export async function GET(request, { params }) {
+    const { cropId } = await params;
+
+    const { projectId, response: scopeResponse } = await resolveProjectScope(request);
+    if (scopeResponse) return scopeResponse;
+
+    const storage = getStorage();
+    const crop = await storage.crops.get(cropId);
+    if (!inProject(crop, projectId)) {
+        return NextResponse.json({ error: 'Crop not found' }, { status: 404 });
+    }
+
+    const response = crop.imageDataPath
+        ? createFileResponse(request, storage.blobs.getPath('crops', crop.imageDataPath))
+        : null;
+    if (!response) {
+        return NextResponse.json({ error: 'Crop preview not found' }, { status: 404 });
+    }
+
+    return response;
+}
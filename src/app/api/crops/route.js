@@ -1,22 +1,39 @@
 import { NextResponse } from 'next/server';
-import { readDb } from '@/lib/db';
-import { loadCropPreview } from '@/lib/cropDb';
+import { getStorage } from '@/lib/storage';
+import { parseCropQuery, queryCrops } from '@/lib/cropQuery';
+import { resolveProjectScope } from '@/lib/projects';
 
 /**
  * GET /api/crops
- * Get all crops from all images (with imageData loaded from files)
+ * List crops from all of the project's images. Previews are linked through `previewUrl`.
+ *
+ * Query parameters (all optional):
+ * - project: project id (default project when omitted)
+ * - imageId: only crops of this image
+ * - tag: only crops with this tag or one of its descendants (repeat to require several)
+ * - q: text to find in notes (case-insensitive)
+ * - createdAfter: timestamp in ms or ISO date
+ * - sort: createdAt (default), -createdAt, updatedAt or -updatedAt
+ * - limit / cursor: page size, and the `nextCursor` of the previous page
+ * - fields: comma-separated fields to return (id is always included)
+ * - include=imageData: also inline previews as base64
+ *
+ * Response: { crops, total, nextCursor }
  */
-export async function GET() {
-    const db = readDb();
+export async function GET(request) {
+    const { searchParams } = new URL(request.url);
 
-    // Load imageData from files for each crop
-    const crops = (db.crops || []).map(crop => {
-        let imageData = null;
-        if (crop.imageDataPath) {
-            imageData = loadCropPreview(crop.imageDataPath);
-        }
-        return { ...crop, imageData };
-    });
+    let options;
+    try {
+        options = parseCropQuery(searchParams);
+    } catch (error) {
+        if (error.code !== 'EBADQUERY') throw error;
+        return NextResponse.json({ error: error.message }, { status: 400 });
+    }
 
-    return NextResponse.json({ crops });
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    const result = await queryCrops(getStorage().crops, { ...options, projectId });
+    return NextResponse.json(result);
 }
@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { getStorage } from '@/lib/storage';
+import { buildReferenceIndex } from '@/lib/references';
+import { resolveProjectScope } from '@/lib/projects';
+
+/**
+ * GET /api/crops/usage
+ * For every crop used by one of the project's canvases: how many canvases use it, and which
+ * Response: { usage: { [cropId]: { count, canvases: [{ canvasId, name, placements }] } } }
+ */
+export async function GET(request) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    const storage = getStorage();
+    const index = buildReferenceIndex({
+        canvases: await storage.canvases.list({ projectId }),
+        crops: await storage.crops.list({ projectId })
+    });
+
+    const usage = {};
+    for (const [cropId, canvases] of index.crops) {
+        usage[cropId] = { count: canvases.length, canvases };
+    }
+
+    return NextResponse.json({ usage });
+}
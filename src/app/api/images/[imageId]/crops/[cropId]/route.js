@@ -1,72 +1,133 @@
 import { NextResponse } from 'next/server';
-import { readDb, writeDb } from '@/lib/db';
-import { saveCropPreview, loadCropPreview, deleteCropPreview } from '@/lib/cropDb';
+import { getStorage } from '@/lib/storage';
+import { saveCropPreview, deleteCropPreview, toCropResponse, getCropGeometryError } from '@/lib/cropDb';
+import { findCropDependents, hasDependents, detachCrops } from '@/lib/references';
+import { removeCropsFromCollections } from '@/lib/collections';
+import { indexCrops, unindexCrops } from '@/lib/searchIndex';
+import { resolveProjectScope, inProject } from '@/lib/projects';
+import { normalizeTags } from '@/utils/tags';
 
 /**
  * GET /api/images/{imageId}/crops/{cropId}
- * Get a single crop with its preview image data
+ * Get a single crop with its preview URL (?include=imageData inlines the preview)
  */
 export async function GET(request, { params }) {
     const { cropId } = await params;
+    const { searchParams } = new URL(request.url);
 
-    const db = readDb();
-    const crop = db.crops.find(c => String(c.id) === String(cropId));
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
 
-    if (!crop) {
-        return NextResponse.json({ error: 'Crop not found' }, { status: 404 });
-    }
+    const crop = await getStorage().crops.get(cropId);
 
-    // Load the image data from file if we have a path
-    let imageData = null;
-    if (crop.imageDataPath) {
-        imageData = loadCropPreview(crop.imageDataPath);
+    if (!inProject(crop, projectId)) {
+        return NextResponse.json({ error: 'Crop not found' }, { status: 404 });
     }
 
-    return NextResponse.json({ ...crop, imageData });
+    return NextResponse.json(toCropResponse(crop, {
+        includeImageData: searchParams.get('include') === 'imageData'
+    }));
 }
 
+/**
+ * PATCH /api/images/{imageId}/crops/{cropId}
+ * Update some of a crop's fields. A new region (`x`, `y`, `width`, `height`,
+ * `sourceRotation`) is sent with its regenerated `imageData` preview; tags,
+ * notes and canvas references are kept. `projectId` cannot be changed here;
+ * move the crop's image with POST /api/projects/{projectId}/move instead.
+ */
 export async function PATCH(request, { params }) {
     const { cropId } = await params;
     const body = await request.json();
 
-    const db = readDb();
-    const cropIndex = db.crops.findIndex(c => String(c.id) === String(cropId));
+    const geometryError = getCropGeometryError(body, { partial: true });
+    if (geometryError) {
+        return NextResponse.json({ error: geometryError }, { status: 400 });
+    }
+    if (body.imageData !== undefined && body.imageData !== null && typeof body.imageData !== 'string') {
+        return NextResponse.json({ error: 'imageData must be a data URL string' }, { status: 400 });
+    }
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    let replacedPreview = null;
+    const crop = await getStorage().transaction(async (tx) => {
+        const existing = await tx.crops.get(cropId);
+
+        if (!inProject(existing, projectId)) return null;
+
+        // If imageData is being updated, save it to file
+        const { previewUrl, projectId: ignoredProjectId, ...updates } = body;
+        if (body.imageData && body.imageData.startsWith('data:image/')) {
+            const fileName = saveCropPreview(cropId, body.imageData);
+            updates.imageDataPath = fileName;
+            delete updates.imageData; // Don't store base64 in db
+            if (existing.imageDataPath && existing.imageDataPath !== fileName) {
+                replacedPreview = existing.imageDataPath;
+            }
+        }
+        if ('tags' in updates) {
+            updates.tags = normalizeTags(updates.tags);
+        }
+
+        return tx.crops.update(cropId, { ...updates, updatedAt: Date.now() });
+    });
 
-    if (cropIndex === -1) {
+    if (!crop) {
         return NextResponse.json({ error: 'Crop not found' }, { status: 404 });
     }
 
-    // If imageData is being updated, save it to file
-    let updates = { ...body };
-    if (body.imageData && body.imageData.startsWith('data:image/')) {
-        const fileName = saveCropPreview(cropId, body.imageData);
-        updates.imageDataPath = fileName;
-        delete updates.imageData; // Don't store base64 in db
+    // A preview in another format was written under a new name
+    if (replacedPreview) {
+        deleteCropPreview(replacedPreview);
     }
-
-    db.crops[cropIndex] = { ...db.crops[cropIndex], ...updates, updatedAt: Date.now() };
-    writeDb(db);
-
-    return NextResponse.json(db.crops[cropIndex]);
+    indexCrops([crop]);
+    return NextResponse.json(toCropResponse(crop));
 }
 
+/**
+ * DELETE /api/images/{imageId}/crops/{cropId}
+ * Returns 409 with the canvases that use the crop, unless ?force=true,
+ * in which case the crop is also removed from those canvases. The crop is
+ * always removed from any collections holding it.
+ */
 export async function DELETE(request, { params }) {
     const { cropId } = await params;
+    const { searchParams } = new URL(request.url);
+    const force = searchParams.get('force') === 'true';
 
-    const db = readDb();
-    const crop = db.crops.find(c => String(c.id) === String(cropId));
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
 
-    if (!crop) {
+    const result = await getStorage().transaction(async (tx) => {
+        if (!inProject(await tx.crops.get(cropId), projectId)) return { notFound: true };
+
+        const dependents = await findCropDependents(tx, cropId);
+        if (hasDependents(dependents) && !force) return { dependents };
+
+        const detachedFrom = await detachCrops(tx, [cropId]);
+        await removeCropsFromCollections(tx, [cropId]);
+        const crop = await tx.crops.remove(cropId);
+        return { crop, detachedFrom };
+    });
+
+    if (result.notFound) {
         return NextResponse.json({ error: 'Crop not found' }, { status: 404 });
     }
 
-    // Delete the crop preview file if it exists
-    if (crop.imageDataPath) {
-        deleteCropPreview(crop.imageDataPath);
+    if (result.dependents) {
+        return NextResponse.json(
+            { error: 'Crop is used by other records', dependents: result.dependents },
+            { status: 409 }
+        );
     }
 
-    db.crops = db.crops.filter(c => String(c.id) !== String(cropId));
-    writeDb(db);
+    // Delete the crop preview file if it exists
+    if (result.crop.imageDataPath) {
+        deleteCropPreview(result.crop.imageDataPath);
+    }
+    unindexCrops([cropId]);
 
-    return NextResponse.json({ success: true });
+    return NextResponse.json({ success: true, detachedFrom: result.detachedFrom });
 }
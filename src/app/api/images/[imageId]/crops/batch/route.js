@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import { getStorage } from '@/lib/storage';
+import { getImageMeta } from '@/lib/imageDb';
+import { saveCropPreview, toCropResponse, getCropGeometryError } from '@/lib/cropDb';
+import { indexCrops } from '@/lib/searchIndex';
+import { resolveProjectScope, inProject } from '@/lib/projects';
+import { normalizeTags } from '@/utils/tags';
+
+/**
+ * POST /api/images/{imageId}/crops/batch
+ * Add several new crops to a stored image in one transaction: { crops }.
+ * Unlike POST /api/images/{imageId}/crops, the image's other crops are left
+ * alone. Each crop needs an unused `id` and a region; `imageData` becomes
+ * its preview. Returns 409 with `ids` if any id is already taken.
+ */
+export async function POST(request, { params }) {
+    const { imageId } = await params;
+    const body = await request.json();
+    const { crops } = body;
+
+    if (!Array.isArray(crops) || crops.length === 0) {
+        return NextResponse.json({ error: 'crops must be a non-empty array' }, { status: 400 });
+    }
+
+    for (const [index, crop] of crops.entries()) {
+        if (crop?.id === undefined || crop.id === null || crop.id === '') {
+            return NextResponse.json({ error: `crops[${index}].id is required` }, { status: 400 });
+        }
+        const geometryError = getCropGeometryError(crop);
+        if (geometryError) {
+            return NextResponse.json({ error: `crops[${index}]: ${geometryError}` }, { status: 400 });
+        }
+        if (crop.imageData !== undefined && crop.imageData !== null && typeof crop.imageData !== 'string') {
+            return NextResponse.json({ error: `crops[${index}].imageData must be a data URL string` }, { status: 400 });
+        }
+    }
+
+    const ids = crops.map(crop => String(crop.id));
+    if (new Set(ids).size !== ids.length) {
+        return NextResponse.json({ error: 'Crop ids must be unique' }, { status: 400 });
+    }
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    if (!inProject(await getImageMeta(imageId), projectId)) {
+        return NextResponse.json({ error: 'Image not found' }, { status: 404 });
+    }
+
+    const now = Date.now();
+    const result = await getStorage().transaction(async (tx) => {
+        const taken = [];
+        for (const crop of crops) {
+            if (await tx.crops.get(crop.id)) taken.push(crop.id);
+        }
+        if (taken.length > 0) return { taken };
+
+        // Previews are named after the crop id, so they are only written once the ids are known to be free
+        const saved = [];
+        for (const c of crops) {
+            const { originalImage, imageData, previewUrl, ...cropWithoutBlobs } = c;
+            saved.push(await tx.crops.put({
+                ...cropWithoutBlobs,
+                imageDataPath: imageData && imageData.startsWith('data:image/') ? saveCropPreview(c.id, imageData) : null,
+                tags: normalizeTags(c.tags),
+                imageId,
+                projectId,
+                createdAt: now,
+                updatedAt: now
+            }));
+        }
+        return { saved };
+    });
+
+    if (result.taken) {
+        return NextResponse.json({ error: 'Crop ids already exist', ids: result.taken }, { status: 409 });
+    }
+
+    indexCrops(result.saved);
+    return NextResponse.json({ crops: result.saved.map(crop => toCropResponse(crop)) }, { status: 201 });
+}
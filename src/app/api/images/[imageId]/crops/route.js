@@ -1,75 +1,180 @@
 import { NextResponse } from 'next/server';
-import { readDb, writeDb } from '@/lib/db';
+import { getStorage } from '@/lib/storage';
 import { getImageMeta, saveImage } from '@/lib/imageDb';
-import { saveCropPreview, loadCropPreview } from '@/lib/cropDb';
+import { getUploadErrorStatus } from '@/lib/upload';
+import { saveCropPreview, deleteCropPreview } from '@/lib/cropDb';
+import { parseCropQuery, queryCrops } from '@/lib/cropQuery';
+import { removeCropsFromCollections } from '@/lib/collections';
+import { findCropsDependents, hasDependents, detachCrops } from '@/lib/references';
+import { indexCrops, unindexCrops } from '@/lib/searchIndex';
+import { resolveProjectScope, inProject } from '@/lib/projects';
+import { sameId } from '@/lib/storage/query';
+import { normalizeTags } from '@/utils/tags';
 
+/**
+ * GET /api/images/{imageId}/crops
+ * Crops linked to this image; previews are served from previewUrl.
+ * Accepts the same query parameters as GET /api/crops.
+ */
 export async function GET(request, { params }) {
     const { imageId } = await params;
-    const db = readDb();
-
-    // Return crops linked to this imageId, loading imageData from files
-    const crops = db.crops
-        .filter(c => c.imageId === imageId)
-        .map(crop => {
-            let imageData = null;
-            if (crop.imageDataPath) {
-                imageData = loadCropPreview(crop.imageDataPath);
-            }
-            return { ...crop, imageData };
-        });
+    const { searchParams } = new URL(request.url);
+
+    let options;
+    try {
+        options = parseCropQuery(searchParams);
+    } catch (error) {
+        if (error.code !== 'EBADQUERY') throw error;
+        return NextResponse.json({ error: error.message }, { status: 400 });
+    }
 
-    return NextResponse.json({ crops });
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    const result = await queryCrops(getStorage().crops, { ...options, projectId, imageId });
+    return NextResponse.json(result);
 }
 
+/**
+ * POST /api/images/{imageId}/crops
+ * Replace the image's crops: { crops }. Crops join the image's project; an
+ * image that is not stored yet is created in the request's project from the
+ * first crop's `originalImage`. Returns 409 with the canvases that use a crop
+ * left out of the set, unless ?force=true, in which case the dropped crops
+ * are also removed from those canvases. Returns 409 with `ids` if a crop id
+ * belongs to another image.
+ */
 export async function POST(request, { params }) {
     const { imageId } = await params;
+    const { searchParams } = new URL(request.url);
+    const force = searchParams.get('force') === 'true';
     const body = await request.json();
     const { crops } = body;
 
     if (!Array.isArray(crops)) {
         return NextResponse.json({ error: 'Invalid crops data' }, { status: 400 });
     }
+    for (const [index, crop] of crops.entries()) {
+        if (!crop || typeof crop !== 'object' || Array.isArray(crop)) {
+            return NextResponse.json({ error: `crops[${index}] must be an object` }, { status: 400 });
+        }
+        if (crop.id === undefined || crop.id === null || crop.id === '') {
+            return NextResponse.json({ error: `crops[${index}].id is required` }, { status: 400 });
+        }
+        if (crop.imageData !== undefined && crop.imageData !== null && typeof crop.imageData !== 'string') {
+            return NextResponse.json({ error: `crops[${index}].imageData must be a data URL string` }, { status: 400 });
+        }
+    }
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
 
-    const db = readDb();
     let imageCreated = false;
 
     // Check if image already exists, if not and we have image data, save it
-    const existingImage = getImageMeta(imageId);
+    const existingImage = await getImageMeta(imageId);
+    if (existingImage && !inProject(existingImage, projectId)) {
+        return NextResponse.json({ error: 'Image not found' }, { status: 404 });
+    }
     if (!existingImage && crops.length > 0) {
         const firstCropWithImage = crops.find(c => c.originalImage);
         if (firstCropWithImage) {
-            saveImage(imageId, firstCropWithImage.originalImage, {
-                width: firstCropWithImage.originalImageWidth,
-                height: firstCropWithImage.originalImageHeight
-            });
+            // These crops are keyed to imageId, so always register it (sharing the file if already stored)
+            try {
+                await saveImage(imageId, firstCropWithImage.originalImage, {
+                    width: firstCropWithImage.originalImageWidth,
+                    height: firstCropWithImage.originalImageHeight
+                }, { reuseExisting: false, projectId });
+            } catch (error) {
+                const status = getUploadErrorStatus(error);
+                if (!status) throw error;
+                return NextResponse.json({ error: error.message, code: error.code }, { status });
+            }
             imageCreated = true;
         }
     }
 
-    // Remove existing crops for this image
-    const otherCrops = db.crops.filter(c => c.imageId !== imageId);
+    const keptIds = new Set(crops.map(c => String(c.id)));
+    if (keptIds.size !== crops.length) {
+        return NextResponse.json({ error: 'Crop ids must be unique' }, { status: 400 });
+    }
+
+    const result = await getStorage().transaction(async (tx) => {
+        // put() replaces by id, so an id from another image (or project) would take that crop over
+        const foreignIds = [];
+        for (const c of crops) {
+            const existing = await tx.crops.get(c.id);
+            if (existing && (!sameId(existing.imageId, imageId) || !inProject(existing, projectId))) {
+                foreignIds.push(c.id);
+            }
+        }
+        if (foreignIds.length > 0) return { foreignIds };
+
+        // Crops left out of the set are deleted, so they get the same check as a single delete
+        const existingCrops = await tx.crops.list({ imageId });
+        const droppedIds = existingCrops.map(c => c.id).filter(id => !keptIds.has(String(id)));
+        const dependents = await findCropsDependents(tx, droppedIds);
+        if (hasDependents(dependents) && !force) return { dependents };
+
+        // Replace existing crops for this image
+        const previousCrops = await tx.crops.removeWhere({ imageId });
 
-    // Add new crops, stripping originalImage and saving imageData to files
-    const newCrops = crops.map(c => {
-        // eslint-disable-next-line no-unused-vars
-        const { originalImage, imageData, ...cropWithoutBlobs } = c;
+        // Add new crops, stripping originalImage and saving imageData to files.
+        // Previews are named after the crop id, so they are only written once the set is accepted
+        const newCrops = [];
+        for (const c of crops) {
+            const { originalImage, imageData, previewUrl, ...cropWithoutBlobs } = c;
+            const previous = previousCrops.find(p => String(p.id) === String(c.id));
+            const now = Date.now();
 
-        // Save crop preview image to file
-        let imageDataPath = null;
-        if (imageData && imageData.startsWith('data:image/')) {
-            imageDataPath = saveCropPreview(c.id, imageData);
+            const crop = {
+                ...cropWithoutBlobs,
+                // Crops re-sent without new image data keep their existing preview
+                imageDataPath: imageData && imageData.startsWith('data:image/')
+                    ? saveCropPreview(c.id, imageData)
+                    : previous?.imageDataPath || null,
+                tags: normalizeTags(c.tags),
+                imageId, // Ensure explicit link
+                projectId,
+                updatedAt: now
+            };
+            crop.createdAt = previous?.createdAt || crop.createdAt || now;
+            await tx.crops.put(crop);
+            newCrops.push(crop);
         }
 
-        return {
-            ...cropWithoutBlobs,
-            imageDataPath, // Store path instead of base64
-            imageId, // Ensure explicit link
-            updatedAt: Date.now()
-        };
+        // Crops dropped from the set leave their canvases and collections too
+        const detachedFrom = await detachCrops(tx, droppedIds);
+        await removeCropsFromCollections(tx, droppedIds);
+
+        return { previousCrops, newCrops, droppedIds, detachedFrom };
     });
 
-    db.crops = [...otherCrops, ...newCrops];
-    writeDb(db);
+    if (result.foreignIds) {
+        return NextResponse.json({ error: 'Crop ids belong to other images', ids: result.foreignIds }, { status: 409 });
+    }
+
+    if (result.dependents) {
+        return NextResponse.json(
+            { error: 'Crops left out of the set are used by other records', dependents: result.dependents },
+            { status: 409 }
+        );
+    }
 
-    return NextResponse.json({ success: true, count: newCrops.length, imageCreated });
+    // Previews of crops that were dropped from the set
+    const keptPreviews = new Set(result.newCrops.map(c => c.imageDataPath));
+    result.previousCrops
+        .map(c => c.imageDataPath)
+        .filter(p => p && !keptPreviews.has(p))
+        .forEach(deleteCropPreview);
+
+    unindexCrops(result.droppedIds);
+    indexCrops(result.newCrops);
+
+    return NextResponse.json({
+        success: true,
+        count: result.newCrops.length,
+        imageCreated,
+        detachedFrom: result.detachedFrom
+    });
 }
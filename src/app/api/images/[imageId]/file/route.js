@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { getStorage } from '@/lib/storage';
+import { getImageMeta } from '@/lib/imageDb';
+import { createFileResponse } from '@/lib/fileResponse';
+import { resolveProjectScope, inProject } from '@/lib/projects';
+
+/**
+ * GET /api/images/{imageId}/file
+ * Stream the source image bytes. Supports conditional requests and Range.
+ */
+export async function GET(request, { params }) {
+    const { imageId } = await params;
+
+    const { projectId, response: scopeResponse } = await resolveProjectScope(request);
+    if (scopeResponse) return scopeResponse;
+
+    const meta = await getImageMeta(imageId);
+    if (!inProject(meta, projectId)) {
+        return NextResponse.json({ error: 'Image not found' }, { status: 404 });
+    }
+
+    // Files are named by content hash, so the hash is a strong validator
+    const response = createFileResponse(request, getStorage().blobs.getPath('images', meta.path), {
+        etag: meta.hash
+    });
+    if (!response) {
+        return NextResponse.json({ error: 'Image file not found' }, { status: 404 });
+    }
+
+    return response;
+}
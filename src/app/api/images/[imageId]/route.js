@@ -1,29 +1,52 @@
 import { NextResponse } from 'next/server';
-import { readDb, writeDb } from '@/lib/db';
-import { getImageMeta, saveImage, loadImageAsDataUrl, deleteImage } from '@/lib/imageDb';
+import { getStorage } from '@/lib/storage';
+import { getImageMeta, saveImageBuffer, loadImageAsDataUrl, deleteUnreferencedImageFiles, getImageFileUrl } from '@/lib/imageDb';
+import { readImageUpload, getUploadErrorStatus } from '@/lib/upload';
+import { deleteCropPreview } from '@/lib/cropDb';
+import { findImageDependents, hasDependents, detachCrops } from '@/lib/references';
+import { removeCropsFromCollections } from '@/lib/collections';
+import { unindexCrops, unindexImage } from '@/lib/searchIndex';
+import { resolveProjectScope, inProject } from '@/lib/projects';
 
 /**
  * GET /api/images/{imageId}
- * Retrieve a stored image by ID (returns base64 data URL)
+ * Retrieve a stored image's metadata and file URL.
+ * Pass ?include=data to also get the image as a base64 data URL.
  */
 export async function GET(request, { params }) {
     const { imageId } = await params;
+    const { searchParams } = new URL(request.url);
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
 
-    const meta = getImageMeta(imageId);
-    if (!meta) {
+    const meta = await getImageMeta(imageId);
+    if (!inProject(meta, projectId)) {
         return NextResponse.json({ error: 'Image not found' }, { status: 404 });
     }
 
-    const dataUrl = loadImageAsDataUrl(imageId);
-    if (!dataUrl) {
-        return NextResponse.json({ error: 'Image file not found' }, { status: 404 });
+    let data;
+    if (searchParams.get('include') === 'data') {
+        data = await loadImageAsDataUrl(imageId);
+        if (!data) {
+            return NextResponse.json({ error: 'Image file not found' }, { status: 404 });
+        }
     }
 
     return NextResponse.json({
         id: imageId,
-        data: dataUrl,
+        projectId,
+        name: meta.name || null,
+        url: getImageFileUrl(imageId, projectId),
+        data,
+        hash: meta.hash,
+        format: meta.format,
+        byteSize: meta.byteSize,
         width: meta.width,
         height: meta.height,
+        pixelWidth: meta.pixelWidth,
+        pixelHeight: meta.pixelHeight,
+        orientation: meta.orientation || 1,
         createdAt: meta.createdAt,
         updatedAt: meta.updatedAt
     });
@@ -31,55 +54,93 @@ export async function GET(request, { params }) {
 
 /**
  * POST /api/images/{imageId}
- * Upload/save an image
+ * Upload/save an image under a client-chosen id. Accepts the same bodies as
+ * POST /api/images (multipart, raw binary or base64 JSON).
  */
 export async function POST(request, { params }) {
     const { imageId } = await params;
-    const body = await request.json();
-    const { data, width, height } = body;
 
-    if (!data) {
-        return NextResponse.json({ error: 'Image data is required' }, { status: 400 });
-    }
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
 
     try {
-        const result = saveImage(imageId, data, { width, height });
+        const { buffer, metadata } = await readImageUpload(request);
+
+        const existing = await getImageMeta(imageId);
+        if (existing && !inProject(existing, projectId)) {
+            return NextResponse.json({ error: 'Image id is used by another project' }, { status: 409 });
+        }
+
+        // An identical file that is already stored in the project comes back under its existing id
+        const result = await saveImageBuffer(imageId, buffer, metadata, { projectId });
         return NextResponse.json({
             success: true,
-            imageId,
-            path: result.path
+            imageId: result.imageId,
+            path: result.path,
+            hash: result.hash,
+            format: result.format,
+            byteSize: result.byteSize,
+            width: result.width,
+            height: result.height,
+            pixelWidth: result.pixelWidth,
+            pixelHeight: result.pixelHeight,
+            orientation: result.orientation,
+            duplicate: result.duplicate
         });
     } catch (error) {
-        return NextResponse.json({ error: error.message }, { status: 400 });
+        const status = getUploadErrorStatus(error);
+        if (!status) throw error;
+        return NextResponse.json({ error: error.message, code: error.code }, { status });
     }
 }
 
 /**
  * DELETE /api/images/{imageId}
- * Delete an image and optionally its associated crops
+ * Delete an image. Returns 409 with the crops and canvases that depend on
+ * the image, unless ?force=true, which deletes its crops too and removes them
+ * from canvases and collections.
  */
 export async function DELETE(request, { params }) {
     const { imageId } = await params;
     const { searchParams } = new URL(request.url);
-    const deleteCrops = searchParams.get('deleteCrops') === 'true';
+    const force = searchParams.get('force') === 'true';
 
-    // Delete image file
-    const deleted = deleteImage(imageId);
-    if (!deleted) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    // The dependents check and the delete share one transaction, so nothing
+    // can start using the image in between
+    const result = await getStorage().transaction(async (tx) => {
+        const meta = await tx.images.get(imageId);
+        if (!inProject(meta, projectId)) return { notFound: true };
+
+        const dependents = await findImageDependents(tx, imageId);
+        if (hasDependents(dependents) && !force) return { dependents };
+
+        // Crops never outlive their image, so a forced delete takes them along
+        await tx.images.remove(imageId);
+        const crops = await tx.crops.removeWhere({ imageId });
+        const detachedFrom = await detachCrops(tx, crops.map(crop => crop.id));
+        await removeCropsFromCollections(tx, crops.map(crop => crop.id));
+        return { meta, crops, detachedFrom };
+    });
+
+    if (result.notFound) {
         return NextResponse.json({ error: 'Image not found' }, { status: 404 });
     }
 
-    // Optionally delete associated crops from main db
-    let cropsDeleted = 0;
-    if (deleteCrops) {
-        const db = readDb();
-        if (db.crops) {
-            const initialCropsLength = db.crops.length;
-            db.crops = db.crops.filter(c => c.imageId !== imageId);
-            cropsDeleted = initialCropsLength - db.crops.length;
-            writeDb(db);
-        }
+    if (result.dependents) {
+        return NextResponse.json(
+            { error: 'Image is used by other records', dependents: result.dependents },
+            { status: 409 }
+        );
     }
 
-    return NextResponse.json({ success: true, cropsDeleted });
+    // Files are only deleted once the records are gone for good
+    await deleteUnreferencedImageFiles([result.meta.path]);
+    unindexImage(imageId);
+    result.crops.forEach(crop => deleteCropPreview(crop.imageDataPath));
+    unindexCrops(result.crops.map(crop => crop.id));
+
+    return NextResponse.json({ success: true, cropsDeleted: result.crops.length, detachedFrom: result.detachedFrom });
 }
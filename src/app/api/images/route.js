@@ -1,11 +1,71 @@
 import { NextResponse } from 'next/server';
-import { listImages } from '@/lib/imageDb';
+import { getStorage } from '@/lib/storage';
+import { listImages, saveImageBuffer, generateImageId, getImageFileUrl } from '@/lib/imageDb';
+import { readImageUpload, getUploadErrorStatus } from '@/lib/upload';
+import { resolveProjectScope } from '@/lib/projects';
 
 /**
  * GET /api/images
- * List all stored images (returns metadata only)
+ * List the project's stored images (metadata only), oldest first, each with
+ * its file `url` and how many crops were cut from it (`cropCount`)
  */
-export async function GET() {
-    const images = listImages();
-    return NextResponse.json({ images });
+export async function GET(request) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    const [images, crops] = await Promise.all([
+        listImages(projectId),
+        getStorage().crops.list({ projectId })
+    ]);
+
+    const cropCounts = new Map();
+    for (const crop of crops) {
+        const key = String(crop.imageId);
+        cropCounts.set(key, (cropCounts.get(key) || 0) + 1);
+    }
+
+    return NextResponse.json({
+        images: images.map(image => ({
+            ...image,
+            url: getImageFileUrl(image.id, image.projectId),
+            cropCount: cropCounts.get(String(image.id)) || 0
+        }))
+    });
+}
+
+/**
+ * POST /api/images
+ * Upload an image as multipart/form-data (`file` field), a raw binary body,
+ * or JSON `{ data: <base64 data URL> }`. The server assigns the id.
+ * Returns 201 for a new image, or 200 with `duplicate: true` and the existing
+ * id when the same bytes are already stored in the project.
+ */
+export async function POST(request) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        const { buffer, metadata } = await readImageUpload(request);
+        const result = await saveImageBuffer(generateImageId(), buffer, metadata, { projectId });
+
+        return NextResponse.json({
+            success: true,
+            imageId: result.imageId,
+            projectId,
+            url: getImageFileUrl(result.imageId, projectId),
+            hash: result.hash,
+            format: result.format,
+            byteSize: result.byteSize,
+            width: result.width,
+            height: result.height,
+            pixelWidth: result.pixelWidth,
+            pixelHeight: result.pixelHeight,
+            orientation: result.orientation,
+            duplicate: result.duplicate
+        }, { status: result.duplicate ? 200 : 201 });
+    } catch (error) {
+        const status = getUploadErrorStatus(error);
+        if (!status) throw error;
+        return NextResponse.json({ error: error.message, code: error.code }, { status });
+    }
 }
@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { collectGarbage } from '@/lib/gc';
+
+/**
+ * GET /api/maintenance/gc
+ * Dry run: report orphaned files and records pointing at missing files
+ */
+export async function GET() {
+    const report = await collectGarbage({ dryRun: true });
+    return NextResponse.json(report);
+}
+
+/**
+ * POST /api/maintenance/gc
+ * Body: { mode: 'report' | 'delete' } (defaults to 'report')
+ * 'delete' removes orphaned files and repairs dangling records
+ */
+export async function POST(request) {
+    const body = await request.json().catch(() => ({}));
+    const mode = body.mode || 'report';
+
+    if (mode !== 'report' && mode !== 'delete') {
+        return NextResponse.json({ error: "mode must be 'report' or 'delete'" }, { status: 400 });
+    }
+
+    const report = await collectGarbage({ dryRun: mode === 'report' });
+    return NextResponse.json(report);
+}
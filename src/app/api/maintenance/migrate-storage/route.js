@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { getStorage, STORAGE_DRIVERS } from '@/lib/storage';
+import { copyStorage } from '@/lib/storage/migrateStorage';
+
+/**
+ * POST /api/maintenance/migrate-storage
+ * One-shot copy of all records between storage drivers.
+ * Body: { from: 'json', to: 'sqlite', overwrite?: boolean }
+ * Switch VISTACROP_STORAGE to the target driver afterwards.
+ */
+export async function POST(request) {
+    const body = await request.json().catch(() => ({}));
+    const { from = 'json', to = 'sqlite', overwrite = false } = body;
+
+    if (!STORAGE_DRIVERS.includes(from) || !STORAGE_DRIVERS.includes(to)) {
+        return NextResponse.json({ error: `Drivers must be one of: ${STORAGE_DRIVERS.join(', ')}` }, { status: 400 });
+    }
+    if (from === to) {
+        return NextResponse.json({ error: 'Source and target drivers must differ' }, { status: 400 });
+    }
+
+    try {
+        const copied = await copyStorage(getStorage(from), getStorage(to), { overwrite });
+        return NextResponse.json({ success: true, from, to, copied });
+    } catch (error) {
+        if (error.code === 'ETARGETNOTEMPTY') {
+            return NextResponse.json({ error: error.message }, { status: 409 });
+        }
+        console.error('Storage migration failed:', error);
+        return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { readProjectBody, moveToProject, getProjectErrorStatus } from '@/lib/projects';
+
+/**
+ * POST /api/projects/{projectId}/move
+ * Move images (with their crops) and canvases into this project:
+ * { imageIds?, canvasIds? }
+ * Returns 409 with `dependents: { canvases, images }` when a canvas would be
+ * separated from crops it uses; add those ids to the request to move them together.
+ * Response: { success, moved: { images, crops, canvases } }
+ */
+export async function POST(request, { params }) {
+    const { projectId } = await params;
+
+    try {
+        const { imageIds, canvasIds } = await readProjectBody(request);
+        const moved = await moveToProject(projectId, { imageIds, canvasIds });
+        return NextResponse.json({ success: true, moved });
+    } catch (error) {
+        const status = getProjectErrorStatus(error);
+        if (!status) throw error;
+        return NextResponse.json({ error: error.message, code: error.code, dependents: error.dependents }, { status });
+    }
+}
@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server';
+import {
+    readProjectBody,
+    parseProjectInput,
+    getProjectSummary,
+    updateProject,
+    deleteProject,
+    getProjectErrorStatus
+} from '@/lib/projects';
+
+function projectErrorResponse(error) {
+    const status = getProjectErrorStatus(error);
+    if (!status) throw error;
+    return NextResponse.json({ error: error.message, code: error.code, dependents: error.dependents }, { status });
+}
+
+/**
+ * GET /api/projects/{projectId}
+ */
+export async function GET(request, { params }) {
+    const { projectId } = await params;
+
+    try {
+        return NextResponse.json({ project: await getProjectSummary(projectId) });
+    } catch (error) {
+        return projectErrorResponse(error);
+    }
+}
+
+/**
+ * PATCH /api/projects/{projectId}
+ * Rename or describe a project: { name?, description? }
+ */
+export async function PATCH(request, { params }) {
+    const { projectId } = await params;
+
+    try {
+        await updateProject(projectId, parseProjectInput(await readProjectBody(request), { partial: true }));
+        return NextResponse.json({ project: await getProjectSummary(projectId) });
+    } catch (error) {
+        return projectErrorResponse(error);
+    }
+}
+
+/**
+ * DELETE /api/projects/{projectId}
+ * Returns 409 with the images, crops and canvases still in the project,
+ * unless ?force=true, which deletes them (and its collections) along with it.
+ * The default project cannot be deleted.
+ * Response: { success, deleted: { images, crops, canvases, collections } }
+ */
+export async function DELETE(request, { params }) {
+    const { projectId } = await params;
+    const { searchParams } = new URL(request.url);
+
+    try {
+        const deleted = await deleteProject(projectId, { force: searchParams.get('force') === 'true' });
+        return NextResponse.json({ success: true, deleted });
+    } catch (error) {
+        return projectErrorResponse(error);
+    }
+}
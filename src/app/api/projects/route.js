@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { listProjects, readProjectBody, parseProjectInput, createProject, toProjectResponse, getProjectErrorStatus } from '@/lib/projects';
+
+/**
+ * GET /api/projects
+ * Every project, the default project first, with record counts
+ * Response: { projects: [{ id, name, description, counts: { images, crops, canvases }, createdAt, updatedAt }] }
+ */
+export async function GET() {
+    const projects = await listProjects();
+    return NextResponse.json({ projects });
+}
+
+/**
+ * POST /api/projects
+ * Create an empty project: { name, description? }
+ * Response (201): { project }
+ */
+export async function POST(request) {
+    try {
+        const project = await createProject(parseProjectInput(await readProjectBody(request)));
+        return NextResponse.json(
+            { project: toProjectResponse(project, { images: 0, crops: 0, canvases: 0 }) },
+            { status: 201 }
+        );
+    } catch (error) {
+        const status = getProjectErrorStatus(error);
+        if (!status) throw error;
+        return NextResponse.json({ error: error.message, code: error.code }, { status });
+    }
+}
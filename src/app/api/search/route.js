@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { toCropResponse } from '@/lib/cropDb';
+import { searchCrops } from '@/lib/searchIndex';
+import { resolveProjectScope } from '@/lib/projects';
+
+/**
+ * GET /api/search?q=
+ * Search the project's crops by tags, notes and source image metadata, best matches first.
+ *
+ * Query syntax:
+ * - words: every word must match (`cat*` matches words starting with "cat")
+ * - "quoted phrase": the words in this order, in one field
+ * - tag:name or tag:"two words": only crops with this tag or a descendant of it
+ * - image:id or image:name: only crops of this image (by id, or file name)
+ *
+ * Optional `limit` (default 50, max 500).
+ * Response: { results: [{ score, crop }], total }
+ */
+export async function GET(request) {
+    const { searchParams } = new URL(request.url);
+    const q = searchParams.get('q')?.trim();
+    if (!q) {
+        return NextResponse.json({ error: 'q is required' }, { status: 400 });
+    }
+
+    let limit;
+    if (searchParams.has('limit')) {
+        limit = Number(searchParams.get('limit'));
+        if (!Number.isInteger(limit) || limit < 1) {
+            return NextResponse.json({ error: 'limit must be a positive integer' }, { status: 400 });
+        }
+    }
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    const { results, total } = await searchCrops(q, { limit, projectId });
+    return NextResponse.json({
+        results: results.map(({ crop, score }) => ({ score, crop: toCropResponse(crop) })),
+        total
+    });
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { readTagBody, parseTagName, parseTagDetails, updateTagDetails, getTagErrorStatus } from '@/lib/tags';
+
+/**
+ * PATCH /api/tags/info
+ * Set a tag's display details: { tag, color?, description? }. Colors are
+ * hex (#rgb or #rrggbb); null clears a field. The tag does not have to be
+ * in use yet.
+ * Response: { success, tag: { name, color, description } }
+ */
+export async function PATCH(request) {
+    try {
+        const body = await readTagBody(request);
+        const name = parseTagName(body.tag);
+        const record = await updateTagDetails(name, parseTagDetails(body));
+        return NextResponse.json({
+            success: true,
+            tag: { name, color: record.color, description: record.description }
+        });
+    } catch (error) {
+        const status = getTagErrorStatus(error);
+        if (!status) throw error;
+        return NextResponse.json({ error: error.message, code: error.code }, { status });
+    }
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { readTagBody, parseTagName, mergeTags, getTagErrorStatus } from '@/lib/tags';
+import { resolveProjectScope } from '@/lib/projects';
+
+/**
+ * POST /api/tags/merge
+ * Replace several tags (and their descendants) with one on the project's crops: { tags: [...], into }
+ * Response: { success, name, cropsUpdated }
+ */
+export async function POST(request) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        const { tags, into } = await readTagBody(request);
+        if (!Array.isArray(tags) || tags.length === 0) {
+            return NextResponse.json({ error: 'tags must be a non-empty array' }, { status: 400 });
+        }
+
+        const name = parseTagName(into, 'into');
+        const changed = await mergeTags(tags.map(tag => parseTagName(tag, 'tags')), name, projectId);
+        return NextResponse.json({ success: true, name, cropsUpdated: changed.length });
+    } catch (error) {
+        const status = getTagErrorStatus(error);
+        if (!status) throw error;
+        return NextResponse.json({ error: error.message, code: error.code }, { status });
+    }
+}
@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server';
+import { getStorage } from '@/lib/storage';
+import { listTags, readTagBody, parseTagName, renameTag, deleteTag, getTagErrorStatus } from '@/lib/tags';
+import { resolveProjectScope } from '@/lib/projects';
+
+function tagErrorResponse(error) {
+    const status = getTagErrorStatus(error);
+    if (!status) throw error;
+    return NextResponse.json({ error: error.message, code: error.code }, { status });
+}
+
+/**
+ * GET /api/tags
+ * Every tag in use (and each ancestor of one), most used first. `count` is
+ * the project's crops with exactly this tag, `totalCount` includes its descendants.
+ * Renames, merges and deletes below apply to the project's crops too.
+ * Response: { tags: [{ name, parent, count, totalCount, color, description }] }
+ */
+export async function GET(request) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    const tags = await listTags(getStorage(), projectId);
+    return NextResponse.json({ tags });
+}
+
+/**
+ * PATCH /api/tags
+ * Rename a tag on the project's crops: { from, to }. Descendants move with
+ * it, and renaming to a tag that is already in use merges the two.
+ * Response: { success, name, cropsUpdated }
+ */
+export async function PATCH(request) {
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        const { from, to } = await readTagBody(request);
+        const name = parseTagName(to, 'to');
+        const changed = await renameTag(parseTagName(from, 'from'), name, projectId);
+        return NextResponse.json({ success: true, name, cropsUpdated: changed.length });
+    } catch (error) {
+        return tagErrorResponse(error);
+    }
+}
+
+/**
+ * DELETE /api/tags?tag=name
+ * Remove a tag and its descendants from the project's crops
+ * Response: { success, cropsUpdated }
+ */
+export async function DELETE(request) {
+    const { searchParams } = new URL(request.url);
+
+    const { projectId, response } = await resolveProjectScope(request);
+    if (response) return response;
+
+    try {
+        const changed = await deleteTag(parseTagName(searchParams.get('tag')), projectId);
+        return NextResponse.json({ success: true, cropsUpdated: changed.length });
+    } catch (error) {
+        return tagErrorResponse(error);
+    }
+}
@@ -1,50 +1,127 @@
 import { useCallback, useEffect, useRef, useState } from 'react'
 import { FILTERS } from '../utils/filters'
+import { loadImage, getUprightSize } from '../utils/imageLoader'
+import { getCropImageSrc } from '../utils/api'
+import SelectionInspector from './SelectionInspector'
+import {
+    MIN_SELECTION_SIZE,
+    SELECTION_HANDLES,
+    constrainToAspect,
+    fitSelection,
+    getHandleCursor,
+    isPointInSelection,
+    moveSelection,
+    resizeSelection,
+    scaleSelection,
+    selectionFromCenter
+} from '../utils/selection'
+import {
+    FREE_CONSTRAINT,
+    RATIO_PRESETS,
+    describeConstraint,
+    fromConstraintRecord,
+    getConstraintAspect,
+    isValidConstraint,
+    toConstraintRecord
+} from '../utils/cropConstraints'
 
-function CanvasView({ image, onAddCrop, onImageUpload }) {
+// Constraint field style, compact enough for the toolbar
+const constraintField = { padding: '4px 8px', width: 'auto' }
+
+// Largest zoom, in screen pixels per image pixel
+const MAX_ZOOM = 16
+// Zoom change per wheel step
+const WHEEL_ZOOM_STEP = 1.15
+// Loupe diameter in screen pixels, and its smallest magnification of image pixels
+const LOUPE_SIZE = 140
+const LOUPE_MIN_SCALE = 4
+
+function CanvasView({
+    image,
+    crops = [],
+    editCropId,
+    onAddCrop,
+    onAddCrops,
+    onUpdateCrop,
+    onDeleteCrop,
+    onEditCropStarted,
+    onImageUpload
+}) {
     const containerRef = useRef(null)
     const canvasRef = useRef(null)
     const [isDragging, setIsDragging] = useState(false)
     const [isRotating, setIsRotating] = useState(false)
     const [isDraggingOver, setIsDraggingOver] = useState(false)
     const initialRotationRef = useRef({ angle: 0, startAngle: 0 })
+    // Move or handle drag in progress: { mode: 'move', origin, selection } or { mode: 'resize', handle, start }
+    const [transform, setTransform] = useState(null)
     const [selection, setSelection] = useState(null)
     const [selectionRotation, setSelectionRotation] = useState(0)
     const [imageSize, setImageSize] = useState({ width: 0, height: 0 })
     const [displaySize, setDisplaySize] = useState({ width: 0, height: 0, offsetX: 0, offsetY: 0 })
+    // Image that displaySize was measured for
+    const [loadedImage, setLoadedImage] = useState(null)
     const [activeFilter, setActiveFilter] = useState(FILTERS[0])
+    // Aspect ratio or fixed output size new selections are held to
+    const [constraint, setConstraint] = useState(FREE_CONSTRAINT)
+    // Outlines of the crops already cut from this image
+    const [showCrops, setShowCrops] = useState(true)
+    const [hoveredCropId, setHoveredCropId] = useState(null)
+    const [selectedCropId, setSelectedCropId] = useState(null)
+    // Crop whose region the selection is re-editing; saving updates it in place
+    const [editingCropId, setEditingCropId] = useState(null)
+    // Selections kept for one batch save, in source pixels: { key, centerX, centerY, width, height, rotation, filter, constraint, tagText }
+    const [pendingCrops, setPendingCrops] = useState([])
+    const [isSavingBatch, setIsSavingBatch] = useState(false)
+    // View that fits the whole image; zooming never goes below it
+    const fitViewRef = useRef(null)
+    // Space held for panning, and the pan drag in progress
+    const [isSpaceHeld, setIsSpaceHeld] = useState(false)
+    const [pan, setPan] = useState(null)
+    // Pointer over the image while a selection edge is dragged, for the loupe
+    const [loupePoint, setLoupePoint] = useState(null)
 
     useEffect(() => {
         if (!image || !containerRef.current) return
 
-        const img = new Image()
-        img.onload = () => {
-            setImageSize({ width: img.width, height: img.height })
+        // Pending selections were measured on the previous image
+        setPendingCrops([])
+
+        let cancelled = false
+        loadImage(image).then((img) => {
+            if (cancelled || !containerRef.current) return
+
+            // Upright size: EXIF orientation applied, the space crop coordinates use
+            const { width, height } = getUprightSize(img)
+            setImageSize({ width, height })
 
             const container = containerRef.current
             const containerWidth = container.clientWidth - 48
             const containerHeight = container.clientHeight - 48
 
             const scale = Math.min(
-                containerWidth / img.width,
-                containerHeight / img.height,
+                containerWidth / width,
+                containerHeight / height,
                 1
             )
 
-            const displayWidth = img.width * scale
-            const displayHeight = img.height * scale
+            const displayWidth = width * scale
+            const displayHeight = height * scale
             const offsetX = (containerWidth - displayWidth) / 2 + 24
             const offsetY = (containerHeight - displayHeight) / 2 + 24
 
-            setDisplaySize({
+            fitViewRef.current = {
                 width: displayWidth,
                 height: displayHeight,
                 offsetX,
                 offsetY,
                 scale
-            })
-        }
-        img.src = image
+            }
+            setDisplaySize(fitViewRef.current)
+            setLoadedImage(image)
+        }).catch(error => console.error('Failed to load image:', error))
+
+        return () => { cancelled = true }
     }, [image])
 
     const getMousePosition = useCallback((e) => {
@@ -66,38 +143,229 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
         return { x, y, width, height, centerX, centerY }
     }, [selection])
 
+    // Crop geometry is in image pixels: x/y/width/height describe the box
+    // before it is turned by sourceRotation around its center
+    const getCropOverlayStyle = (crop) => {
+        const scale = displaySize.scale
+        return {
+            left: displaySize.offsetX + (crop.x + crop.width / 2) * scale,
+            top: displaySize.offsetY + (crop.y + crop.height / 2) * scale,
+            width: crop.width * scale,
+            height: crop.height * scale,
+            transform: `translate(-50%, -50%) rotate(${crop.sourceRotation || 0}deg)`
+        }
+    }
+
+    const handleCropClick = (cropId) => {
+        if (isSpaceHeld) return
+
+        // A drag that started on an outline draws a selection instead
+        const rect = getSelectionRect()
+        if (rect && (rect.width > MIN_SELECTION_SIZE || rect.height > MIN_SELECTION_SIZE)) return
+
+        setSelection(null)
+        setSelectionRotation(0)
+        setSelectedCropId(cropId)
+    }
+
+    // Restore a crop's region, rotation and filter as the selection
+    const startEditingCrop = useCallback((crop) => {
+        const scale = displaySize.scale
+        setSelection({
+            startX: crop.x * scale,
+            startY: crop.y * scale,
+            endX: (crop.x + crop.width) * scale,
+            endY: (crop.y + crop.height) * scale
+        })
+        setSelectionRotation(crop.sourceRotation || 0)
+        setActiveFilter(FILTERS.find(filter => filter.filter === (crop.filter || 'none')) || FILTERS[0])
+        setConstraint(fromConstraintRecord(crop.constraint))
+        setEditingCropId(crop.id)
+        setSelectedCropId(null)
+    }, [displaySize])
+
+    const clearSelection = () => {
+        setSelection(null)
+        setSelectionRotation(0)
+    }
+
+    const cancelEditingCrop = () => {
+        setEditingCropId(null)
+        clearSelection()
+    }
+
+    // Escape drops the selection, or leaves crop editing; Space held pans
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.target.matches('input, textarea, select')) return
+            if (e.key === 'Escape') {
+                setSelection(null)
+                setSelectionRotation(0)
+                setEditingCropId(null)
+            }
+            if (e.key === ' ') {
+                e.preventDefault()
+                setIsSpaceHeld(true)
+            }
+        }
+        const handleKeyUp = (e) => {
+            if (e.key !== ' ') return
+            if (!e.target.matches('input, textarea, select')) e.preventDefault()
+            setIsSpaceHeld(false)
+            setPan(null)
+        }
+        window.addEventListener('keydown', handleKeyDown)
+        window.addEventListener('keyup', handleKeyUp)
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown)
+            window.removeEventListener('keyup', handleKeyUp)
+        }
+    }, [])
+
+    // Show the image at a new scale and position, keeping the selection on
+    // the same image pixels
+    const applyView = (view) => {
+        const ratio = view.scale / displaySize.scale
+        setDisplaySize({
+            width: imageSize.width * view.scale,
+            height: imageSize.height * view.scale,
+            offsetX: view.offsetX,
+            offsetY: view.offsetY,
+            scale: view.scale
+        })
+        setSelection(prev => prev && scaleSelection(prev, ratio))
+    }
+
+    // Zoom keeping `anchor` (container pixels) over the same image point
+    const zoomTo = (nextScale, anchor) => {
+        if (!fitViewRef.current) return
+        const scale = Math.min(Math.max(nextScale, fitViewRef.current.scale), MAX_ZOOM)
+        const ratio = scale / displaySize.scale
+        applyView({
+            scale,
+            offsetX: anchor.x - (anchor.x - displaySize.offsetX) * ratio,
+            offsetY: anchor.y - (anchor.y - displaySize.offsetY) * ratio
+        })
+    }
+
+    const getContainerCenter = () => ({
+        x: containerRef.current.clientWidth / 2,
+        y: containerRef.current.clientHeight / 2
+    })
+
+    const handleWheel = (e) => {
+        // Zooming mid-drag would move the selection under the pointer
+        if (!image || isDragging || isRotating || transform || pan) return
+        const rect = containerRef.current.getBoundingClientRect()
+        const factor = e.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP
+        zoomTo(displaySize.scale * factor, { x: e.clientX - rect.left, y: e.clientY - rect.top })
+    }
+
+    const handleFitView = () => {
+        if (fitViewRef.current) applyView(fitViewRef.current)
+    }
+
+    // A crop opened for editing from another view, once its image is measured
+    useEffect(() => {
+        if (editCropId == null || loadedImage !== image) return
+        const crop = crops.find(c => String(c.id) === String(editCropId))
+        if (crop) startEditingCrop(crop)
+        onEditCropStarted?.()
+    }, [editCropId, loadedImage, image, crops, startEditingCrop, onEditCropStarted])
+
+    // A fixed size has to fit inside the image to be cut from it
+    const fitsImage = (target) =>
+        target.type !== 'size' || (target.width <= imageSize.width && target.height <= imageSize.height)
+    const isOversized = imageSize.width > 0 && isValidConstraint(constraint) && !fitsImage(constraint)
+
+    // Half-typed custom values and oversized fixed sizes leave the selection free until they are valid
+    const activeConstraint = isValidConstraint(constraint) && !isOversized ? constraint : FREE_CONSTRAINT
+    const constraintAspect = getConstraintAspect(activeConstraint)
+    const isFixedSize = activeConstraint.type === 'size'
+
+    // Selection size, in display pixels, for a fixed-size constraint
+    const getFixedDisplaySize = (target) => ({
+        width: target.width * displaySize.scale,
+        height: target.height * displaySize.scale
+    })
+
+    const handleConstraintChange = (next) => {
+        setConstraint(next)
+        if (!selection || !isValidConstraint(next) || !fitsImage(next) || next.type === 'free') return
+        setSelection(fitSelection(
+            selection,
+            next.type === 'size' ? getFixedDisplaySize(next) : { aspect: getConstraintAspect(next) },
+            displaySize
+        ))
+    }
+
+    const handleConstraintPick = (id) => {
+        if (id === 'free') return handleConstraintChange(FREE_CONSTRAINT)
+
+        const rect = getSelectionRect()
+        const hasRect = rect && rect.width > MIN_SELECTION_SIZE && rect.height > MIN_SELECTION_SIZE
+        if (id === 'custom') {
+            // Start from the current ratio
+            const base = constraint.type === 'ratio' ? constraint : { width: 1, height: 1 }
+            return handleConstraintChange({ id, type: 'ratio', width: base.width, height: base.height, label: 'Custom ratio' })
+        }
+        if (id === 'size') {
+            // Start from the current selection's size in image pixels
+            const width = hasRect ? Math.round(rect.width / displaySize.scale) : Math.min(512, imageSize.width || 512)
+            const height = hasRect ? Math.round(rect.height / displaySize.scale) : Math.min(512, imageSize.height || 512)
+            return handleConstraintChange({ id, type: 'size', width, height, label: 'Fixed size' })
+        }
+        handleConstraintChange(RATIO_PRESETS.find(preset => preset.id === id))
+    }
+
     const handleMouseDown = (e) => {
         if (!image) return
+
+        if (isSpaceHeld) {
+            setPan({ x: e.clientX, y: e.clientY, offsetX: displaySize.offsetX, offsetY: displaySize.offsetY })
+            return
+        }
+
         const pos = getMousePosition(e)
 
         // Check if we have an existing selection
         const rect = getSelectionRect()
 
-        if (rect && rect.width > 10 && rect.height > 10) {
-            // Check if click is OUTSIDE the selection - start rotation mode
-            const isOutsideSelection =
-                pos.x < rect.x || pos.x > rect.x + rect.width ||
-                pos.y < rect.y || pos.y > rect.y + rect.height
-
-            if (isOutsideSelection) {
-                // Calculate initial angle from selection center to mouse
-                const angleToMouse = Math.atan2(
-                    pos.y - rect.centerY,
-                    pos.x - rect.centerX
-                ) * (180 / Math.PI)
-
-                initialRotationRef.current = {
-                    angle: selectionRotation,
-                    startAngle: angleToMouse
-                }
-                setIsRotating(true)
+        if (rect && rect.width > MIN_SELECTION_SIZE && rect.height > MIN_SELECTION_SIZE) {
+            // Inside the (rotated) selection - move it
+            if (isPointInSelection(pos, rect, selectionRotation)) {
+                setTransform({ mode: 'move', origin: pos, selection })
                 return
             }
+
+            // Outside the selection - start rotation mode
+            // Calculate initial angle from selection center to mouse
+            const angleToMouse = Math.atan2(
+                pos.y - rect.centerY,
+                pos.x - rect.centerX
+            ) * (180 / Math.PI)
+
+            initialRotationRef.current = {
+                angle: selectionRotation,
+                startAngle: angleToMouse
+            }
+            setIsRotating(true)
+            return
         }
 
         // Otherwise, start a new selection if within image bounds
         if (pos.x < 0 || pos.y < 0 || pos.x > displaySize.width || pos.y > displaySize.height) return
 
+        // A fixed-size selection is placed under the pointer and dragged into position
+        if (isFixedSize) {
+            const { width, height } = getFixedDisplaySize(activeConstraint)
+            const placed = moveSelection(selectionFromCenter(pos.x, pos.y, width, height), 0, 0, displaySize)
+            setSelection(placed)
+            setSelectionRotation(0)
+            setTransform({ mode: 'move', origin: pos, selection: placed })
+            return
+        }
+
         setIsDragging(true)
         setSelection({
             startX: pos.x,
@@ -108,9 +376,46 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
         setSelectionRotation(0)
     }
 
+    const handleResizeStart = (e, handle) => {
+        if (isSpaceHeld) return // pans instead
+        e.stopPropagation()
+        const rect = getSelectionRect()
+        setTransform({
+            mode: 'resize',
+            handle,
+            start: { centerX: rect.centerX, centerY: rect.centerY, width: rect.width, height: rect.height, rotation: selectionRotation }
+        })
+    }
+
     const handleMouseMove = (e) => {
+        if (pan) {
+            setDisplaySize(prev => ({
+                ...prev,
+                offsetX: pan.offsetX + e.clientX - pan.x,
+                offsetY: pan.offsetY + e.clientY - pan.y
+            }))
+            return
+        }
+
         const pos = getMousePosition(e)
 
+        if (transform?.mode === 'move') {
+            setSelection(moveSelection(transform.selection, pos.x - transform.origin.x, pos.y - transform.origin.y, displaySize))
+            return
+        }
+
+        if (transform?.mode === 'resize') {
+            setLoupePoint(pos)
+            // Shift keeps the aspect ratio, Alt resizes from the center
+            setSelection(resizeSelection(transform.start, transform.handle, pos, {
+                keepAspect: e.shiftKey || constraintAspect !== null,
+                aspect: constraintAspect || undefined,
+                fromCenter: e.altKey,
+                bounds: displaySize
+            }))
+            return
+        }
+
         if (isRotating) {
             const rect = getSelectionRect()
             if (!rect) return
@@ -136,17 +441,20 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
         if (!isDragging || !selection) return
         const clampedX = Math.max(0, Math.min(pos.x, displaySize.width))
         const clampedY = Math.max(0, Math.min(pos.y, displaySize.height))
+        setLoupePoint({ x: clampedX, y: clampedY })
 
-        setSelection(prev => ({
-            ...prev,
-            endX: clampedX,
-            endY: clampedY
-        }))
+        setSelection(prev => {
+            const next = { ...prev, endX: clampedX, endY: clampedY }
+            return constraintAspect ? constrainToAspect(next, constraintAspect, displaySize) : next
+        })
     }
 
     const handleMouseUp = () => {
         setIsDragging(false)
         setIsRotating(false)
+        setTransform(null)
+        setPan(null)
+        setLoupePoint(null)
     }
 
     const handleDragOver = (e) => {
@@ -185,24 +493,36 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
         if (file && file.type.startsWith('image/')) {
             const reader = new FileReader()
             reader.onload = (event) => {
-                onImageUpload(event.target.result)
+                onImageUpload(event.target.result, file)
             }
             reader.readAsDataURL(file)
         }
     }
 
-    const handleCreateCrop = () => {
+    // The selection in source pixels, with the filter and constraint it is cut with
+    const getSelectionRegion = () => {
         const rect = getSelectionRect()
-        if (!rect || rect.width < 10 || rect.height < 10) return
+        if (!rect || rect.width < MIN_SELECTION_SIZE || rect.height < MIN_SELECTION_SIZE) return null
 
         const scale = displaySize.scale
-        const originalCenterX = rect.centerX / scale
-        const originalCenterY = rect.centerY / scale
-        const originalWidth = rect.width / scale
-        const originalHeight = rect.height / scale
+        return {
+            centerX: rect.centerX / scale,
+            centerY: rect.centerY / scale,
+            // A fixed size is exact, not a rescaled display size
+            width: isFixedSize ? activeConstraint.width : rect.width / scale,
+            height: isFixedSize ? activeConstraint.height : rect.height / scale,
+            rotation: selectionRotation,
+            filter: activeFilter.filter,
+            constraint: toConstraintRecord(activeConstraint)
+        }
+    }
+
+    // Cut a region out of the original image; resolves to the crop's fields
+    const renderCrop = (region) => {
+        const { centerX: originalCenterX, centerY: originalCenterY, width: originalWidth, height: originalHeight } = region
 
         const canvas = document.createElement('canvas')
-        const radians = (selectionRotation * Math.PI) / 180
+        const radians = (region.rotation * Math.PI) / 180
         const cos = Math.abs(Math.cos(radians))
         const sin = Math.abs(Math.sin(radians))
         const rotatedWidth = Math.ceil(originalWidth * cos + originalHeight * sin)
@@ -212,11 +532,10 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
         canvas.height = rotatedHeight
         const ctx = canvas.getContext('2d')
 
-        const img = new Image()
-        img.onload = () => {
+        return loadImage(image).then((img) => {
             // Apply filter before drawing
-            if (activeFilter.filter !== 'none') {
-                ctx.filter = activeFilter.filter
+            if (region.filter !== 'none') {
+                ctx.filter = region.filter
             }
 
             ctx.translate(rotatedWidth / 2, rotatedHeight / 2)
@@ -240,25 +559,121 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
                 originalHeight
             )
 
-            onAddCrop({
+            return {
                 imageData: clipCanvas.toDataURL('image/png'),
                 x: Math.round(originalCenterX - originalWidth / 2),
                 y: Math.round(originalCenterY - originalHeight / 2),
                 width: Math.round(originalWidth),
                 height: Math.round(originalHeight),
-                sourceRotation: selectionRotation,
+                sourceRotation: region.rotation,
                 originalImageWidth: imageSize.width,
                 originalImageHeight: imageSize.height,
-                filter: activeFilter.filter
-            })
+                filter: region.filter,
+                constraint: region.constraint
+            }
+        })
+    }
+
+    const handleCreateCrop = () => {
+        const region = getSelectionRegion()
+        if (!region) return
+
+        renderCrop(region).then((cropData) => {
+            if (editingCropId != null) {
+                onUpdateCrop(editingCropId, cropData)
+                setEditingCropId(null)
+            } else {
+                onAddCrop(cropData)
+            }
 
             setSelection(null)
             setSelectionRotation(0)
+        }).catch(error => console.error('Failed to create crop:', error))
+    }
+
+    // Keep the selection for the batch and start the next one
+    const handleAddToBatch = () => {
+        const region = getSelectionRegion()
+        if (!region) return
+
+        setPendingCrops(prev => [...prev, { ...region, key: `${Date.now()}-${prev.length}`, tagText: '' }])
+        setSelection(null)
+        setSelectionRotation(0)
+    }
+
+    const updatePendingCrop = (key, updates) => {
+        setPendingCrops(prev => prev.map(pending => (pending.key === key ? { ...pending, ...updates } : pending)))
+    }
+
+    const handleSaveBatch = async () => {
+        setIsSavingBatch(true)
+        try {
+            const batch = await Promise.all(pendingCrops.map(async (pending) => ({
+                ...await renderCrop(pending),
+                tags: pending.tagText.split(',')
+            })))
+            if (await onAddCrops(batch)) setPendingCrops([])
+        } catch (error) {
+            console.error('Failed to create crops:', error)
+        } finally {
+            setIsSavingBatch(false)
         }
-        img.src = image
     }
 
     const selectionRect = getSelectionRect()
+    const selectedCrop = crops.find(crop => crop.id === selectedCropId)
+    // The crop being edited is shown by the selection instead of its outline
+    const outlinedCrops = crops.filter(crop => crop.id !== editingCropId)
+    const hoveredCrop = isDragging || isRotating || transform ? null : crops.find(crop => crop.id === hoveredCropId)
+    const hasSelection = Boolean(selectionRect && selectionRect.width > MIN_SELECTION_SIZE && selectionRect.height > MIN_SELECTION_SIZE)
+    // The selection in source pixels, as handleCreateCrop will store it
+    const selectionValues = hasSelection ? {
+        x: selectionRect.x / displaySize.scale,
+        y: selectionRect.y / displaySize.scale,
+        width: selectionRect.width / displaySize.scale,
+        height: selectionRect.height / displaySize.scale,
+        rotation: selectionRotation
+    } : null
+
+    const handleInspectorChange = (field, value) => {
+        if (field === 'rotation') {
+            let rotation = value
+            while (rotation > 180) rotation -= 360
+            while (rotation < -180) rotation += 360
+            setSelectionRotation(rotation)
+            return
+        }
+
+        const next = { ...selectionValues, [field]: value }
+        if (field === 'width' || field === 'height') {
+            // Below MIN_SELECTION_SIZE on screen the selection is dropped, inspector and all;
+            // the epsilon keeps rounding in the display conversion from landing on the bound
+            const minSize = (MIN_SELECTION_SIZE + 1e-6) / displaySize.scale
+            next.width = Math.max(next.width, minSize)
+            next.height = Math.max(next.height, minSize)
+            if (constraintAspect && field === 'width') next.height = next.width / constraintAspect
+            if (constraintAspect && field === 'height') next.width = next.height * constraintAspect
+            // Shrink both sides together so a held ratio survives the image edge
+            const fit = Math.min(1, imageSize.width / next.width, imageSize.height / next.height)
+            if (constraintAspect) {
+                next.width *= fit
+                next.height *= fit
+            } else {
+                next.width = Math.min(next.width, imageSize.width)
+                next.height = Math.min(next.height, imageSize.height)
+            }
+        }
+        next.x = Math.min(Math.max(next.x, 0), Math.max(imageSize.width - next.width, 0))
+        next.y = Math.min(Math.max(next.y, 0), Math.max(imageSize.height - next.height, 0))
+
+        const scale = displaySize.scale
+        setSelection({
+            startX: next.x * scale,
+            startY: next.y * scale,
+            endX: (next.x + next.width) * scale,
+            endY: (next.y + next.height) * scale
+        })
+    }
 
     if (!image) {
         return (
@@ -298,11 +713,12 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
     return (
         <div
             ref={containerRef}
-            className={`glass-card flex-1 relative cursor-crosshair overflow-hidden transition-all duration-300 ${isDraggingOver ? 'bg-purple-500/10 outline-2 outline-dashed outline-purple-500/50 outline-offset-[-2px]' : ''}`}
+            className={`glass-card flex-1 relative ${isSpaceHeld ? (pan ? 'cursor-grabbing' : 'cursor-grab') : 'cursor-crosshair'} overflow-hidden transition-all duration-300 ${isDraggingOver ? 'bg-purple-500/10 outline-2 outline-dashed outline-purple-500/50 outline-offset-[-2px]' : ''}`}
             onMouseDown={handleMouseDown}
             onMouseMove={handleMouseMove}
             onMouseUp={handleMouseUp}
             onMouseLeave={handleMouseUp}
+            onWheel={handleWheel}
             onDragOver={handleDragOver}
             onDragLeave={handleDragLeave}
             onDrop={handleDrop}
@@ -323,6 +739,64 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
                 draggable={false}
             />
 
+            {/* Existing crops */}
+            {showCrops && displaySize.scale > 0 && !isDraggingOver && outlinedCrops.map(crop => {
+                const isSelected = crop.id === selectedCropId
+                return (
+                    <div
+                        key={crop.id}
+                        className="absolute cursor-pointer transition-colors"
+                        style={{
+                            ...getCropOverlayStyle(crop),
+                            outline: isSelected ? '2px solid #ec4899' : '1px dashed rgba(255, 255, 255, 0.8)',
+                            backgroundColor: crop.id === hoveredCropId ? 'rgba(236, 72, 153, 0.15)' : 'transparent'
+                        }}
+                        onMouseEnter={() => setHoveredCropId(crop.id)}
+                        onMouseLeave={() => setHoveredCropId(null)}
+                        onClick={() => handleCropClick(crop.id)}
+                    />
+                )
+            })}
+
+            {/* Selections waiting for the batch save, numbered as in the list */}
+            {displaySize.scale > 0 && !isDraggingOver && pendingCrops.map((pending, index) => (
+                <div
+                    key={pending.key}
+                    className="absolute pointer-events-none"
+                    style={{
+                        left: displaySize.offsetX + pending.centerX * displaySize.scale,
+                        top: displaySize.offsetY + pending.centerY * displaySize.scale,
+                        width: pending.width * displaySize.scale,
+                        height: pending.height * displaySize.scale,
+                        transform: `translate(-50%, -50%) rotate(${pending.rotation}deg)`,
+                        outline: '2px dashed #a855f7',
+                        backgroundColor: 'rgba(168, 85, 247, 0.12)'
+                    }}
+                >
+                    <span className="absolute top-1 left-1 min-w-5 h-5 px-1 rounded-full bg-purple-600 text-white text-[10px] font-bold flex items-center justify-center">
+                        {index + 1}
+                    </span>
+                </div>
+            ))}
+
+            {/* Tags of the hovered crop, above its rotated outline */}
+            {showCrops && hoveredCrop && displaySize.scale > 0 && (() => {
+                const radians = ((hoveredCrop.sourceRotation || 0) * Math.PI) / 180
+                const halfHeight = (Math.abs(hoveredCrop.width * Math.sin(radians)) + Math.abs(hoveredCrop.height * Math.cos(radians))) / 2
+                return (
+                    <div
+                        className="absolute z-10 max-w-xs px-3 py-1.5 bg-black/80 text-white text-xs rounded-lg pointer-events-none backdrop-blur-sm"
+                        style={{
+                            left: displaySize.offsetX + (hoveredCrop.x + hoveredCrop.width / 2) * displaySize.scale,
+                            top: displaySize.offsetY + (hoveredCrop.y + hoveredCrop.height / 2 - halfHeight) * displaySize.scale - 8,
+                            transform: 'translate(-50%, -100%)'
+                        }}
+                    >
+                        {hoveredCrop.tags?.length > 0 ? hoveredCrop.tags.join(', ') : <span className="text-white/60">No tags</span>}
+                    </div>
+                )
+            })()}
+
             {/* Drop Overlay for existing image */}
             {isDraggingOver && (
                 <div className="absolute inset-0 z-50 flex items-center justify-center bg-purple-900/40 backdrop-blur-sm pointer-events-none">
@@ -340,6 +814,156 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
                 </div>
             )}
 
+            {/* Crop outlines toggle and the selected crop */}
+            {crops.length > 0 && (
+                <div
+                    className="absolute top-4 left-4 z-20 flex flex-col gap-3 items-start pointer-events-auto cursor-default"
+                    onMouseDown={(e) => e.stopPropagation()}
+                >
+                    <button
+                        onClick={() => setShowCrops(prev => !prev)}
+                        className={`px-3 py-1.5 rounded-lg text-xs font-medium backdrop-blur-sm transition-colors ${showCrops
+                            ? 'bg-white text-black'
+                            : 'bg-[var(--bg-primary)]/90 text-[var(--text-secondary)] hover:text-white'
+                            }`}
+                        title={showCrops ? 'Hide existing crops' : 'Show existing crops'}
+                    >
+                        Crops ({crops.length})
+                    </button>
+
+                    {selectedCrop && (
+                        <div className="w-64 bg-[var(--bg-card)]/95 backdrop-blur-xl border border-[var(--border-color)] rounded-xl p-3 shadow-2xl text-xs text-[var(--text-secondary)] space-y-2">
+                            <div className="h-28 bg-black/30 rounded-lg flex items-center justify-center overflow-hidden">
+                                <img src={getCropImageSrc(selectedCrop)} alt="" className="max-w-full max-h-full object-contain" />
+                            </div>
+                            <p>
+                                <span className="text-white">{selectedCrop.width} × {selectedCrop.height}</span> at {selectedCrop.x}, {selectedCrop.y}
+                                {Math.round(selectedCrop.sourceRotation || 0) !== 0 && ` · ${Math.round(selectedCrop.sourceRotation)}°`}
+                                {selectedCrop.constraint && ` · ${describeConstraint(selectedCrop.constraint)}`}
+                            </p>
+                            {selectedCrop.tags?.length > 0 ? (
+                                <div className="flex flex-wrap gap-1">
+                                    {selectedCrop.tags.map(tag => (
+                                        <span key={tag} className="px-2 py-0.5 rounded-full bg-[var(--bg-tertiary)] text-[var(--text-primary)]">{tag}</span>
+                                    ))}
+                                </div>
+                            ) : (
+                                <p className="text-[var(--text-muted)]">No tags</p>
+                            )}
+                            {selectedCrop.notes && <p className="line-clamp-3">{selectedCrop.notes}</p>}
+                            <div className="flex justify-end gap-3 pt-1">
+                                <button onClick={() => startEditingCrop(selectedCrop)} className="hover:text-white">
+                                    Edit region
+                                </button>
+                                <button onClick={() => onDeleteCrop(selectedCrop.id)} className="hover:text-red-400">
+                                    Delete
+                                </button>
+                                <button onClick={() => setSelectedCropId(null)} className="hover:text-white">
+                                    Close
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Constraint picker - Top Center */}
+            <div
+                className="absolute top-4 left-1/2 -translate-x-1/2 z-20 flex items-center gap-2 bg-[var(--bg-primary)]/90 backdrop-blur-sm px-3 py-2 rounded-xl text-xs text-[var(--text-secondary)] pointer-events-auto cursor-default"
+                onMouseDown={(e) => e.stopPropagation()}
+            >
+                <select
+                    value={constraint.id}
+                    onChange={(e) => handleConstraintPick(e.target.value)}
+                    style={constraintField}
+                    aria-label="Selection constraint"
+                >
+                    <option value={FREE_CONSTRAINT.id}>{FREE_CONSTRAINT.label}</option>
+                    {RATIO_PRESETS.map(preset => (
+                        <option key={preset.id} value={preset.id}>{preset.label}</option>
+                    ))}
+                    <option value="custom">Custom ratio</option>
+                    <option value="size">Fixed size</option>
+                </select>
+
+                {constraint.id === 'custom' && (
+                    <>
+                        <input
+                            type="number"
+                            min="0.01"
+                            step="any"
+                            value={constraint.width || ''}
+                            onChange={(e) => handleConstraintChange({ ...constraint, width: Number(e.target.value) })}
+                            style={{ ...constraintField, width: 64 }}
+                            aria-label="Ratio width"
+                        />
+                        :
+                        <input
+                            type="number"
+                            min="0.01"
+                            step="any"
+                            value={constraint.height || ''}
+                            onChange={(e) => handleConstraintChange({ ...constraint, height: Number(e.target.value) })}
+                            style={{ ...constraintField, width: 64 }}
+                            aria-label="Ratio height"
+                        />
+                    </>
+                )}
+
+                {constraint.id === 'size' && (
+                    <>
+                        <input
+                            type="number"
+                            min="1"
+                            step="1"
+                            value={constraint.width || ''}
+                            onChange={(e) => handleConstraintChange({ ...constraint, width: Math.round(Number(e.target.value)) })}
+                            style={{ ...constraintField, width: 72 }}
+                            aria-label="Output width in pixels"
+                        />
+                        ×
+                        <input
+                            type="number"
+                            min="1"
+                            step="1"
+                            value={constraint.height || ''}
+                            onChange={(e) => handleConstraintChange({ ...constraint, height: Math.round(Number(e.target.value)) })}
+                            style={{ ...constraintField, width: 72 }}
+                            aria-label="Output height in pixels"
+                        />
+                        px
+                        {isOversized && (
+                            <span role="alert" className="text-red-400">
+                                Larger than the image ({imageSize.width} × {imageSize.height} px)
+                            </span>
+                        )}
+                    </>
+                )}
+            </div>
+
+            {/* Zoom controls - Top Right */}
+            <div
+                className="absolute top-4 right-4 z-20 flex items-center gap-1 bg-[var(--bg-primary)]/90 backdrop-blur-sm px-2 py-1.5 rounded-xl text-xs text-[var(--text-secondary)] pointer-events-auto cursor-default"
+                onMouseDown={(e) => e.stopPropagation()}
+                title="Scroll to zoom, hold Space and drag to pan"
+            >
+                <button onClick={() => zoomTo(displaySize.scale / WHEEL_ZOOM_STEP, getContainerCenter())} className="w-6 h-6 rounded-lg hover:bg-[var(--bg-tertiary)] hover:text-white" aria-label="Zoom out">
+                    −
+                </button>
+                <span className="w-12 text-center text-[var(--text-primary)] tabular-nums">
+                    {Math.round((displaySize.scale || 0) * 100)}%
+                </span>
+                <button onClick={() => zoomTo(displaySize.scale * WHEEL_ZOOM_STEP, getContainerCenter())} className="w-6 h-6 rounded-lg hover:bg-[var(--bg-tertiary)] hover:text-white" aria-label="Zoom in">
+                    +
+                </button>
+                <button onClick={() => zoomTo(1, getContainerCenter())} className="px-2 h-6 rounded-lg hover:bg-[var(--bg-tertiary)] hover:text-white" title="Actual pixels (1:1)">
+                    1:1
+                </button>
+                <button onClick={handleFitView} className="px-2 h-6 rounded-lg hover:bg-[var(--bg-tertiary)] hover:text-white" title="Fit image">
+                    Fit
+                </button>
+            </div>
+
             {/* Filter Toolbar - Middle Right */}
             <div className="absolute right-4 top-1/2 -translate-y-1/2 flex flex-col gap-3 z-20 pointer-events-auto">
                 <div className="bg-[var(--bg-card)]/90 backdrop-blur-xl border border-[var(--border-color)] p-2 rounded-2xl shadow-2xl flex flex-col gap-2">
@@ -417,14 +1041,37 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
                                 draggable={false}
                             />
                         </div>
-
-                        {/* Corner handles */}
-                        <div className="absolute -top-1.5 -left-1.5 w-3 h-3 bg-white rounded-full shadow-lg" />
-                        <div className="absolute -top-1.5 -right-1.5 w-3 h-3 bg-white rounded-full shadow-lg" />
-                        <div className="absolute -bottom-1.5 -left-1.5 w-3 h-3 bg-white rounded-full shadow-lg" />
-                        <div className="absolute -bottom-1.5 -right-1.5 w-3 h-3 bg-white rounded-full shadow-lg" />
                     </div>
 
+                    {/* Move area and resize handles, rotated with the selection */}
+                    {hasSelection && !isDragging && (
+                        <div
+                            className={`absolute ${transform?.mode === 'resize' ? '' : 'cursor-move'}`}
+                            style={{
+                                left: displaySize.offsetX + selectionRect.centerX,
+                                top: displaySize.offsetY + selectionRect.centerY,
+                                width: selectionRect.width,
+                                height: selectionRect.height,
+                                transform: `translate(-50%, -50%) rotate(${selectionRotation}deg)`,
+                                transformOrigin: 'center center'
+                            }}
+                        >
+                            {!isFixedSize && SELECTION_HANDLES.map(handle => (
+                                <div
+                                    key={handle.id}
+                                    className="absolute w-3 h-3 bg-white rounded-full shadow-lg"
+                                    style={{
+                                        left: `${(handle.dx + 1) * 50}%`,
+                                        top: `${(handle.dy + 1) * 50}%`,
+                                        transform: 'translate(-50%, -50%)',
+                                        cursor: getHandleCursor(handle, selectionRotation)
+                                    }}
+                                    onMouseDown={(e) => handleResizeStart(e, handle)}
+                                />
+                            ))}
+                        </div>
+                    )}
+
                     {/* Rotation angle badge */}
                     {selectionRotation !== 0 && (
                         <div
@@ -441,6 +1088,128 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
                 </>
             )}
 
+            {/* Pending batch - Bottom Left, above the hint */}
+            {pendingCrops.length > 0 && (
+                <div
+                    className="absolute left-4 bottom-28 z-20 w-80 max-h-[45%] flex flex-col bg-[var(--bg-card)]/95 backdrop-blur-xl border border-[var(--border-color)] rounded-xl shadow-2xl text-xs text-[var(--text-secondary)] pointer-events-auto cursor-default"
+                    onMouseDown={(e) => e.stopPropagation()}
+                >
+                    <p className="px-3 pt-3 pb-2 text-[var(--text-primary)] font-medium">
+                        Batch: {pendingCrops.length} {pendingCrops.length === 1 ? 'crop' : 'crops'}
+                    </p>
+                    <ol className="flex-1 overflow-auto px-3 space-y-2">
+                        {pendingCrops.map((pending, index) => (
+                            <li key={pending.key} className="flex items-center gap-2">
+                                <span className="w-5 h-5 shrink-0 rounded-full bg-purple-600 text-white text-[10px] font-bold flex items-center justify-center">
+                                    {index + 1}
+                                </span>
+                                <div className="flex-1 min-w-0 space-y-1">
+                                    <div className="flex items-center gap-2">
+                                        <span className="tabular-nums whitespace-nowrap">
+                                            {Math.round(pending.width)} × {Math.round(pending.height)}
+                                        </span>
+                                        <select
+                                            value={pending.filter}
+                                            onChange={(e) => updatePendingCrop(pending.key, { filter: e.target.value })}
+                                            style={{ padding: '2px 6px', width: 'auto', minWidth: 0 }}
+                                            className="flex-1"
+                                            aria-label={`Filter for crop ${index + 1}`}
+                                        >
+                                            {FILTERS.map(filter => (
+                                                <option key={filter.id} value={filter.filter}>{filter.name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <input
+                                        type="text"
+                                        value={pending.tagText}
+                                        onChange={(e) => updatePendingCrop(pending.key, { tagText: e.target.value })}
+                                        placeholder="Tags, comma separated"
+                                        style={{ padding: '2px 6px' }}
+                                        aria-label={`Tags for crop ${index + 1}`}
+                                    />
+                                </div>
+                                <button
+                                    onClick={() => setPendingCrops(prev => prev.filter(p => p.key !== pending.key))}
+                                    className="shrink-0 w-6 h-6 rounded-lg hover:bg-[var(--bg-tertiary)] hover:text-red-400"
+                                    aria-label={`Remove crop ${index + 1} from batch`}
+                                >
+                                    ×
+                                </button>
+                            </li>
+                        ))}
+                    </ol>
+                    <div className="flex justify-end gap-2 p-3">
+                        <button
+                            onClick={() => setPendingCrops([])}
+                            disabled={isSavingBatch}
+                            className="btn btn-secondary"
+                        >
+                            Discard
+                        </button>
+                        <button
+                            onClick={handleSaveBatch}
+                            disabled={isSavingBatch}
+                            className="btn btn-primary"
+                        >
+                            {isSavingBatch ? 'Saving...' : `Save ${pendingCrops.length}`}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* Numeric selection inspector - Bottom Right, above the controls */}
+            {hasSelection && !isDraggingOver && (
+                <div
+                    className="absolute right-4 bottom-24 z-20 pointer-events-auto cursor-default"
+                    onMouseDown={(e) => e.stopPropagation()}
+                >
+                    <SelectionInspector
+                        values={selectionValues}
+                        lockSize={isFixedSize}
+                        onChange={handleInspectorChange}
+                    />
+                </div>
+            )}
+
+            {/* Loupe - magnified image pixels under the edge being dragged */}
+            {loupePoint && displaySize.scale > 0 && (() => {
+                const loupeScale = Math.max(displaySize.scale * LOUPE_MIN_SCALE, LOUPE_MIN_SCALE)
+                const imageX = loupePoint.x / displaySize.scale
+                const imageY = loupePoint.y / displaySize.scale
+                const screenX = displaySize.offsetX + loupePoint.x
+                const screenY = displaySize.offsetY + loupePoint.y
+                // Above and right of the pointer, below it near the top edge
+                const top = screenY - LOUPE_SIZE - 24 < 8 ? screenY + 24 : screenY - LOUPE_SIZE - 24
+                return (
+                    <div
+                        className="absolute z-30 rounded-full overflow-hidden border-2 border-white shadow-2xl bg-black pointer-events-none"
+                        style={{ left: screenX + 24, top, width: LOUPE_SIZE, height: LOUPE_SIZE }}
+                    >
+                        <img
+                            src={image}
+                            alt=""
+                            className="absolute max-w-none"
+                            style={{
+                                left: LOUPE_SIZE / 2 - imageX * loupeScale,
+                                top: LOUPE_SIZE / 2 - imageY * loupeScale,
+                                width: imageSize.width * loupeScale,
+                                height: imageSize.height * loupeScale,
+                                imageRendering: 'pixelated',
+                                filter: activeFilter.filter
+                            }}
+                            draggable={false}
+                        />
+                        {/* Crosshair */}
+                        <div className="absolute left-1/2 top-0 bottom-0 w-px bg-purple-400/80" />
+                        <div className="absolute top-1/2 left-0 right-0 h-px bg-purple-400/80" />
+                        <div className="absolute bottom-2 left-1/2 -translate-x-1/2 px-1.5 rounded bg-black/70 text-[10px] text-white tabular-nums">
+                            {Math.round(imageX)}, {Math.round(imageY)}
+                        </div>
+                    </div>
+                )
+            })()}
+
             {/* Bottom controls */}
             <div className="absolute bottom-4 left-4 right-4 flex justify-between items-end gap-4 pointer-events-none">
                 <div className="bg-[var(--bg-primary)]/90 backdrop-blur-sm px-4 py-3 rounded-xl text-sm text-[var(--text-secondary)] pointer-events-auto">
@@ -451,9 +1220,14 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
                         <span className="text-[var(--text-muted)] text-xs">- {activeFilter.description}</span>
                     </div>
 
-                    {selectionRect && selectionRect.width > 10 && selectionRect.height > 10 ? (
+                    {editingCropId != null && (
+                        <span className="text-[var(--text-primary)]">Editing crop: </span>
+                    )}
+                    {hasSelection ? (
                         <>
-                            <span className="text-[var(--accent-secondary)]">Drag outside selection</span> to rotate
+                            <span className="text-[var(--accent-secondary)]">Drag inside</span> to move,{' '}
+                            <span className="text-[var(--accent-secondary)]">handles</span> to resize (Shift keeps ratio, Alt from center),{' '}
+                            <span className="text-[var(--accent-secondary)]">outside</span> to rotate
                         </>
                     ) : (
                         <>
@@ -462,25 +1236,58 @@ function CanvasView({ image, onAddCrop, onImageUpload }) {
                     )}
                 </div>
 
-                {selectionRect && selectionRect.width > 10 && selectionRect.height > 10 && (
+                {(editingCropId != null || hasSelection) && (
                     <div className="flex items-center gap-4 pointer-events-auto">
-                        {/* Rotation display */}
-                        <div className="bg-[var(--bg-primary)]/90 backdrop-blur-sm px-4 py-3 rounded-xl flex items-center gap-2">
-                            <svg className="w-4 h-4 text-[var(--accent-secondary)]" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-                            </svg>
-                            <span className="text-[var(--accent-secondary)] font-semibold">{Math.round(selectionRotation)}°</span>
-                        </div>
+                        {editingCropId != null && (
+                            <button
+                                onClick={cancelEditingCrop}
+                                className="btn btn-secondary"
+                            >
+                                Cancel
+                            </button>
+                        )}
 
-                        <button
-                            onClick={handleCreateCrop}
-                            className="btn btn-primary"
-                        >
-                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                            </svg>
-                            Create Crop
-                        </button>
+                        {editingCropId == null && (
+                            <button
+                                onClick={clearSelection}
+                                className="btn btn-secondary"
+                                title="Clear selection (Esc)"
+                            >
+                                Clear
+                            </button>
+                        )}
+
+                        {hasSelection && (
+                            <>
+                                {/* Rotation display */}
+                                <div className="bg-[var(--bg-primary)]/90 backdrop-blur-sm px-4 py-3 rounded-xl flex items-center gap-2">
+                                    <svg className="w-4 h-4 text-[var(--accent-secondary)]" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                                    </svg>
+                                    <span className="text-[var(--accent-secondary)] font-semibold">{Math.round(selectionRotation)}°</span>
+                                </div>
+
+                                {editingCropId == null && (
+                                    <button
+                                        onClick={handleAddToBatch}
+                                        className="btn btn-secondary"
+                                        title="Keep this selection and draw the next one; save them all at once"
+                                    >
+                                        Add to Batch
+                                    </button>
+                                )}
+
+                                <button
+                                    onClick={handleCreateCrop}
+                                    className="btn btn-primary"
+                                >
+                                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={editingCropId != null ? 'M5 13l4 4L19 7' : 'M12 4v16m8-8H4'} />
+                                    </svg>
+                                    {editingCropId != null ? 'Save Crop' : 'Create Crop'}
+                                </button>
+                            </>
+                        )}
                     </div>
                 )}
             </div>
@@ -0,0 +1,130 @@
+import { memo, useState } from 'react'
+
+/**
+ * Collections sidebar for the Gallery view
+ * Lists collections with their crop counts; selecting one shows its crops in
+ * the collection's order. Collections can be created, renamed (double-click)
+ * and deleted here.
+ */
+function CollectionsSidebar({
+    collections,
+    totalCrops,
+    selectedCollectionId,
+    onSelectCollection,
+    onCreateCollection,
+    onRenameCollection,
+    onDeleteCollection
+}) {
+    const [newName, setNewName] = useState('')
+    const [editingId, setEditingId] = useState(null)
+    const [editingName, setEditingName] = useState('')
+    const [deleteConfirmId, setDeleteConfirmId] = useState(null)
+
+    const handleCreate = (e) => {
+        e.preventDefault()
+        if (!newName.trim()) return
+        onCreateCollection(newName.trim())
+        setNewName('')
+    }
+
+    const startRename = (collection) => {
+        setEditingId(collection.id)
+        setEditingName(collection.name)
+    }
+
+    const finishRename = () => {
+        const collection = collections.find(c => c.id === editingId)
+        if (collection && editingName.trim() && editingName.trim() !== collection.name) {
+            onRenameCollection(collection.id, editingName.trim())
+        }
+        setEditingId(null)
+    }
+
+    const handleDeleteClick = (e, collectionId) => {
+        e.stopPropagation()
+        if (deleteConfirmId === collectionId) {
+            // Confirmed - actually delete
+            onDeleteCollection(collectionId)
+            setDeleteConfirmId(null)
+        } else {
+            // First click - show confirmation, reset after 3 seconds
+            setDeleteConfirmId(collectionId)
+            setTimeout(() => setDeleteConfirmId(null), 3000)
+        }
+    }
+
+    const itemClass = (selected) => `w-full flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-sm text-left transition-colors ${selected
+        ? 'bg-[var(--bg-tertiary)] text-white'
+        : 'text-[var(--text-secondary)] hover:bg-[var(--bg-tertiary)] hover:text-white'
+        }`
+
+    return (
+        <div className="w-56 flex-shrink-0 border-r border-[var(--border-color)] pr-4 flex flex-col gap-1 overflow-y-auto">
+            <h3 className="text-xs font-semibold uppercase tracking-wide text-[var(--text-muted)] px-3 mb-1">
+                Collections
+            </h3>
+
+            <button onClick={() => onSelectCollection(null)} className={itemClass(!selectedCollectionId)}>
+                <span>All crops</span>
+                <span className="text-xs text-[var(--text-muted)]">{totalCrops}</span>
+            </button>
+
+            {collections.map(collection => (
+                editingId === collection.id ? (
+                    <input
+                        key={collection.id}
+                        type="text"
+                        value={editingName}
+                        onChange={(e) => setEditingName(e.target.value)}
+                        onBlur={finishRename}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') finishRename()
+                            if (e.key === 'Escape') setEditingId(null)
+                        }}
+                        maxLength={100}
+                        autoFocus
+                    />
+                ) : (
+                    <div
+                        key={collection.id}
+                        role="button"
+                        tabIndex={0}
+                        onClick={() => onSelectCollection(collection.id)}
+                        onKeyDown={(e) => { if (e.key === 'Enter') onSelectCollection(collection.id) }}
+                        onDoubleClick={() => startRename(collection)}
+                        className={`group cursor-pointer ${itemClass(selectedCollectionId === collection.id)}`}
+                        title={collection.description || 'Double-click to rename'}
+                    >
+                        <span className="truncate">{collection.name}</span>
+                        <span className="flex items-center gap-1">
+                            <span className="text-xs text-[var(--text-muted)]">{collection.cropCount}</span>
+                            <button
+                                onClick={(e) => handleDeleteClick(e, collection.id)}
+                                className={`text-xs px-1 rounded transition-colors ${deleteConfirmId === collection.id
+                                    ? 'text-red-400'
+                                    : 'text-[var(--text-muted)] opacity-0 group-hover:opacity-100 hover:text-red-400'
+                                    }`}
+                                title={deleteConfirmId === collection.id ? 'Click again to delete' : 'Delete collection'}
+                                aria-label={`Delete collection ${collection.name}`}
+                            >
+                                {deleteConfirmId === collection.id ? 'Delete?' : '×'}
+                            </button>
+                        </span>
+                    </div>
+                )
+            ))}
+
+            <form onSubmit={handleCreate} className="mt-2">
+                <input
+                    type="text"
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder="New collection"
+                    maxLength={100}
+                />
+            </form>
+        </div>
+    )
+}
+
+export default memo(CollectionsSidebar)
@@ -15,6 +15,7 @@ import {
     PAGE_PRESETS
 } from '../utils/panelLayouts'
 import { exportCanvas } from '../utils/exportCanvas'
+import { loadCollections } from '../utils/api'
 
 /**
  * ComposerView - Main composition view for creating manga-style page layouts
@@ -48,6 +49,27 @@ function ComposerView({ crops }) {
     const [editingCanvasSize, setEditingCanvasSize] = useState(false)
     const [rightSidebarTab, setRightSidebarTab] = useState('crops')
 
+    // === CROP LIST FILTER ===
+    const [collections, setCollections] = useState([])
+    const [drawerCollectionId, setDrawerCollectionId] = useState(null)
+
+    useEffect(() => {
+        let cancelled = false
+        loadCollections()
+            .then(result => { if (!cancelled) setCollections(result) })
+            .catch(error => console.error('Failed to load collections:', error))
+        return () => { cancelled = true }
+    }, [])
+
+    // Crops offered in the sidebar: all of them, or one collection's in its order.
+    // Canvases still resolve placed crops against the full list.
+    const drawerCrops = useMemo(() => {
+        const collection = collections.find(c => c.id === drawerCollectionId)
+        if (!collection) return crops
+        const byId = new Map(crops.map(crop => [String(crop.id), crop]))
+        return collection.cropIds.map(id => byId.get(String(id))).filter(Boolean)
+    }, [crops, collections, drawerCollectionId])
+
     // === CANVAS PERSISTENCE ===
     const handleLoadState = useCallback((canvasData) => {
         if (canvasData.composition) setComposition(canvasData.composition)
@@ -344,7 +366,10 @@ function ComposerView({ crops }) {
                 onTabChange={setRightSidebarTab}
                 mode={mode}
                 selectedItem={selectedItem}
-                crops={crops}
+                crops={drawerCrops}
+                collections={collections}
+                selectedCollectionId={drawerCollectionId}
+                onSelectCollection={setDrawerCollectionId}
                 onUpdateItem={handleUpdateItem}
                 onDeleteItem={handleDeleteItem}
                 onCropDragStart={handleCropDragStart}
@@ -1,13 +1,29 @@
-import { memo, useCallback, useRef, useState } from 'react'
+import { memo, useCallback, useId, useRef, useState } from 'react'
 import RotatableImage from './RotatableImage'
 import { FILTERS } from '../utils/filters'
+import { normalizeTag, normalizeTags, getTagAncestors } from '../utils/tags'
+
+// Most tag suggestions offered while typing
+const MAX_TAG_SUGGESTIONS = 8
 
 // Constants for rotation
 const ROTATION_EDGE_THRESHOLD = 40 // pixels from edge that triggers rotation mode
 const SELECTION_BOX_INSET = 12 // pixels of padding around selection box
 
-function CropCard({ crop, onUpdate, onDelete }) {
+function CropCard({
+    crop,
+    usage,
+    tagSuggestions = [],
+    tagDetails,
+    collections = [],
+    onAddToCollection,
+    onRemoveFromCollection,
+    onUpdate,
+    onDelete,
+    onEditRegion
+}) {
     const [tagInput, setTagInput] = useState('')
+    const tagListId = useId()
     const [isRotating, setIsRotating] = useState(false)
     const [imageRotation, setImageRotation] = useState(crop.rotation || 0)
     const containerRef = useRef(null)
@@ -19,11 +35,29 @@ function CropCard({ crop, onUpdate, onDelete }) {
         return filter ? filter.css : 'none'
     }, [])
 
+    // A tag without its own color uses its nearest ancestor's
+    const getTagDetails = (tag) => {
+        const own = tagDetails?.get(tag)
+        const colored = [tag, ...getTagAncestors(tag).reverse()].find(path => tagDetails?.get(path)?.color)
+        return { color: colored ? tagDetails.get(colored).color : null, description: own?.description || null }
+    }
+
+    // Existing tags that start with (or else contain) what is typed, minus ones already on this crop
+    const typedTag = normalizeTag(tagInput)
+    const matchingTags = typedTag
+        ? tagSuggestions
+            .filter(tag => tag.includes(typedTag) && !crop.tags.includes(tag))
+            .sort((a, b) => Number(b.startsWith(typedTag)) - Number(a.startsWith(typedTag)))
+            .slice(0, MAX_TAG_SUGGESTIONS)
+        : []
+
     const handleTagKeyDown = (e) => {
-        if (e.key === 'Enter' && tagInput.trim()) {
+        if (e.key === 'Enter' && typedTag) {
             e.preventDefault()
-            const newTags = [...crop.tags, tagInput.trim()]
-            onUpdate({ tags: newTags })
+            const newTags = normalizeTags([...crop.tags, typedTag])
+            if (newTags.length !== crop.tags.length) {
+                onUpdate({ tags: newTags })
+            }
             setTagInput('')
         }
     }
@@ -33,6 +67,9 @@ function CropCard({ crop, onUpdate, onDelete }) {
         onUpdate({ tags: newTags })
     }
 
+    const memberOf = collections.filter(c => c.cropIds.some(id => String(id) === String(crop.id)))
+    const addableCollections = collections.filter(c => !memberOf.includes(c))
+
     const handleNotesChange = (e) => {
         onUpdate({ notes: e.target.value })
     }
@@ -168,6 +205,33 @@ function CropCard({ crop, onUpdate, onDelete }) {
                     </svg>
                 </button>
 
+                {/* Edit region button - reopens the crop on its source image */}
+                {crop.imageId && (
+                    <button
+                        onClick={(e) => { e.stopPropagation(); onEditRegion() }}
+                        className="absolute top-14 left-3 w-9 h-9 bg-black/60 hover:bg-black/80 backdrop-blur-sm rounded-xl flex items-center justify-center transition-all duration-200 z-10"
+                        aria-label="Edit crop region"
+                        title="Edit region on source image"
+                    >
+                        <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                        </svg>
+                    </button>
+                )}
+
+                {/* Usage badge - how many saved canvases place this crop */}
+                {usage?.count > 0 && (
+                    <div
+                        className="absolute top-3 left-14 h-9 bg-black/60 backdrop-blur-sm px-2 rounded-xl text-xs text-white flex items-center gap-1 z-10"
+                        title={`Used in: ${usage.canvases.map(c => c.name || c.canvasId).join(', ')}`}
+                    >
+                        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                        </svg>
+                        {usage.count}
+                    </div>
+                )}
+
                 {/* Reset rotation button (when rotated) */}
                 {imageRotation !== 0 && (
                     <button
@@ -201,20 +265,28 @@ function CropCard({ crop, onUpdate, onDelete }) {
                     {/* Tag chips */}
                     {crop.tags.length > 0 && (
                         <div className="flex flex-wrap gap-2">
-                            {crop.tags.map((tag, index) => (
-                                <span key={index} className="tag-chip">
-                                    {tag}
-                                    <button
-                                        onClick={() => handleRemoveTag(index)}
-                                        className="hover:text-white transition-colors p-0"
-                                        aria-label={`Remove tag ${tag}`}
+                            {crop.tags.map((tag, index) => {
+                                const { color, description } = getTagDetails(tag)
+                                return (
+                                    <span
+                                        key={index}
+                                        className="tag-chip"
+                                        style={color ? { borderColor: color, background: `${color}33` } : undefined}
+                                        title={description || undefined}
                                     >
-                                        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                                        </svg>
-                                    </button>
-                                </span>
-                            ))}
+                                        {tag}
+                                        <button
+                                            onClick={() => handleRemoveTag(index)}
+                                            className="hover:text-white transition-colors p-0"
+                                            aria-label={`Remove tag ${tag}`}
+                                        >
+                                            <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                            </svg>
+                                        </button>
+                                    </span>
+                                )
+                            })}
                         </div>
                     )}
 
@@ -225,7 +297,12 @@ function CropCard({ crop, onUpdate, onDelete }) {
                         onChange={(e) => setTagInput(e.target.value)}
                         onKeyDown={handleTagKeyDown}
                         placeholder="Add tag and press Enter"
+                        list={tagListId}
+                        autoComplete="off"
                     />
+                    <datalist id={tagListId}>
+                        {matchingTags.map(tag => <option key={tag} value={tag} />)}
+                    </datalist>
                 </div>
 
                 {/* Notes */}
@@ -244,6 +321,50 @@ function CropCard({ crop, onUpdate, onDelete }) {
                         className="resize-none"
                     />
                 </div>
+
+                {/* Collections */}
+                {collections.length > 0 && (
+                    <div className="space-y-3">
+                        <label className="text-sm text-[var(--text-secondary)] flex items-center gap-2">
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
+                            </svg>
+                            Collections
+                        </label>
+
+                        {memberOf.length > 0 && (
+                            <div className="flex flex-wrap gap-2">
+                                {memberOf.map(collection => (
+                                    <span key={collection.id} className="tag-chip">
+                                        {collection.name}
+                                        <button
+                                            onClick={() => onRemoveFromCollection(collection.id)}
+                                            className="hover:text-white transition-colors p-0"
+                                            aria-label={`Remove from ${collection.name}`}
+                                        >
+                                            <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                            </svg>
+                                        </button>
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+
+                        {addableCollections.length > 0 && (
+                            <select
+                                value=""
+                                onChange={(e) => { if (e.target.value) onAddToCollection(e.target.value) }}
+                                aria-label="Add to collection"
+                            >
+                                <option value="">Add to collection...</option>
+                                {addableCollections.map(collection => (
+                                    <option key={collection.id} value={collection.id}>{collection.name}</option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+                )}
             </div>
         </div>
     )
@@ -1,6 +1,328 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import CropCard from './CropCard'
+import TagBrowser from './TagBrowser'
+import CollectionsSidebar from './CollectionsSidebar'
+import {
+    CROP_LIST_FIELDS,
+    loadCropsPage,
+    loadCropUsage,
+    loadTags,
+    searchCrops,
+    updateTagDetails,
+    loadCollections,
+    createCollection,
+    updateCollection,
+    deleteCollection,
+    loadCollectionCrops,
+    addCropsToCollection,
+    setCollectionCrops,
+    removeCropsFromCollection
+} from '../utils/api'
+import { isTagWithin } from '../utils/tags'
+
+// Cards rendered per step as the list scrolls, so large libraries open quickly
+const PAGE_SIZE = 48
+// Wait for a pause in typing before searching
+const SEARCH_DEBOUNCE_MS = 250
+const SEARCH_LIMIT = 500
+// Crops fetched per request while a tag is selected
+const TAGGED_PAGE_SIZE = 100
+
+/**
+ * Gallery of the project's crops
+ * `crops` holds the pages loaded so far; `onLoadMoreCrops` fetches the next
+ * one while `hasMoreCrops`, and `totalCrops` counts them all.
+ */
+function GalleryView({
+    crops,
+    totalCrops = crops.length,
+    hasMoreCrops = false,
+    onLoadMoreCrops,
+    onCropsFound,
+    onUpdateCrop,
+    onDeleteCrop,
+    onEditCropRegion
+}) {
+    const [visibleCount, setVisibleCount] = useState(PAGE_SIZE)
+
+    // Canvases using each crop, refreshed whenever the gallery opens or crops are added or removed
+    const [usage, setUsage] = useState({})
+
+    useEffect(() => {
+        let cancelled = false
+        loadCropUsage()
+            .then(result => { if (!cancelled) setUsage(result) })
+            .catch(error => console.error('Failed to load crop usage:', error))
+        return () => { cancelled = true }
+    }, [totalCrops])
+
+    // The tag tree, counts and details come from the server, which counts every
+    // crop of the project rather than the pages loaded here. They are reloaded
+    // when crops are added or removed, or a crop's tags change.
+    const [tags, setTags] = useState([])
+    const [tagsVersion, setTagsVersion] = useState(0)
+    const [selectedTag, setSelectedTag] = useState(null)
+
+    useEffect(() => {
+        let cancelled = false
+        loadTags()
+            .then(result => { if (!cancelled) setTags(result) })
+            .catch(error => console.error('Failed to load tags:', error))
+        return () => { cancelled = true }
+    }, [totalCrops, tagsVersion])
+
+    const tagSuggestions = useMemo(() => tags.map(tag => tag.name), [tags])
+    const tagDetailsByName = useMemo(() => new Map(tags.map(tag => [tag.name, tag])), [tags])
+
+    const handleUpdateCrop = useCallback(async (cropId, updates) => {
+        await onUpdateCrop(cropId, updates)
+        if ('tags' in updates) setTagsVersion(version => version + 1)
+    }, [onUpdateCrop])
+
+    const handleSelectTag = useCallback((tag) => {
+        setSelectedTag(tag)
+        setVisibleCount(PAGE_SIZE)
+    }, [])
+
+    const handleUpdateTagDetails = useCallback(async (tag, details) => {
+        try {
+            const saved = await updateTagDetails(tag, details)
+            setTags(list => list.map(t => (t.name === saved.name ? { ...t, ...saved } : t)))
+        } catch (error) {
+            console.error('Failed to update tag:', error)
+        }
+    }, [])
+
+    // Crops with the selected tag (or a descendant) are listed by the server a
+    // page at a time, since they may be on pages that are not loaded yet
+    const [tagged, setTagged] = useState(null) // { tag, ids, nextCursor }
+    const taggedLoadRef = useRef(null)
+
+    const loadTaggedPage = useCallback(async (tag, cursor) => {
+        if (taggedLoadRef.current?.tag === tag && taggedLoadRef.current.loading) return
+        const load = { tag, loading: true }
+        taggedLoadRef.current = load
+        try {
+            const page = await loadCropsPage({ tag, cursor, limit: TAGGED_PAGE_SIZE, fields: CROP_LIST_FIELDS })
+            if (load !== taggedLoadRef.current) return
+            onCropsFound?.(page.crops)
+            const ids = page.crops.map(crop => crop.id)
+            setTagged(prev => ({
+                tag,
+                ids: cursor && prev?.tag === tag ? [...prev.ids, ...ids] : ids,
+                nextCursor: page.nextCursor
+            }))
+        } catch (error) {
+            console.error('Failed to load tagged crops:', error)
+        } finally {
+            load.loading = false
+        }
+    }, [onCropsFound])
+
+    useEffect(() => {
+        taggedLoadRef.current = null
+        setTagged(null)
+        if (selectedTag) loadTaggedPage(selectedTag)
+    }, [selectedTag, totalCrops, loadTaggedPage])
+
+    // Collections; the server drops deleted crops from them, so reload when crops change
+    const [collections, setCollections] = useState([])
+    const [selectedCollectionId, setSelectedCollectionId] = useState(null)
+    const selectedCollection = collections.find(c => c.id === selectedCollectionId) || null
+
+    useEffect(() => {
+        let cancelled = false
+        loadCollections()
+            .then(result => { if (!cancelled) setCollections(result) })
+            .catch(error => console.error('Failed to load collections:', error))
+        return () => { cancelled = true }
+    }, [totalCrops])
+
+    // Members may be on pages that are not loaded yet, so they are fetched
+    // with the collection and join the loaded crops
+    const [loadedCollectionId, setLoadedCollectionId] = useState(null)
+
+    useEffect(() => {
+        if (!selectedCollectionId) return
+        let cancelled = false
+        loadCollectionCrops(selectedCollectionId)
+            .then(found => {
+                if (cancelled) return
+                onCropsFound?.(found)
+                setLoadedCollectionId(selectedCollectionId)
+            })
+            .catch(error => console.error('Failed to load collection crops:', error))
+        return () => { cancelled = true }
+    }, [selectedCollectionId, totalCrops, onCropsFound])
+
+    const replaceCollection = useCallback((collection) => {
+        setCollections(list => list.map(c => (c.id === collection.id ? collection : c)))
+    }, [])
+
+    const handleSelectCollection = useCallback((collectionId) => {
+        setSelectedCollectionId(collectionId)
+        setVisibleCount(PAGE_SIZE)
+    }, [])
+
+    const handleCreateCollection = useCallback(async (name) => {
+        try {
+            const collection = await createCollection({ name })
+            setCollections(list => [...list, collection])
+        } catch (error) {
+            console.error('Failed to create collection:', error)
+        }
+    }, [])
+
+    const handleRenameCollection = useCallback(async (collectionId, name) => {
+        try {
+            replaceCollection(await updateCollection(collectionId, { name }))
+        } catch (error) {
+            console.error('Failed to rename collection:', error)
+        }
+    }, [replaceCollection])
+
+    const handleDeleteCollection = useCallback(async (collectionId) => {
+        try {
+            await deleteCollection(collectionId)
+            setCollections(list => list.filter(c => c.id !== collectionId))
+            setSelectedCollectionId(id => (id === collectionId ? null : id))
+        } catch (error) {
+            console.error('Failed to delete collection:', error)
+        }
+    }, [])
+
+    const handleAddToCollection = useCallback(async (collectionId, cropId) => {
+        try {
+            replaceCollection(await addCropsToCollection(collectionId, [cropId]))
+        } catch (error) {
+            console.error('Failed to add crop to collection:', error)
+        }
+    }, [replaceCollection])
+
+    const handleRemoveFromCollection = useCallback(async (collectionId, cropId) => {
+        try {
+            replaceCollection(await removeCropsFromCollection(collectionId, [cropId]))
+        } catch (error) {
+            console.error('Failed to remove crop from collection:', error)
+        }
+    }, [replaceCollection])
+
+    // Position of a crop in the selected collection's full order
+    const getCollectionPosition = (cropId) => (
+        selectedCollection.cropIds.findIndex(id => String(id) === String(cropId))
+    )
+
+    // Move a crop one place earlier (-1) or later (+1) in the selected collection
+    const handleMoveInCollection = async (cropId, direction) => {
+        const order = [...selectedCollection.cropIds]
+        const from = getCollectionPosition(cropId)
+        const to = from + direction
+        if (from === -1 || to < 0 || to >= order.length) return
+
+        order.splice(to, 0, order.splice(from, 1)[0])
+        replaceCollection({ ...selectedCollection, cropIds: order })
+        try {
+            replaceCollection(await setCollectionCrops(selectedCollection.id, order))
+        } catch (error) {
+            console.error('Failed to reorder collection:', error)
+        }
+    }
+
+    // Server-side search; results are crop ids in rank order
+    const [query, setQuery] = useState('')
+    const [search, setSearch] = useState(null) // { ids, total } | { error }
+
+    useEffect(() => {
+        setVisibleCount(PAGE_SIZE)
+        if (!query.trim()) {
+            setSearch(null)
+            return
+        }
+
+        let cancelled = false
+        const timer = setTimeout(() => {
+            searchCrops(query, { limit: SEARCH_LIMIT })
+                .then(result => {
+                    if (cancelled) return
+                    // Hits may be on pages that are not loaded yet
+                    onCropsFound?.(result.results.map(r => r.crop))
+                    setSearch({ ids: result.results.map(r => r.crop.id), total: result.total })
+                })
+                .catch(error => {
+                    if (!cancelled) setSearch({ error: error.message })
+                })
+        }, SEARCH_DEBOUNCE_MS)
+        return () => {
+            cancelled = true
+            clearTimeout(timer)
+        }
+    }, [query, totalCrops, onCropsFound])
+
+    // Show the app's own crop objects so edits made here stay in sync.
+    // A selected collection keeps its own order; otherwise search results are ranked.
+    const visibleCrops = useMemo(() => {
+        const byId = new Map(crops.map(crop => [String(crop.id), crop]))
+        let matches = crops
+        if (selectedCollection) {
+            matches = selectedCollection.cropIds.map(id => byId.get(String(id))).filter(Boolean)
+        }
+        if (search?.ids) {
+            if (selectedCollection) {
+                const hits = new Set(search.ids.map(String))
+                matches = matches.filter(crop => hits.has(String(crop.id)))
+            } else {
+                matches = search.ids.map(id => byId.get(String(id))).filter(Boolean)
+            }
+        } else if (selectedTag && !selectedCollection) {
+            matches = (tagged?.tag === selectedTag ? tagged.ids : []).map(id => byId.get(String(id))).filter(Boolean)
+        }
+        // Checked again here so tag edits show at once
+        if (selectedTag) {
+            matches = matches.filter(crop => (crop.tags || []).some(tag => isTagWithin(tag, selectedTag)))
+        }
+        return matches
+    }, [crops, search, selectedTag, selectedCollection, tagged])
+
+    // Whether more crops can be fetched for the list shown, and how
+    const isTagListing = Boolean(selectedTag && !selectedCollection && !search?.ids)
+    const isListingLoaded = !isTagListing || tagged?.tag === selectedTag
+    const hasMore = isTagListing
+        ? Boolean(tagged?.tag === selectedTag && tagged.nextCursor)
+        : !selectedCollection && !search?.ids && hasMoreCrops
+    const loadMore = useCallback(() => {
+        if (isTagListing) {
+            if (tagged?.nextCursor) loadTaggedPage(selectedTag, tagged.nextCursor)
+        } else {
+            onLoadMoreCrops?.()
+        }
+    }, [isTagListing, tagged, selectedTag, loadTaggedPage, onLoadMoreCrops])
+
+    // Reordering only makes sense while the whole collection is shown
+    const canReorder = Boolean(
+        selectedCollection && !search?.ids && !selectedTag && loadedCollectionId === selectedCollection.id
+    )
+
+    // Whether the end of the list is in view: more cards are rendered, then
+    // more crops loaded, until it scrolls out of view or everything is shown
+    const [isAtEnd, setIsAtEnd] = useState(false)
+    const endObserverRef = useRef(null)
+    const endRef = useCallback((node) => {
+        endObserverRef.current?.disconnect()
+        endObserverRef.current = null
+        if (!node) {
+            setIsAtEnd(false)
+            return
+        }
+        endObserverRef.current = new IntersectionObserver(([entry]) => setIsAtEnd(entry.isIntersecting))
+        endObserverRef.current.observe(node)
+    }, [])
+
+    useEffect(() => {
+        if (!isAtEnd) return
+        if (visibleCrops.length > visibleCount) setVisibleCount(count => count + PAGE_SIZE)
+        else if (hasMore) loadMore()
+    }, [isAtEnd, visibleCrops.length, visibleCount, hasMore, loadMore])
 
-function GalleryView({ crops, onUpdateCrop, onDeleteCrop }) {
     if (crops.length === 0) {
         return (
             <div className="glass-card flex-1 flex flex-col items-center justify-center gap-6">
@@ -24,16 +346,97 @@ function GalleryView({ crops, onUpdateCrop, onDeleteCrop }) {
     }
 
     return (
-        <div className="glass-card flex-1 overflow-auto p-6">
-            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
-                {crops.map(crop => (
-                    <CropCard
-                        key={crop.id}
-                        crop={crop}
-                        onUpdate={(updates) => onUpdateCrop(crop.id, updates)}
-                        onDelete={() => onDeleteCrop(crop.id)}
+        <div className="glass-card flex-1 flex gap-6 p-6 min-h-0">
+            <CollectionsSidebar
+                collections={collections}
+                totalCrops={totalCrops}
+                selectedCollectionId={selectedCollectionId}
+                onSelectCollection={handleSelectCollection}
+                onCreateCollection={handleCreateCollection}
+                onRenameCollection={handleRenameCollection}
+                onDeleteCollection={handleDeleteCollection}
+            />
+
+            <div className="flex-1 overflow-auto min-w-0">
+                <div className="flex items-center gap-4 mb-6">
+                    <input
+                        type="search"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder='Search tags and notes - "exact phrase", prefix*, tag:name, image:id'
+                        aria-label="Search crops"
                     />
-                ))}
+                    {search && (
+                        <span className="text-sm text-[var(--text-muted)] whitespace-nowrap">
+                            {search.error
+                                ? search.error
+                                : `${search.total} ${search.total === 1 ? 'result' : 'results'}`}
+                        </span>
+                    )}
+                </div>
+
+                <TagBrowser
+                    tags={tags}
+                    selectedTag={selectedTag}
+                    onSelectTag={handleSelectTag}
+                    onUpdateTagDetails={handleUpdateTagDetails}
+                />
+
+                {(search?.ids || selectedTag) && isListingLoaded && !hasMore && visibleCrops.length === 0 && (
+                    <p className="text-center text-[var(--text-secondary)] py-12">No crops match this search</p>
+                )}
+
+                {selectedCollection && !search?.ids && !selectedTag && selectedCollection.cropIds.length === 0 && (
+                    <p className="text-center text-[var(--text-secondary)] py-12">
+                        This collection is empty. Add crops to it from their cards under All crops.
+                    </p>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+                    {visibleCrops.slice(0, visibleCount).map((crop) => (
+                        <div key={crop.id} className="flex flex-col gap-2">
+                            {canReorder && (
+                                <div className="flex items-center justify-between text-xs text-[var(--text-muted)]">
+                                    <button
+                                        onClick={() => handleMoveInCollection(crop.id, -1)}
+                                        disabled={getCollectionPosition(crop.id) === 0}
+                                        className="px-2 py-1 rounded bg-[var(--bg-tertiary)] hover:text-white disabled:opacity-40 disabled:cursor-not-allowed"
+                                        title="Move earlier"
+                                    >
+                                        ←
+                                    </button>
+                                    <span>#{getCollectionPosition(crop.id) + 1}</span>
+                                    <button
+                                        onClick={() => handleMoveInCollection(crop.id, 1)}
+                                        disabled={getCollectionPosition(crop.id) === selectedCollection.cropIds.length - 1}
+                                        className="px-2 py-1 rounded bg-[var(--bg-tertiary)] hover:text-white disabled:opacity-40 disabled:cursor-not-allowed"
+                                        title="Move later"
+                                    >
+                                        →
+                                    </button>
+                                </div>
+                            )}
+                            <CropCard
+                                crop={crop}
+                                usage={usage[crop.id]}
+                                tagSuggestions={tagSuggestions}
+                                tagDetails={tagDetailsByName}
+                                collections={collections}
+                                onAddToCollection={(collectionId) => handleAddToCollection(collectionId, crop.id)}
+                                onRemoveFromCollection={(collectionId) => handleRemoveFromCollection(collectionId, crop.id)}
+                                onUpdate={(updates) => handleUpdateCrop(crop.id, updates)}
+                                onDelete={() => onDeleteCrop(crop.id)}
+                                onEditRegion={() => onEditCropRegion(crop)}
+                            />
+                        </div>
+                    ))}
+                </div>
+
+                {(visibleCrops.length > visibleCount || hasMore) && (
+                    <div ref={endRef} className="flex justify-center mt-6 text-sm text-[var(--text-muted)]">
+                        Loading more crops…
+                    </div>
+                )}
             </div>
         </div>
     )
@@ -0,0 +1,93 @@
+import { useEffect, useState } from 'react'
+import { listImages } from '../utils/api'
+
+/**
+ * Image library
+ * Every source image stored in the project, newest first. Selecting one
+ * opens it in the Canvas view so new crops are cut from it.
+ */
+function ImageLibraryView({ currentImageId, onOpenImage }) {
+    const [images, setImages] = useState(null) // null while loading
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        let cancelled = false
+        listImages()
+            .then(result => {
+                if (cancelled) return
+                setImages([...result.images].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)))
+            })
+            .catch(loadError => {
+                console.error('Failed to load images:', loadError)
+                if (!cancelled) setError(loadError.message)
+            })
+        return () => { cancelled = true }
+    }, [])
+
+    if (error) {
+        return (
+            <div className="glass-card flex-1 flex items-center justify-center">
+                <p className="text-[var(--text-secondary)]">Could not load images: {error}</p>
+            </div>
+        )
+    }
+
+    if (!images) {
+        return (
+            <div className="glass-card flex-1 flex items-center justify-center">
+                <p className="text-[var(--text-secondary)]">Loading images...</p>
+            </div>
+        )
+    }
+
+    if (images.length === 0) {
+        return (
+            <div className="glass-card flex-1 flex items-center justify-center">
+                <p className="text-[var(--text-secondary)]">No images yet. Upload artwork to start cropping.</p>
+            </div>
+        )
+    }
+
+    return (
+        <div className="glass-card flex-1 p-6 overflow-auto min-h-0">
+            <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-5 gap-4">
+                {images.map(image => {
+                    const isCurrent = image.id === currentImageId
+                    return (
+                        <button
+                            key={image.id}
+                            onClick={() => onOpenImage(image)}
+                            className={`text-left rounded-xl overflow-hidden bg-[var(--bg-tertiary)] border transition-colors ${isCurrent
+                                ? 'border-purple-500'
+                                : 'border-[var(--border-color)] hover:border-[var(--text-muted)]'
+                                }`}
+                            title={isCurrent ? 'Open in Canvas (current image)' : 'Open in Canvas'}
+                        >
+                            <div className="h-40 bg-black/30 flex items-center justify-center">
+                                <img
+                                    src={image.url}
+                                    alt={image.name || image.id}
+                                    loading="lazy"
+                                    className="max-w-full max-h-full object-contain"
+                                />
+                            </div>
+                            <div className="p-3 space-y-1">
+                                <p className="text-sm text-white truncate">{image.name || image.id}</p>
+                                <p className="text-xs text-[var(--text-muted)]">
+                                    {image.width && image.height ? `${image.width} × ${image.height}` : 'Unknown size'}
+                                    {image.format && ` · ${image.format.toUpperCase()}`}
+                                </p>
+                                <p className="text-xs text-[var(--text-muted)] flex justify-between gap-2">
+                                    <span>{image.cropCount} {image.cropCount === 1 ? 'crop' : 'crops'}</span>
+                                    {image.createdAt > 0 && <span>{new Date(image.createdAt).toLocaleDateString()}</span>}
+                                </p>
+                            </div>
+                        </button>
+                    )
+                })}
+            </div>
+        </div>
+    )
+}
+
+export default ImageLibraryView
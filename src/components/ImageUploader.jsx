@@ -8,7 +8,7 @@ function ImageUploader({ onImageUpload }) {
         if (file && file.type.startsWith('image/')) {
             const reader = new FileReader()
             reader.onload = (event) => {
-                onImageUpload(event.target.result)
+                onImageUpload(event.target.result, file)
             }
             reader.readAsDataURL(file)
         }
@@ -1,5 +1,6 @@
 import { memo, useCallback, useMemo, useRef, useState } from 'react'
 import { FILTERS } from '../utils/filters'
+import { getCropImageSrc } from '../utils/api'
 
 /**
  * PageCanvas - Renders the composition with assigned crops in panels
@@ -120,7 +121,7 @@ function PageCanvas({
                                 }}
                             >
                                 <img
-                                    src={crop.imageData}
+                                    src={getCropImageSrc(crop)}
                                     alt=""
                                     style={{
                                         width: '100%',
@@ -0,0 +1,111 @@
+import { memo, useState } from 'react'
+import { DEFAULT_PROJECT_ID } from '../utils/projects'
+
+const compactField = { padding: '6px 10px', width: 'auto' }
+
+/**
+ * Project switcher for the header
+ * Picks the project the whole app works in, and creates, renames and deletes
+ * projects. While an image is open it can be moved, with its crops, to
+ * another project.
+ */
+function ProjectSwitcher({
+    projects,
+    currentProjectId,
+    canMoveImage,
+    onSelectProject,
+    onCreateProject,
+    onRenameProject,
+    onDeleteProject,
+    onMoveImage
+}) {
+    // 'create' or 'rename' while the name field is shown
+    const [editing, setEditing] = useState(null)
+    const [name, setName] = useState('')
+
+    const current = projects.find(project => project.id === currentProjectId)
+    const otherProjects = projects.filter(project => project.id !== currentProjectId)
+
+    const startEditing = (mode) => {
+        setEditing(mode)
+        setName(mode === 'rename' ? current?.name || '' : '')
+    }
+
+    const finishEditing = () => {
+        const trimmed = name.trim()
+        if (trimmed && editing === 'create') onCreateProject(trimmed)
+        if (trimmed && editing === 'rename' && trimmed !== current?.name) onRenameProject(currentProjectId, trimmed)
+        setEditing(null)
+    }
+
+    if (projects.length === 0) return null
+
+    if (editing) {
+        return (
+            <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onBlur={finishEditing}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter') finishEditing()
+                    if (e.key === 'Escape') setEditing(null)
+                }}
+                placeholder={editing === 'create' ? 'New project name' : 'Project name'}
+                maxLength={100}
+                style={{ ...compactField, width: 200 }}
+                autoFocus
+            />
+        )
+    }
+
+    return (
+        <div className="flex items-center gap-2">
+            <select
+                value={currentProjectId}
+                onChange={(e) => onSelectProject(e.target.value)}
+                style={compactField}
+                aria-label="Project"
+                title={current?.description || undefined}
+            >
+                {projects.map(project => (
+                    <option key={project.id} value={project.id}>
+                        {project.name} ({project.counts.crops})
+                    </option>
+                ))}
+            </select>
+
+            <button onClick={() => startEditing('create')} className="text-xs text-[var(--text-secondary)] hover:text-white" title="New project">
+                New
+            </button>
+            <button onClick={() => startEditing('rename')} className="text-xs text-[var(--text-secondary)] hover:text-white" title="Rename project">
+                Rename
+            </button>
+            {currentProjectId !== DEFAULT_PROJECT_ID && (
+                <button
+                    onClick={() => onDeleteProject(currentProjectId)}
+                    className="text-xs text-[var(--text-secondary)] hover:text-red-400"
+                    title="Delete project"
+                >
+                    Delete
+                </button>
+            )}
+
+            {canMoveImage && otherProjects.length > 0 && (
+                <select
+                    value=""
+                    onChange={(e) => { if (e.target.value) onMoveImage(e.target.value) }}
+                    style={compactField}
+                    aria-label="Move image to project"
+                >
+                    <option value="">Move image to...</option>
+                    {otherProjects.map(project => (
+                        <option key={project.id} value={project.id}>{project.name}</option>
+                    ))}
+                </select>
+            )}
+        </div>
+    )
+}
+
+export default memo(ProjectSwitcher)
@@ -1,5 +1,6 @@
 import { memo, useEffect, useMemo, useRef, useState } from 'react'
-import { getImage } from '../utils/api'
+import { getImageFileUrl, getCropImageSrc } from '../utils/api'
+import { loadImage, getUprightSize } from '../utils/imageLoader'
 
 // Constants for display calculations
 const DEFAULT_IMAGE_DIMENSION = 1000 // fallback when original dimensions unavailable
@@ -59,25 +60,30 @@ const RotatableImage = memo(function RotatableImage({
         return () => resizeObserver.disconnect()
     }, [])
 
-    // Lazy load original image when rotation is applied
+    // Lazy load original image when rotation or panning is applied.
+    // The file URL is cached by the browser; preloading keeps the cropped
+    // preview on screen until the original is ready.
+    const needsOriginal = currentRotation !== 0 || cropOffsetX !== 0 || cropOffsetY !== 0
+    const [originalFailed, setOriginalFailed] = useState(false)
+    // Upright size of the loaded original, for crops saved without originalImageWidth/Height
+    const [originalSize, setOriginalSize] = useState(null)
+
     useEffect(() => {
-        if (currentRotation !== 0 && !originalImage && !isLoadingOriginal && crop.imageId) {
-            const loadImage = async () => {
-                setIsLoadingOriginal(true)
-                try {
-                    const imageData = await getImage(crop.imageId)
-                    if (imageData && imageData.data) {
-                        setOriginalImage(imageData.data)
-                    }
-                } catch (error) {
-                    console.error('Failed to lazy-load original image for rotation:', error)
-                } finally {
-                    setIsLoadingOriginal(false)
-                }
-            }
-            loadImage()
-        }
-    }, [currentRotation, originalImage, isLoadingOriginal, crop.imageId])
+        if (!needsOriginal || originalImage || isLoadingOriginal || originalFailed || !crop.imageId) return
+
+        const url = getImageFileUrl(crop.imageId)
+        setIsLoadingOriginal(true)
+        loadImage(url)
+            .then((img) => {
+                setOriginalSize(getUprightSize(img))
+                setOriginalImage(url)
+            })
+            .catch(() => {
+                console.error('Failed to lazy-load original image:', url)
+                setOriginalFailed(true)
+            })
+            .finally(() => setIsLoadingOriginal(false))
+    }, [needsOriginal, originalImage, isLoadingOriginal, originalFailed, crop.imageId])
 
     // Calculate rotation display data (pixel-based)
     // When hideRotationOverlay is true, we still need the data to render the rotated image correctly
@@ -95,8 +101,8 @@ const RotatableImage = memo(function RotatableImage({
         const scaleX = crop.width > 0 ? boxWidth / crop.width : 1
         const scaleY = crop.height > 0 ? boxHeight / crop.height : 1
 
-        const origW = crop.originalImageWidth || DEFAULT_IMAGE_DIMENSION
-        const origH = crop.originalImageHeight || DEFAULT_IMAGE_DIMENSION
+        const origW = crop.originalImageWidth || originalSize?.width || DEFAULT_IMAGE_DIMENSION
+        const origH = crop.originalImageHeight || originalSize?.height || DEFAULT_IMAGE_DIMENSION
         const cropX = (crop.x || 0) + cropOffsetX
         const cropY = (crop.y || 0) + cropOffsetY
         const cropW = crop.width || 100
@@ -112,31 +118,11 @@ const RotatableImage = memo(function RotatableImage({
             scaleX,
             scaleY
         }
-    }, [containerSize, containerInset, crop.width, crop.height, crop.x, crop.y, crop.originalImageWidth, crop.originalImageHeight, cropOffsetX, cropOffsetY])
+    }, [containerSize, containerInset, crop.width, crop.height, crop.x, crop.y, crop.originalImageWidth, crop.originalImageHeight, originalSize, cropOffsetX, cropOffsetY])
 
     // Determine if we need to show the original image (rotation or panning with offset)
     const showOriginalImage = (currentRotation !== 0 || cropOffsetX !== 0 || cropOffsetY !== 0) && originalImage
 
-    // For panning preview, also load original image
-    useEffect(() => {
-        if ((cropOffsetX !== 0 || cropOffsetY !== 0) && !originalImage && !isLoadingOriginal && crop.imageId) {
-            const loadImage = async () => {
-                setIsLoadingOriginal(true)
-                try {
-                    const imageData = await getImage(crop.imageId)
-                    if (imageData && imageData.data) {
-                        setOriginalImage(imageData.data)
-                    }
-                } catch (error) {
-                    console.error('Failed to lazy-load original image for panning:', error)
-                } finally {
-                    setIsLoadingOriginal(false)
-                }
-            }
-            loadImage()
-        }
-    }, [cropOffsetX, cropOffsetY, originalImage, isLoadingOriginal, crop.imageId])
-
     // Corner handle style (reusable)
     const cornerHandleStyle = {
         position: 'absolute',
@@ -262,7 +248,7 @@ const RotatableImage = memo(function RotatableImage({
             ) : (
                 /* Normal view - just the cropped image */
                 <img
-                    src={crop.imageData}
+                    src={getCropImageSrc(crop)}
                     alt=""
                     style={{
                         width: '100%',
@@ -0,0 +1,84 @@
+import { useState } from 'react'
+
+const FIELDS = [
+    { key: 'x', label: 'X', step: 1, precision: 0 },
+    { key: 'y', label: 'Y', step: 1, precision: 0 },
+    { key: 'width', label: 'W', step: 1, precision: 0 },
+    { key: 'height', label: 'H', step: 1, precision: 0 },
+    { key: 'rotation', label: '°', step: 1, precision: 1 }
+]
+
+/**
+ * A number input that keeps what is being typed as a draft and applies it on
+ * Enter or blur, so "200" is not applied as "2" on the way. Arrow keys step
+ * by `step`, or ten steps with Shift.
+ */
+function NumberField({ label, value, step, precision, disabled, onChange }) {
+    const [draft, setDraft] = useState(null)
+    const factor = 10 ** precision
+    const shown = Math.round(value * factor) / factor
+
+    const applyDraft = () => {
+        if (draft === null) return
+        setDraft(null)
+        const parsed = parseFloat(draft)
+        if (Number.isFinite(parsed)) onChange(parsed)
+    }
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            applyDraft()
+            return
+        }
+        if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return
+        e.preventDefault()
+        const delta = (e.key === 'ArrowUp' ? 1 : -1) * step * (e.shiftKey ? 10 : 1)
+        setDraft(null)
+        onChange(shown + delta)
+    }
+
+    return (
+        <label className="flex items-center gap-1.5">
+            <span className="w-3 text-[var(--text-muted)]">{label}</span>
+            <input
+                type="number"
+                value={draft ?? shown}
+                step={step}
+                disabled={disabled}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={handleKeyDown}
+                onBlur={applyDraft}
+                style={{ padding: '4px 6px', width: 76 }}
+                className="tabular-nums disabled:opacity-50"
+            />
+        </label>
+    )
+}
+
+/**
+ * Selection inspector for the Canvas view
+ * The live selection in source-image pixels, as crops store it. Editing a
+ * field moves the on-screen selection to match.
+ */
+function SelectionInspector({ values, lockSize, onChange }) {
+    return (
+        <div className="bg-[var(--bg-card)]/95 backdrop-blur-xl border border-[var(--border-color)] rounded-xl p-3 shadow-2xl text-xs text-[var(--text-secondary)]">
+            <p className="mb-2 text-[var(--text-muted)]">Selection (source pixels)</p>
+            <div className="grid grid-cols-2 gap-2">
+                {FIELDS.map(field => (
+                    <NumberField
+                        key={field.key}
+                        label={field.label}
+                        value={values[field.key]}
+                        step={field.step}
+                        precision={field.precision}
+                        disabled={lockSize && (field.key === 'width' || field.key === 'height')}
+                        onChange={(value) => onChange(field.key, value)}
+                    />
+                ))}
+            </div>
+        </div>
+    )
+}
+
+export default SelectionInspector
@@ -0,0 +1,133 @@
+import { memo, useEffect, useRef, useState } from 'react'
+import { getTagAncestors, getTagLeaf } from '../utils/tags'
+
+const DEFAULT_TAG_COLOR = '#8b5cf6'
+// The color picker reports every step of a drag; save once it settles
+const COLOR_SAVE_DELAY_MS = 300
+
+/**
+ * Tag browser for the Gallery view
+ * Walks the tag hierarchy one level at a time: the breadcrumb shows the
+ * selected tag's path, chips list its children. Selecting a tag filters the
+ * gallery to it and its descendants, and lets its color and description be edited.
+ */
+function TagBrowser({ tags, selectedTag, onSelectTag, onUpdateTagDetails }) {
+    const children = tags
+        .filter(tag => tag.parent === selectedTag)
+        .sort((a, b) => a.name.localeCompare(b.name))
+    const selected = tags.find(tag => tag.name === selectedTag)
+
+    if (tags.length === 0) return null
+
+    return (
+        <div className="mb-6 space-y-3">
+            {/* Breadcrumb */}
+            <div className="flex flex-wrap items-center gap-1 text-sm">
+                <button
+                    onClick={() => onSelectTag(null)}
+                    className={`px-2 py-1 rounded-lg transition-colors ${selectedTag ? 'text-[var(--text-secondary)] hover:text-white' : 'text-white font-medium'}`}
+                >
+                    All tags
+                </button>
+                {selectedTag && [...getTagAncestors(selectedTag), selectedTag].map(path => (
+                    <span key={path} className="flex items-center gap-1">
+                        <span className="text-[var(--text-muted)]">/</span>
+                        <button
+                            onClick={() => onSelectTag(path)}
+                            className={`px-2 py-1 rounded-lg transition-colors ${path === selectedTag ? 'text-white font-medium' : 'text-[var(--text-secondary)] hover:text-white'}`}
+                        >
+                            {getTagLeaf(path)}
+                        </button>
+                    </span>
+                ))}
+            </div>
+
+            {/* Children of the current level */}
+            {children.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {children.map(tag => (
+                        <button
+                            key={tag.name}
+                            onClick={() => onSelectTag(tag.name)}
+                            className="tag-chip"
+                            style={tag.color ? { borderColor: tag.color, background: `${tag.color}33` } : undefined}
+                            title={tag.description || tag.name}
+                        >
+                            {getTagLeaf(tag.name)}
+                            <span className="text-[var(--text-muted)]">{tag.totalCount}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {/* Details of the selected tag */}
+            {selected && (
+                <TagDetailsEditor
+                    key={selected.name}
+                    tag={selected}
+                    onSave={(details) => onUpdateTagDetails(selected.name, details)}
+                />
+            )}
+        </div>
+    )
+}
+
+function TagDetailsEditor({ tag, onSave }) {
+    const [description, setDescription] = useState(tag.description || '')
+    const [color, setColor] = useState(tag.color)
+    const pendingColorRef = useRef(null) // { timer, save } while a color change waits to be saved
+
+    // Save a pending color right away if another tag is selected first
+    useEffect(() => () => {
+        if (!pendingColorRef.current) return
+        clearTimeout(pendingColorRef.current.timer)
+        pendingColorRef.current.save()
+    }, [])
+
+    const handleColorChange = (value) => {
+        setColor(value)
+        if (pendingColorRef.current) clearTimeout(pendingColorRef.current.timer)
+        const save = () => {
+            pendingColorRef.current = null
+            onSave({ color: value })
+        }
+        pendingColorRef.current = { timer: setTimeout(save, COLOR_SAVE_DELAY_MS), save }
+    }
+
+    const saveDescription = () => {
+        const next = description.trim() || null
+        if (next !== (tag.description || null)) onSave({ description: next })
+    }
+
+    return (
+        <div className="flex items-center gap-3">
+            <input
+                type="color"
+                value={color || DEFAULT_TAG_COLOR}
+                onChange={(e) => handleColorChange(e.target.value)}
+                style={{ width: 40, height: 36, padding: 2, flexShrink: 0 }}
+                aria-label={`Color of ${tag.name}`}
+                title="Tag color"
+            />
+            {color && (
+                <button
+                    onClick={() => handleColorChange(null)}
+                    className="text-xs text-[var(--text-muted)] hover:text-white whitespace-nowrap"
+                >
+                    Clear color
+                </button>
+            )}
+            <input
+                type="text"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                onBlur={saveDescription}
+                onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur() }}
+                placeholder={`Describe "${tag.name}"`}
+                maxLength={500}
+            />
+        </div>
+    )
+}
+
+export default memo(TagBrowser)
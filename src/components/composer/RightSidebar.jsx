@@ -1,9 +1,10 @@
 import { memo } from 'react'
 import SelectedItemControls from './SelectedItemControls'
+import { getCropImageSrc } from '../../utils/api'
 
 /**
  * Right sidebar component for Composer view
- * Contains tabs for Crops list and Selected item controls
+ * Contains tabs for Crops list (optionally filtered to one collection) and Selected item controls
  */
 function RightSidebar({
     isOpen,
@@ -13,6 +14,9 @@ function RightSidebar({
     mode,
     selectedItem,
     crops,
+    collections = [],
+    selectedCollectionId,
+    onSelectCollection,
     onUpdateItem,
     onDeleteItem,
     onCropDragStart
@@ -78,9 +82,28 @@ function RightSidebar({
                             className="p-3 flex-1 overflow-y-auto"
                             style={{ display: activeTab === 'crops' ? 'block' : 'none' }}
                         >
+                            {collections.length > 0 && (
+                                <select
+                                    value={selectedCollectionId || ''}
+                                    onChange={(e) => onSelectCollection(e.target.value || null)}
+                                    className="mb-3 text-xs"
+                                    style={{ padding: '6px 8px' }}
+                                    aria-label="Show crops from collection"
+                                >
+                                    <option value="">All crops</option>
+                                    {collections.map(collection => (
+                                        <option key={collection.id} value={collection.id}>
+                                            {collection.name} ({collection.cropCount})
+                                        </option>
+                                    ))}
+                                </select>
+                            )}
+
                             {crops.length === 0 ? (
                                 <p className="text-xs text-[var(--text-muted)]">
-                                    No crops yet. Create some in the Canvas view.
+                                    {selectedCollectionId
+                                        ? 'No crops in this collection.'
+                                        : 'No crops yet. Create some in the Canvas view.'}
                                 </p>
                             ) : (
                                 <div className="flex flex-col gap-2">
@@ -93,7 +116,7 @@ function RightSidebar({
                                         >
                                             <div className="aspect-video bg-[var(--bg-tertiary)] relative overflow-hidden">
                                                 <img
-                                                    src={crop.imageData}
+                                                    src={getCropImageSrc(crop)}
                                                     alt=""
                                                     className="w-full h-full object-cover"
                                                     style={{
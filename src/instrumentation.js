@@ -0,0 +1,10 @@
+/**
+ * Next.js server startup hook
+ * Runs schema migrations on the JSON stores before the first request is handled
+ */
+export async function register() {
+    if (process.env.NEXT_RUNTIME === 'nodejs') {
+        const { runStartupMigrations } = await import('./lib/storage');
+        await runStartupMigrations();
+    }
+}
@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+import { getStorage } from './storage';
+import { sameId } from './storage/query';
+import { toCropResponse } from './cropDb';
+import { readJsonObject, parseNamedInput } from './requestInput';
+import { getRecordProjectId } from '../utils/projects';
+
+// Collections group crops across the source images of one project. Each keeps
+// its members as an ordered `cropIds` array, so a crop can sit in many
+// collections at a different position in each.
+
+function createCollectionError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function notFound(collectionId) {
+    return createCollectionError('ECOLLECTIONNOTFOUND', `Collection ${collectionId} not found`);
+}
+
+/**
+ * A collection of the given project, or ECOLLECTIONNOTFOUND
+ * @param {{ collections: Object }} tables
+ * @param {string} projectId
+ * @param {string} collectionId
+ * @returns {Promise<Object>}
+ */
+export async function getProjectCollection(tables, projectId, collectionId) {
+    const collection = await tables.collections.get(collectionId);
+    if (!collection || getRecordProjectId(collection) !== projectId) throw notFound(collectionId);
+    return collection;
+}
+
+/**
+ * Generate an id for a new collection
+ * @returns {string}
+ */
+export function generateCollectionId() {
+    return `col_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+}
+
+/**
+ * Parse a collection request's JSON body, which must be an object
+ * @param {Request} request
+ * @returns {Promise<Object>}
+ */
+export function readCollectionBody(request) {
+    return readJsonObject(request, 'EBADCOLLECTION');
+}
+
+/**
+ * Validate a collection's name and description from a request body
+ * @param {Object} body
+ * @param {{ partial?: boolean }} options - partial: fields may be omitted (PATCH)
+ * @returns {{ name?: string, description?: string | null }}
+ */
+export function parseCollectionInput(body, options) {
+    return parseNamedInput(body, 'EBADCOLLECTION', options);
+}
+
+/**
+ * Map requested crop ids to the stored crops' ids, in order and without
+ * duplicates. Only crops of the project can be used.
+ * @param {Object} tx - Transaction tables
+ * @param {*} cropIds - Value from the request body
+ * @param {string} projectId
+ * @returns {Promise<Array<string|number>>}
+ */
+async function resolveCropIds(tx, cropIds, projectId) {
+    if (!Array.isArray(cropIds)) {
+        throw createCollectionError('EBADCOLLECTION', 'cropIds must be an array');
+    }
+
+    const resolved = [];
+    const missing = [];
+    for (const cropId of cropIds) {
+        const crop = await tx.crops.get(cropId);
+        if (!crop || getRecordProjectId(crop) !== projectId) missing.push(cropId);
+        else if (!resolved.some(id => sameId(id, crop.id))) resolved.push(crop.id);
+    }
+
+    if (missing.length > 0) {
+        throw createCollectionError('EBADCOLLECTION', `Unknown crop ids: ${missing.join(', ')}`);
+    }
+    return resolved;
+}
+
+/**
+ * Shape a stored collection for API responses
+ * @param {Object} collection
+ */
+export function toCollectionResponse(collection) {
+    const cropIds = collection.cropIds || [];
+    return {
+        id: collection.id,
+        projectId: getRecordProjectId(collection),
+        name: collection.name,
+        description: collection.description || null,
+        cropIds,
+        cropCount: cropIds.length,
+        createdAt: collection.createdAt,
+        updatedAt: collection.updatedAt
+    };
+}
+
+/**
+ * Create a collection, optionally with initial members
+ * @param {string} projectId
+ * @param {{ name: string, description?: string | null }} input
+ * @param {Array<string|number>} [cropIds]
+ * @returns {Promise<Object>} The stored collection
+ */
+export function createCollection(projectId, input, cropIds = []) {
+    return getStorage().transaction(async (tx) => {
+        const now = Date.now();
+        return tx.collections.put({
+            id: generateCollectionId(),
+            projectId,
+            name: input.name,
+            description: input.description || null,
+            cropIds: await resolveCropIds(tx, cropIds, projectId),
+            createdAt: now,
+            updatedAt: now
+        });
+    });
+}
+
+/**
+ * Change a collection's name or description
+ * @param {string} projectId
+ * @param {string} collectionId
+ * @param {{ name?: string, description?: string | null }} input
+ * @returns {Promise<Object>} The updated collection
+ */
+export function updateCollection(projectId, collectionId, input) {
+    return getStorage().transaction(async (tx) => {
+        await getProjectCollection(tx, projectId, collectionId);
+        return tx.collections.update(collectionId, { ...input, updatedAt: Date.now() });
+    });
+}
+
+/**
+ * Delete a collection (its crops are left alone)
+ * @param {string} projectId
+ * @param {string} collectionId
+ * @returns {Promise<Object>} The removed collection
+ */
+export function deleteCollection(projectId, collectionId) {
+    return getStorage().transaction(async (tx) => {
+        await getProjectCollection(tx, projectId, collectionId);
+        return tx.collections.remove(collectionId);
+    });
+}
+
+/**
+ * A collection's crops in the collection's order
+ * @param {{ crops: Object }} tables - Storage or a transaction's tables
+ * @param {Object} collection
+ * @returns {Promise<Object[]>} Crop responses
+ */
+export async function getCollectionCrops(tables, collection) {
+    const crops = [];
+    for (const cropId of collection.cropIds || []) {
+        const crop = await tables.crops.get(cropId);
+        if (crop) crops.push(toCropResponse(crop));
+    }
+    return crops;
+}
+
+/**
+ * Run a change to one collection's member list in a transaction
+ * @param {string} projectId
+ * @param {string} collectionId
+ * @param {(cropIds: Array, tx: Object) => Promise<Array>} change - Returns the new list
+ * @returns {Promise<Object>} The updated collection
+ */
+function changeMembers(projectId, collectionId, change) {
+    return getStorage().transaction(async (tx) => {
+        const collection = await getProjectCollection(tx, projectId, collectionId);
+
+        const cropIds = await change(collection.cropIds || [], tx);
+        return tx.collections.update(collectionId, { cropIds, updatedAt: Date.now() });
+    });
+}
+
+/**
+ * Add crops to a collection. Crops already in it move to the new position.
+ * @param {string} projectId
+ * @param {string} collectionId
+ * @param {Array<string|number>} cropIds
+ * @param {number} [position] - Index to insert at; appended when omitted
+ * @returns {Promise<Object>} The updated collection
+ */
+export function addCollectionCrops(projectId, collectionId, cropIds, position) {
+    if (position !== undefined && !(Number.isInteger(position) && position >= 0)) {
+        throw createCollectionError('EBADCOLLECTION', 'position must be a non-negative integer');
+    }
+
+    return changeMembers(projectId, collectionId, async (current, tx) => {
+        const added = await resolveCropIds(tx, cropIds, projectId);
+        const rest = current.filter(id => !added.some(a => sameId(a, id)));
+        const index = position === undefined ? rest.length : Math.min(position, rest.length);
+        return [...rest.slice(0, index), ...added, ...rest.slice(index)];
+    });
+}
+
+/**
+ * Replace a collection's members and their order
+ * @param {string} projectId
+ * @param {string} collectionId
+ * @param {Array<string|number>} cropIds
+ * @returns {Promise<Object>} The updated collection
+ */
+export function setCollectionCrops(projectId, collectionId, cropIds) {
+    return changeMembers(projectId, collectionId, (current, tx) => resolveCropIds(tx, cropIds, projectId));
+}
+
+/**
+ * Remove crops from a collection
+ * @param {string} projectId
+ * @param {string} collectionId
+ * @param {Array<string|number>} cropIds
+ * @returns {Promise<Object>} The updated collection
+ */
+export function removeCollectionCrops(projectId, collectionId, cropIds) {
+    return changeMembers(projectId, collectionId, async (current) => (
+        current.filter(id => !cropIds.some(removed => sameId(removed, id)))
+    ));
+}
+
+/**
+ * Drop deleted crops from every collection that holds them
+ * @param {{ collections: Object }} tx - Transaction tables
+ * @param {Array<string|number>} cropIds
+ * @returns {Promise<string[]>} Ids of the collections that changed
+ */
+export async function removeCropsFromCollections(tx, cropIds) {
+    const removed = new Set(cropIds.map(String));
+    const changed = [];
+
+    for (const collection of await tx.collections.list()) {
+        const members = collection.cropIds || [];
+        if (!members.some(id => removed.has(String(id)))) continue;
+
+        await tx.collections.update(collection.id, {
+            cropIds: members.filter(id => !removed.has(String(id))),
+            updatedAt: Date.now()
+        });
+        changed.push(collection.id);
+    }
+
+    return changed;
+}
+
+/**
+ * HTTP status for a collection error, or null if it is unexpected
+ * @param {Error} error
+ * @returns {number | null}
+ */
+export function getCollectionErrorStatus(error) {
+    switch (error.code) {
+        case 'EBADCOLLECTION':
+            return 400;
+        case 'ECOLLECTIONNOTFOUND':
+            return 404;
+        default:
+            return null;
+    }
+}
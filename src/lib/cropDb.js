@@ -1,18 +1,11 @@
-import fs from 'fs';
 import path from 'path';
+import { writeBlob, readBlob, deleteBlob, blobExists } from './storage/blobStore';
+import { getRecordProjectId } from '../utils/projects';
 
-// Store crop preview images in a separate folder
-const DB_DIR = path.join(process.cwd(), 'data');
-const CROPS_DIR = path.join(DB_DIR, 'crops');
+// Crop preview images live in the 'crops' blob bucket (data/crops)
 
-function ensureCropsDir() {
-    if (!fs.existsSync(DB_DIR)) {
-        fs.mkdirSync(DB_DIR, { recursive: true });
-    }
-    if (!fs.existsSync(CROPS_DIR)) {
-        fs.mkdirSync(CROPS_DIR, { recursive: true });
-    }
-}
+// A crop's region in source-image pixels
+const GEOMETRY_FIELDS = ['x', 'y', 'width', 'height', 'sourceRotation'];
 
 /**
  * Save a crop preview image to file
@@ -21,8 +14,6 @@ function ensureCropsDir() {
  * @returns {string} The relative path to the saved file
  */
 export function saveCropPreview(cropId, base64Data) {
-    ensureCropsDir();
-
     // Extract the base64 content and mime type
     const matches = base64Data.match(/^data:image\/(\w+);base64,(.+)$/);
     if (!matches) {
@@ -32,11 +23,10 @@ export function saveCropPreview(cropId, base64Data) {
     const extension = matches[1] === 'jpeg' ? 'jpg' : matches[1];
     const base64Content = matches[2];
     const fileName = `${cropId}.${extension}`;
-    const filePath = path.join(CROPS_DIR, fileName);
 
     // Write image file
     const buffer = Buffer.from(base64Content, 'base64');
-    fs.writeFileSync(filePath, buffer);
+    writeBlob('crops', fileName, buffer);
 
     return fileName;
 }
@@ -47,12 +37,9 @@ export function saveCropPreview(cropId, base64Data) {
  * @returns {string | null} Base64 data URL or null if not found
  */
 export function loadCropPreview(fileName) {
-    ensureCropsDir();
-
-    const filePath = path.join(CROPS_DIR, fileName);
-    if (!fs.existsSync(filePath)) return null;
+    const buffer = readBlob('crops', fileName);
+    if (!buffer) return null;
 
-    const buffer = fs.readFileSync(filePath);
     const base64 = buffer.toString('base64');
 
     // Determine mime type from extension
@@ -69,13 +56,7 @@ export function loadCropPreview(fileName) {
  */
 export function deleteCropPreview(fileName) {
     if (!fileName) return false;
-
-    const filePath = path.join(CROPS_DIR, fileName);
-    if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        return true;
-    }
-    return false;
+    return deleteBlob('crops', fileName);
 }
 
 /**
@@ -85,6 +66,49 @@ export function deleteCropPreview(fileName) {
  */
 export function cropPreviewExists(fileName) {
     if (!fileName) return false;
-    const filePath = path.join(CROPS_DIR, fileName);
-    return fs.existsSync(filePath);
+    return blobExists('crops', fileName);
+}
+
+/**
+ * URL of a crop's preview image. `v` changes whenever the crop is updated,
+ * so a replaced preview is not served from the browser cache.
+ * @param {Object} crop - Stored crop record
+ * @returns {string | null}
+ */
+export function getCropPreviewUrl(crop) {
+    if (!crop.imageDataPath) return null;
+    const projectId = encodeURIComponent(getRecordProjectId(crop));
+    return `/api/crops/${encodeURIComponent(crop.id)}/preview?project=${projectId}&v=${crop.updatedAt || 0}`;
+}
+
+/**
+ * Shape a stored crop for API responses
+ * @param {Object} crop - Stored crop record
+ * @param {{ includeImageData?: boolean }} options - Also inline the preview as a base64 data URL
+ * @returns {Object}
+ */
+export function toCropResponse(crop, { includeImageData = false } = {}) {
+    const response = { ...crop, previewUrl: getCropPreviewUrl(crop) };
+    if (includeImageData) {
+        response.imageData = crop.imageDataPath ? loadCropPreview(crop.imageDataPath) : null;
+    }
+    return response;
+}
+
+/**
+ * Check a crop's region fields from a request body
+ * @param {Object} fields
+ * @param {{ partial?: boolean }} options - partial: fields may be omitted (PATCH)
+ * @returns {string | null} What is wrong with the region, or null if it is valid
+ */
+export function getCropGeometryError(fields, { partial = false } = {}) {
+    for (const field of GEOMETRY_FIELDS) {
+        if (!(field in fields)) {
+            if (partial || field === 'sourceRotation') continue;
+            return `${field} is required`;
+        }
+        if (!Number.isFinite(fields[field])) return `${field} must be a number`;
+    }
+    if (fields.width <= 0 || fields.height <= 0) return 'width and height must be positive';
+    return null;
 }
@@ -0,0 +1,148 @@
+import { toCropResponse } from './cropDb';
+import { normalizeTags, isTagWithin } from '../utils/tags';
+
+// Filtering, sorting and cursor pagination for crop listings
+
+const SORT_FIELDS = ['createdAt', 'updatedAt'];
+const DEFAULT_SORT = 'createdAt';
+const MAX_LIMIT = 500;
+
+function createQueryError(message) {
+    const error = new Error(message);
+    error.code = 'EBADQUERY';
+    return error;
+}
+
+function parseTimestamp(value, name) {
+    const number = Number(value);
+    const time = Number.isFinite(number) ? number : Date.parse(value);
+    if (!Number.isFinite(time)) {
+        throw createQueryError(`${name} must be a timestamp in milliseconds or an ISO date`);
+    }
+    return time;
+}
+
+/**
+ * Cursors are opaque to clients: the sort value and id of the last crop on
+ * the previous page, so pages stay stable while crops are added
+ */
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify([value, String(id)])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Array.isArray(decoded) && decoded.length === 2 && typeof decoded[1] === 'string') {
+            return decoded;
+        }
+    } catch {
+        // Fall through to the error below
+    }
+    throw createQueryError('Invalid cursor');
+}
+
+/**
+ * Parse crop listing options from a query string. Invalid values throw an
+ * error with code EBADQUERY.
+ * @param {URLSearchParams} searchParams
+ * @returns {{ imageId?: string, tags: string[], q?: string, createdAfter?: number, sort: { field: string, descending: boolean }, limit?: number, cursor?: Array, fields?: string[], includeImageData: boolean }}
+ */
+export function parseCropQuery(searchParams) {
+    const sortParam = searchParams.get('sort') || DEFAULT_SORT;
+    const descending = sortParam.startsWith('-');
+    const sortField = descending ? sortParam.slice(1) : sortParam;
+    if (!SORT_FIELDS.includes(sortField)) {
+        throw createQueryError(`sort must be one of ${SORT_FIELDS.map(f => `${f}, -${f}`).join(', ')}`);
+    }
+
+    let limit;
+    if (searchParams.has('limit')) {
+        limit = Number(searchParams.get('limit'));
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw createQueryError('limit must be a positive integer');
+        }
+        limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    const fields = searchParams.get('fields')
+        ? searchParams.get('fields').split(',').map(f => f.trim()).filter(Boolean)
+        : undefined;
+
+    return {
+        imageId: searchParams.get('imageId') || undefined,
+        tags: normalizeTags(searchParams.getAll('tag')),
+        q: searchParams.get('q')?.trim() || undefined,
+        createdAfter: searchParams.has('createdAfter')
+            ? parseTimestamp(searchParams.get('createdAfter'), 'createdAfter')
+            : undefined,
+        sort: { field: sortField, descending },
+        limit,
+        cursor: searchParams.get('cursor') ? decodeCursor(searchParams.get('cursor')) : undefined,
+        fields,
+        includeImageData: searchParams.get('include') === 'imageData' || Boolean(fields?.includes('imageData'))
+    };
+}
+
+function compareBy(field, descending) {
+    return (a, b) => {
+        const order = (a[field] || 0) - (b[field] || 0) || String(a.id).localeCompare(String(b.id));
+        return descending ? -order : order;
+    };
+}
+
+function pickFields(crop, fields) {
+    const picked = { id: crop.id };
+    for (const field of fields) {
+        if (field in crop) picked[field] = crop[field];
+    }
+    return picked;
+}
+
+/**
+ * List crops matching the given options, one page at a time
+ * @param {Object} crops - Crops table (storage.crops or a transaction's tx.crops)
+ * @param {ReturnType<typeof parseCropQuery> & { projectId?: string }} options - projectId: only crops of this project
+ * @returns {Promise<{ crops: Object[], total: number, nextCursor: string | null }>}
+ *   `total` counts every match, not just this page
+ */
+export async function queryCrops(crops, options) {
+    const { projectId, imageId, tags = [], q, createdAfter, sort = { field: DEFAULT_SORT, descending: false }, limit, cursor, fields, includeImageData = false } = options;
+
+    // projectId and imageId can be answered by the storage driver's indexes. Tags
+    // are matched here, since a tag filter also matches the tag's descendants.
+    let matches = await crops.list({ projectId, imageId });
+
+    const needle = q?.toLowerCase();
+    matches = matches.filter(crop => (
+        tags.every(tag => (crop.tags || []).some(cropTag => isTagWithin(cropTag, tag))) &&
+        (!needle || (crop.notes || '').toLowerCase().includes(needle)) &&
+        (createdAfter === undefined || (crop.createdAt || 0) > createdAfter)
+    ));
+
+    const compare = compareBy(sort.field, sort.descending);
+    matches.sort(compare);
+    const total = matches.length;
+
+    // Resume after the crop the cursor points at
+    if (cursor) {
+        const [value, id] = cursor;
+        const marker = { [sort.field]: value, id };
+        matches = matches.filter(crop => compare(crop, marker) > 0);
+    }
+
+    const page = limit ? matches.slice(0, limit) : matches;
+    const last = page[page.length - 1];
+    const nextCursor = limit && matches.length > limit
+        ? encodeCursor(last[sort.field] || 0, last.id)
+        : null;
+
+    return {
+        crops: page.map(crop => {
+            const response = toCropResponse(crop, { includeImageData });
+            return fields ? pickFields(response, fields) : response;
+        }),
+        total,
+        nextCursor
+    };
+}
@@ -1,31 +1,63 @@
 import fs from 'fs';
 import path from 'path';
+import { readJsonStore, writeJsonStore, withFileLock } from './fileStore';
+import { DB_MIGRATIONS, getLatestVersion, needsMigration, runMigrations } from './migrations';
 
+// JSON-file backing for crops, canvases, tag details, collections and projects, used by the json storage driver.
+// Routes should go through getStorage() from ./storage rather than this module.
 // Store data in the project root under /data
 const DB_DIR = path.join(process.cwd(), 'data');
-const DB_FILE = path.join(DB_DIR, 'db.json');
+export const DB_FILE = path.join(DB_DIR, 'db.json');
 
-function ensureDb() {
+function ensureDbDir() {
     if (!fs.existsSync(DB_DIR)) {
         fs.mkdirSync(DB_DIR, { recursive: true });
     }
-    if (!fs.existsSync(DB_FILE)) {
-        fs.writeFileSync(DB_FILE, JSON.stringify({ crops: [], canvases: [], images: [] }, null, 2));
-    }
 }
 
+function createEmptyDb() {
+    return { schemaVersion: getLatestVersion(DB_MIGRATIONS), crops: [], canvases: [], images: [], tags: [], collections: [], projects: [] };
+}
+
+/**
+ * Read the main database. Call it with DB_FILE locked (see withFileLock).
+ * A corrupt db.json is restored from the newest valid backup; if none exists
+ * this throws instead of returning an empty structure that would later be saved over it.
+ */
 export function readDb() {
-    ensureDb();
-    const fileContent = fs.readFileSync(DB_FILE, 'utf-8');
-    try {
-        return JSON.parse(fileContent);
-    } catch (error) {
-        // If JSON is corrupt, return empty structure
-        return { crops: [], canvases: [], images: [] };
+    ensureDbDir();
+    const db = readJsonStore(DB_FILE, createEmptyDb);
+
+    // Data from an older build (e.g. a restored backup) is migrated once and
+    // saved: migrations may write files, so they must not re-run on every read
+    if (needsMigration(db, DB_MIGRATIONS)) {
+        runMigrations(db, DB_MIGRATIONS, 'db.json');
+        writeDb(db);
     }
+    return db;
 }
 
+/**
+ * Write the main database, rotating the previous version into data/backups
+ */
 export function writeDb(data) {
-    ensureDb();
-    fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
+    ensureDbDir();
+    writeJsonStore(DB_FILE, data);
 }
+
+/**
+ * Bring db.json up to the current schema version and save it
+ * @returns {Promise<number[]>} Versions that were applied
+ */
+export function migrateDb() {
+    return withFileLock(DB_FILE, () => {
+        ensureDbDir();
+        const db = readJsonStore(DB_FILE, createEmptyDb);
+        const applied = runMigrations(db, DB_MIGRATIONS, 'db.json');
+        if (applied.length > 0) {
+            writeDb(db);
+        }
+        return applied;
+    });
+}
+
@@ -0,0 +1,118 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+
+// Serve stored files as binary responses with validators and byte ranges
+
+const CONTENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.avif': 'image/avif'
+};
+
+/**
+ * Content-Type for a file name, by extension
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function getContentType(fileName) {
+    return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Parse a single `bytes=` range. Multi-range requests are served in full.
+ * @returns {{ start: number, end: number } | null | 'unsatisfiable'}
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start > end || start >= size) return 'unsatisfiable';
+    return { start, end };
+}
+
+function isNotModified(request, etag, lastModified) {
+    const ifNoneMatch = request.headers.get('if-none-match');
+    if (ifNoneMatch) {
+        // Weak comparison, as required for If-None-Match
+        const strip = (tag) => tag.trim().replace(/^W\//, '');
+        return ifNoneMatch === '*' || ifNoneMatch.split(',').some(tag => strip(tag) === strip(etag));
+    }
+
+    const ifModifiedSince = Date.parse(request.headers.get('if-modified-since') || '');
+    return Number.isFinite(ifModifiedSince) && Math.floor(lastModified / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+/**
+ * Build a streaming response for a file on disk.
+ * Handles ETag / Last-Modified (304) and a single byte Range (206 / 416).
+ * @param {Request} request
+ * @param {string} filePath - Absolute path of the file
+ * @param {{ etag?: string, cacheControl?: string, contentType?: string }} options
+ *   `etag` defaults to a weak tag built from size and mtime
+ * @returns {Response | null} null when the file does not exist
+ */
+export function createFileResponse(request, filePath, options = {}) {
+    let stat;
+    try {
+        stat = fs.statSync(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    if (!stat.isFile()) return null;
+
+    const etag = options.etag
+        ? `"${options.etag}"`
+        : `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    const headers = new Headers({
+        'Content-Type': options.contentType || getContentType(filePath),
+        'Cache-Control': options.cacheControl || 'no-cache',
+        'ETag': etag,
+        'Last-Modified': new Date(stat.mtimeMs).toUTCString(),
+        'Accept-Ranges': 'bytes'
+    });
+
+    if (isNotModified(request, etag, stat.mtimeMs)) {
+        return new Response(null, { status: 304, headers });
+    }
+
+    // If-Range: only honour the range while the client's copy is current
+    const ifRange = request.headers.get('if-range');
+    const range = !ifRange || ifRange === etag
+        ? parseRange(request.headers.get('range'), stat.size)
+        : null;
+
+    if (range === 'unsatisfiable') {
+        headers.set('Content-Range', `bytes */${stat.size}`);
+        return new Response(null, { status: 416, headers });
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : stat.size - 1;
+    headers.set('Content-Length', String(Math.max(end - start + 1, 0)));
+    if (range) {
+        headers.set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    }
+
+    const body = request.method === 'HEAD' || stat.size === 0
+        ? null
+        : Readable.toWeb(fs.createReadStream(filePath, { start, end }));
+
+    return new Response(body, { status: range ? 206 : 200, headers });
+}
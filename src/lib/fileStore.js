@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+
+// Write queues are kept on globalThis so that every route bundle in the
+// same server process shares them (Next.js may load this module more than once)
+const queues = globalThis.__vistaCropFileQueues || new Map();
+globalThis.__vistaCropFileQueues = queues;
+
+// Number of previous good versions kept for each JSON store
+const BACKUP_COUNT = 5;
+const BACKUP_DIR_NAME = 'backups';
+const RECOVERY_LOG_NAME = 'recovery.log';
+
+/**
+ * Write a file atomically: contents go to a temp file next to the target,
+ * are flushed to disk, then renamed over the target in one step.
+ * A crash mid-write leaves either the old file or the new one, never a truncated mix.
+ * @param {string} filePath - Absolute path of the file to write
+ * @param {string|Buffer} contents - File contents
+ */
+export function writeFileAtomic(filePath, contents) {
+    const dir = path.dirname(filePath);
+    const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+    try {
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeFileSync(fd, contents);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        if (fs.existsSync(tempPath)) {
+            fs.unlinkSync(tempPath);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Write a JSON value atomically (pretty-printed like the rest of /data)
+ * @param {string} filePath - Absolute path of the JSON file
+ * @param {any} data - Value to serialize
+ */
+export function writeJsonAtomic(filePath, data) {
+    writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Run a task while holding the write lock for a file.
+ * Tasks for the same file run one after another in call order; a failing
+ * task rejects its own promise but does not block the ones queued behind it.
+ * @template T
+ * @param {string} filePath - The file being protected
+ * @param {() => T | Promise<T>} task - Work to run under the lock
+ * @returns {Promise<T>}
+ */
+export function withFileLock(filePath, task) {
+    const previous = queues.get(filePath) || Promise.resolve();
+    const run = previous.then(() => task());
+    const tail = run.catch(() => { });
+
+    queues.set(filePath, tail);
+    tail.then(() => {
+        if (queues.get(filePath) === tail) {
+            queues.delete(filePath);
+        }
+    });
+
+    return run;
+}
+
+/**
+ * Read and parse a JSON file, returning undefined if it is missing or unparseable
+ * @param {string} filePath
+ * @returns {Object | undefined}
+ */
+function parseJsonFile(filePath) {
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        return data && typeof data === 'object' ? data : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+function getBackupDir(filePath) {
+    return path.join(path.dirname(filePath), BACKUP_DIR_NAME);
+}
+
+/**
+ * Backup paths for a store, newest first (db.json.1 is the most recent)
+ * @param {string} filePath
+ * @returns {string[]}
+ */
+function getBackupPaths(filePath) {
+    const dir = getBackupDir(filePath);
+    const name = path.basename(filePath);
+    return Array.from({ length: BACKUP_COUNT }, (_, i) => path.join(dir, `${name}.${i + 1}`));
+}
+
+function createCorruptStoreError(filePath) {
+    const error = new Error(`${path.basename(filePath)} is corrupt and no valid backup could be restored; refusing to overwrite it`);
+    error.code = 'ESTORECORRUPT';
+    error.filePath = filePath;
+    return error;
+}
+
+/**
+ * Log a recovery event to the console and to data/backups/recovery.log
+ * @param {string} filePath - The store the event concerns
+ * @param {string} message - What happened
+ */
+function logRecoveryEvent(filePath, message) {
+    const line = `[${new Date().toISOString()}] ${path.basename(filePath)}: ${message}`;
+    console.warn(`[fileStore] ${line}`);
+
+    try {
+        const dir = getBackupDir(filePath);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(path.join(dir, RECOVERY_LOG_NAME), line + '\n');
+    } catch (error) {
+        console.error('Failed to write recovery log:', error);
+    }
+}
+
+/**
+ * Shift the backups of a store down by one and copy the current file into slot 1.
+ * The oldest backup falls off the end.
+ * @param {string} filePath
+ */
+function rotateBackups(filePath) {
+    const backups = getBackupPaths(filePath);
+    fs.mkdirSync(getBackupDir(filePath), { recursive: true });
+
+    for (let i = backups.length - 1; i > 0; i--) {
+        if (fs.existsSync(backups[i - 1])) {
+            fs.renameSync(backups[i - 1], backups[i]);
+        }
+    }
+    fs.copyFileSync(filePath, backups[0]);
+}
+
+/**
+ * Restore a store from its newest backup that still parses.
+ * A corrupt live file is kept next to the original as `<name>.corrupt-<timestamp>`.
+ * @param {string} filePath - The store to restore
+ * @param {string} reason - Why recovery was needed (for the log)
+ * @returns {Object | null} The restored data, or null if no valid backup exists
+ */
+export function restoreLatestBackup(filePath, reason = 'manual restore') {
+    for (const backupPath of getBackupPaths(filePath)) {
+        const data = parseJsonFile(backupPath);
+        if (!data) continue;
+
+        if (fs.existsSync(filePath)) {
+            const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, corruptPath);
+            logRecoveryEvent(filePath, `moved unreadable file to ${path.basename(corruptPath)}`);
+        }
+
+        writeFileAtomic(filePath, fs.readFileSync(backupPath));
+        logRecoveryEvent(filePath, `restored from ${path.basename(backupPath)} (${reason})`);
+        return data;
+    }
+
+    logRecoveryEvent(filePath, `no valid backup found (${reason})`);
+    return null;
+}
+
+/**
+ * Read a JSON store, recovering from backups if the file is missing or corrupt.
+ * A missing file with no backups is created from `createEmpty`; a corrupt file
+ * with no valid backup throws an ESTORECORRUPT error rather than returning empty data.
+ * @param {string} filePath - Absolute path of the store
+ * @param {() => Object} createEmpty - Builds the initial contents of a new store
+ * @returns {Object}
+ */
+export function readJsonStore(filePath, createEmpty) {
+    if (!fs.existsSync(filePath)) {
+        const hasBackups = getBackupPaths(filePath).some(p => fs.existsSync(p));
+        const restored = hasBackups ? restoreLatestBackup(filePath, 'file missing') : null;
+        if (restored) return restored;
+
+        const empty = createEmpty();
+        writeJsonAtomic(filePath, empty);
+        return empty;
+    }
+
+    const data = parseJsonFile(filePath);
+    if (data) return data;
+
+    const restored = restoreLatestBackup(filePath, 'file corrupt');
+    if (restored) return restored;
+
+    throw createCorruptStoreError(filePath);
+}
+
+/**
+ * Write a JSON store, keeping the previous version as a rotating backup.
+ * Refuses to write if the file on disk is corrupt, so a bad read can never
+ * be turned into an empty store by the following write.
+ * @param {string} filePath - Absolute path of the store
+ * @param {Object} data - New contents
+ */
+export function writeJsonStore(filePath, data) {
+    if (fs.existsSync(filePath)) {
+        if (!parseJsonFile(filePath)) {
+            throw createCorruptStoreError(filePath);
+        }
+        rotateBackups(filePath);
+    }
+    writeJsonAtomic(filePath, data);
+}
@@ -0,0 +1,141 @@
+import { getStorage } from './storage';
+import { indexCrops, unindexImage } from './searchIndex';
+import { findImageDependents, hasDependents } from './references';
+
+// Files younger than this are never treated as orphans: uploads write the
+// file before the record that references it
+const GRACE_PERIOD_MS = 10 * 60 * 1000;
+
+const BUCKETS = ['images', 'crops', 'exports'];
+
+/**
+ * Collect the file names each bucket's records point at
+ */
+function getReferencedFiles(images, crops, canvases) {
+    return {
+        images: new Set(images.map(image => image.path).filter(Boolean)),
+        crops: new Set(crops.map(crop => crop.imageDataPath).filter(Boolean)),
+        exports: new Set(canvases.flatMap(canvas => (canvas.exports || []).map(e => e.fileName)))
+    };
+}
+
+/**
+ * Delete orphaned files once the record repairs have committed. References
+ * are read again under the lock, in case an upload or a new crop claimed one
+ * of the files in the meantime (see deleteUnreferencedImageFiles).
+ * @returns {Promise<Object>} Deleted file names per bucket
+ */
+function deleteOrphanedFiles(storage, orphanedFiles) {
+    const { blobs } = storage;
+    return storage.transaction(async (tx) => {
+        const referenced = getReferencedFiles(
+            await tx.images.list(),
+            await tx.crops.list(),
+            await tx.canvases.list()
+        );
+        const deleted = {};
+        for (const bucket of BUCKETS) {
+            deleted[bucket] = orphanedFiles[bucket]
+                .filter(({ name }) => !referenced[bucket].has(name) && blobs.delete(bucket, name))
+                .map(({ name }) => name);
+        }
+        return deleted;
+    });
+}
+
+/**
+ * Find (and optionally remove) stored files that no record references, and
+ * records that reference files which no longer exist.
+ *
+ * In delete mode:
+ * - image records whose file is gone are removed (there is nothing left to
+ *   show), unless crops or canvases still use them; those are kept and
+ *   reported with their dependents
+ * - crops whose preview is gone keep their data but drop `imageDataPath`
+ * - canvas export entries whose file is gone are dropped
+ * - orphaned files are deleted once those repairs have committed
+ *
+ * @param {{ dryRun?: boolean, now?: number }} options
+ * @returns {Promise<Object>} Report of what was (or would be) cleaned up
+ */
+export async function collectGarbage({ dryRun = true, now = Date.now() } = {}) {
+    const storage = getStorage();
+    const { blobs } = storage;
+
+    const result = await storage.transaction(async (tx) => {
+        const images = await tx.images.list();
+        const crops = await tx.crops.list();
+        const canvases = await tx.canvases.list();
+        const referenced = getReferencedFiles(images, crops, canvases);
+
+        // Files with no referencing record
+        const orphanedFiles = {};
+        let reclaimableBytes = 0;
+        for (const bucket of BUCKETS) {
+            orphanedFiles[bucket] = [];
+            for (const name of blobs.list(bucket)) {
+                if (referenced[bucket].has(name)) continue;
+                const stat = blobs.stat(bucket, name);
+                if (!stat || now - stat.mtimeMs < GRACE_PERIOD_MS) continue;
+                orphanedFiles[bucket].push({ name, size: stat.size });
+                reclaimableBytes += stat.size;
+            }
+        }
+
+        // Records pointing at files that are gone
+        const missingImages = images.filter(image => !image.path || !blobs.exists('images', image.path));
+        const missingFiles = {
+            images: [],
+            crops: crops
+                .filter(crop => crop.imageDataPath && !blobs.exists('crops', crop.imageDataPath))
+                .map(crop => ({ cropId: crop.id, imageId: crop.imageId, path: crop.imageDataPath })),
+            exports: canvases.flatMap(canvas => (canvas.exports || [])
+                .filter(entry => !blobs.exists('exports', entry.fileName))
+                .map(entry => ({ canvasId: canvas.id, path: entry.fileName })))
+        };
+        for (const image of missingImages) {
+            const dependents = await findImageDependents(tx, image.id);
+            missingFiles.images.push({
+                imageId: image.id,
+                path: image.path || null,
+                kept: hasDependents(dependents),
+                dependents
+            });
+        }
+
+        const removedImageIds = [];
+        const repairedCrops = [];
+        if (!dryRun) {
+            for (const { imageId, kept } of missingFiles.images) {
+                if (kept) continue;
+                await tx.images.remove(imageId);
+                removedImageIds.push(imageId);
+            }
+            for (const { cropId } of missingFiles.crops) {
+                repairedCrops.push(await tx.crops.update(cropId, { imageDataPath: null, updatedAt: now }));
+            }
+            for (const canvasId of new Set(missingFiles.exports.map(e => e.canvasId))) {
+                const canvas = canvases.find(c => c.id === canvasId);
+                await tx.canvases.update(canvasId, {
+                    exports: canvas.exports.filter(entry => blobs.exists('exports', entry.fileName))
+                });
+            }
+        }
+
+        return {
+            report: { dryRun, orphanedFiles, missingFiles, reclaimableBytes },
+            removedImageIds,
+            repairedCrops
+        };
+    });
+
+    if (dryRun) return result.report;
+
+    // Files and the search index only change once the records have committed
+    const deleted = await deleteOrphanedFiles(storage, result.report.orphanedFiles);
+    result.removedImageIds.forEach(imageId => unindexImage(imageId));
+    indexCrops(result.repairedCrops);
+    console.log(`[gc] Deleted ${BUCKETS.reduce((n, b) => n + deleted[b].length, 0)} orphaned files`);
+
+    return result.report;
+}
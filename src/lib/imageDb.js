@@ -1,118 +1,183 @@
-import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
+import { getStorage } from './storage';
+import { readImageInfo, SUPPORTED_FORMATS } from './imageFormat';
+import { indexImage } from './searchIndex';
+import { DEFAULT_PROJECT_ID } from '../utils/projects';
 
-// Store image mapping in a separate file
-const DB_DIR = path.join(process.cwd(), 'data');
-const IMAGE_DB_FILE = path.join(DB_DIR, 'imageDb.json');
-const IMAGES_DIR = path.join(DB_DIR, 'images');
+// Source images: metadata in the images table, bytes in the 'images' blob bucket
+// named by content hash, so several image ids may share one file
 
-function ensureImageDb() {
-    if (!fs.existsSync(DB_DIR)) {
-        fs.mkdirSync(DB_DIR, { recursive: true });
-    }
-    if (!fs.existsSync(IMAGES_DIR)) {
-        fs.mkdirSync(IMAGES_DIR, { recursive: true });
-    }
-    if (!fs.existsSync(IMAGE_DB_FILE)) {
-        fs.writeFileSync(IMAGE_DB_FILE, JSON.stringify({ images: {} }, null, 2));
-    }
+/** Largest accepted source image, in bytes (VISTACROP_MAX_IMAGE_BYTES, default 20 MB) */
+export const MAX_IMAGE_BYTES = Number(process.env.VISTACROP_MAX_IMAGE_BYTES) || 20 * 1024 * 1024;
+
+function createImageError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
 }
 
 /**
- * Read the image database
- * @returns {{ images: Record<string, { path: string, width?: number, height?: number, createdAt: number, updatedAt: number }> }}
+ * Generate an id for a newly uploaded image
+ * @returns {string}
  */
-export function readImageDb() {
-    ensureImageDb();
-    try {
-        const content = fs.readFileSync(IMAGE_DB_FILE, 'utf-8');
-        return JSON.parse(content);
-    } catch {
-        return { images: {} };
-    }
+export function generateImageId() {
+    return `img_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
 }
 
 /**
- * Write to the image database
+ * Decode a base64 data URL. The declared MIME type is ignored; the format is
+ * sniffed from the bytes when the image is saved.
+ * @param {string} dataUrl
+ * @returns {Buffer}
  */
-export function writeImageDb(data) {
-    ensureImageDb();
-    fs.writeFileSync(IMAGE_DB_FILE, JSON.stringify(data, null, 2));
+export function decodeDataUrl(dataUrl) {
+    const matches = typeof dataUrl === 'string' && dataUrl.match(/^data:[^,;]*;base64,(.+)$/s);
+    if (!matches) {
+        throw createImageError('EINVALIDIMAGE', 'Invalid base64 image data');
+    }
+    return Buffer.from(matches[1], 'base64');
 }
 
 /**
  * Get image metadata by ID
- * @param {string} imageId 
- * @returns {{ path: string, width?: number, height?: number, createdAt: number, updatedAt: number } | null}
+ * @param {string} imageId
+ * @returns {Promise<{ id: string, projectId: string, name: string | null, hash: string, path: string, format: string, byteSize: number, width: number, height: number, pixelWidth: number, pixelHeight: number, orientation: number, createdAt: number, updatedAt: number } | null>}
  */
 export function getImageMeta(imageId) {
-    const db = readImageDb();
-    return db.images[imageId] || null;
+    return getStorage().images.get(imageId);
+}
+
+/**
+ * URL that serves an image's file. The file route is scoped like the rest of
+ * the API, so the URL names the image's project.
+ * @param {string} imageId
+ * @param {string} projectId
+ * @returns {string}
+ */
+export function getImageFileUrl(imageId, projectId) {
+    return `/api/images/${encodeURIComponent(imageId)}/file?project=${encodeURIComponent(projectId)}`;
 }
 
 /**
  * Get the full file path for an image
- * @param {string} imageId 
- * @returns {string | null}
+ * @param {string} imageId
+ * @returns {Promise<string | null>}
  */
-export function getImageFilePath(imageId) {
-    const meta = getImageMeta(imageId);
+export async function getImageFilePath(imageId) {
+    const meta = await getImageMeta(imageId);
     if (!meta) return null;
-    return path.join(IMAGES_DIR, meta.path);
+    return getStorage().blobs.getPath('images', meta.path);
 }
 
 /**
- * Save an image file and create mapping
- * @param {string} imageId 
- * @param {string} base64Data - Base64 data URL (e.g., "data:image/png;base64,...")
- * @param {{ width?: number, height?: number }} metadata
- * @returns {{ path: string }}
+ * Save an image file and create mapping.
+ * The format is detected from the file's magic bytes; unsupported, empty or
+ * oversized files are rejected with an error carrying a `code`
+ * (EUNSUPPORTEDIMAGE, EINVALIDIMAGE, EIMAGETOOLARGE). Width, height and EXIF
+ * orientation are read from the file's headers; `metadata` is only used when
+ * the header cannot be read.
+ *
+ * The bytes are stored untouched. `orientation` is recorded instead, and
+ * `width` / `height` are upright (EXIF orientation applied) - the coordinate
+ * space every crop uses. `pixelWidth` / `pixelHeight` are the encoded size.
+ *
+ * Files are stored once per SHA-256 content hash. Uploading bytes that are
+ * already stored in the same project returns the existing image instead of
+ * creating a new one, unless `reuseExisting` is false, in which case imageId
+ * becomes another reference to the same file. Other projects always get their
+ * own image record, sharing the file.
+ * @param {string} imageId
+ * @param {Buffer} buffer - Raw file contents
+ * @param {{ width?: number, height?: number, name?: string }} metadata - `name` is the original file name
+ * @param {{ reuseExisting?: boolean, projectId?: string }} options
+ * @returns {Promise<{ imageId: string, path: string, hash: string, format: string, byteSize: number, width: number | null, height: number | null, pixelWidth: number | null, pixelHeight: number | null, orientation: number, duplicate: boolean }>}
  */
-export function saveImage(imageId, base64Data, metadata = {}) {
-    ensureImageDb();
+export async function saveImageBuffer(imageId, buffer, metadata = {}, { reuseExisting = true, projectId = DEFAULT_PROJECT_ID } = {}) {
+    const storage = getStorage();
 
-    // Extract the base64 content and mime type
-    const matches = base64Data.match(/^data:image\/(\w+);base64,(.+)$/);
-    if (!matches) {
-        throw new Error('Invalid base64 image data');
+    if (buffer.length === 0) {
+        throw createImageError('EINVALIDIMAGE', 'Image file is empty');
+    }
+    if (buffer.length > MAX_IMAGE_BYTES) {
+        throw createImageError('EIMAGETOOLARGE', `Image is larger than the ${MAX_IMAGE_BYTES} byte limit`);
     }
 
-    const extension = matches[1] === 'jpeg' ? 'jpg' : matches[1];
-    const base64Content = matches[2];
-    const fileName = `${imageId}.${extension}`;
-    const filePath = path.join(IMAGES_DIR, fileName);
+    const header = readImageInfo(buffer);
+    if (!header) {
+        throw createImageError('EUNSUPPORTEDIMAGE', `Unsupported image format (expected ${SUPPORTED_FORMATS.join(', ')})`);
+    }
 
-    // Write image file
-    const buffer = Buffer.from(base64Content, 'base64');
-    fs.writeFileSync(filePath, buffer);
+    const hash = storage.blobs.hash(buffer);
+    const fileName = `${hash}.${header.extension}`;
+    const info = {
+        hash,
+        format: header.format,
+        byteSize: buffer.length,
+        width: header.width || metadata.width || null,
+        height: header.height || metadata.height || null,
+        pixelWidth: header.pixelWidth,
+        pixelHeight: header.pixelHeight,
+        orientation: header.orientation
+    };
 
-    // Update database
-    const db = readImageDb();
-    db.images[imageId] = {
+    const record = {
+        id: imageId,
+        projectId,
         path: fileName,
-        width: metadata.width || null,
-        height: metadata.height || null,
+        name: metadata.name || null,
+        ...info,
         createdAt: Date.now(),
         updatedAt: Date.now()
     };
-    writeImageDb(db);
 
-    return { path: fileName };
+    const result = await storage.transaction(async (tx) => {
+        if (reuseExisting) {
+            const [existing] = await tx.images.list({ hash, projectId });
+            if (existing) {
+                return { imageId: existing.id, path: existing.path, ...info, duplicate: true };
+            }
+        }
+
+        // Write image file (identical content maps to the same file). Checked
+        // under the transaction lock, so a delete of the same file cannot run in between
+        if (!storage.blobs.exists('images', fileName)) {
+            storage.blobs.write('images', fileName, buffer);
+        }
+
+        // Update database
+        await tx.images.put(record);
+
+        return { imageId, path: fileName, ...info, duplicate: false };
+    });
+
+    if (!result.duplicate) indexImage(record);
+    return result;
+}
+
+/**
+ * Save an image sent as a base64 data URL (see saveImageBuffer)
+ * @param {string} imageId
+ * @param {string} base64Data - Base64 data URL (e.g., "data:image/png;base64,...")
+ * @param {{ width?: number, height?: number }} metadata
+ * @param {{ reuseExisting?: boolean, projectId?: string }} options
+ */
+export function saveImage(imageId, base64Data, metadata = {}, options = {}) {
+    return saveImageBuffer(imageId, decodeDataUrl(base64Data), metadata, options);
 }
 
 /**
  * Load an image as base64 data URL
- * @param {string} imageId 
- * @returns {string | null} Base64 data URL or null if not found
+ * @param {string} imageId
+ * @returns {Promise<string | null>} Base64 data URL or null if not found
  */
-export function loadImageAsDataUrl(imageId) {
-    const meta = getImageMeta(imageId);
+export async function loadImageAsDataUrl(imageId) {
+    const meta = await getImageMeta(imageId);
     if (!meta) return null;
 
-    const filePath = path.join(IMAGES_DIR, meta.path);
-    if (!fs.existsSync(filePath)) return null;
+    const buffer = getStorage().blobs.read('images', meta.path);
+    if (!buffer) return null;
 
-    const buffer = fs.readFileSync(filePath);
     const base64 = buffer.toString('base64');
 
     // Determine mime type from extension
@@ -123,39 +188,45 @@ export function loadImageAsDataUrl(imageId) {
 }
 
 /**
- * Delete an image file and its mapping
- * @param {string} imageId 
- * @returns {boolean} True if deleted, false if not found
+ * Delete the files of removed images that no image references any more.
+ * Call it once the transaction that removed the records has committed: if
+ * that transaction fails, the files are still there. The references are
+ * checked again under the lock, in case an upload of the same bytes claimed
+ * a file in the meantime.
+ * @param {string[]} paths - File names of the removed images
+ * @returns {Promise<string[]>} The files that were deleted
  */
-export function deleteImage(imageId) {
-    const db = readImageDb();
-    const meta = db.images[imageId];
-
-    if (!meta) return false;
-
-    // Delete file
-    const filePath = path.join(IMAGES_DIR, meta.path);
-    if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-    }
-
-    // Remove from database
-    delete db.images[imageId];
-    writeImageDb(db);
-
-    return true;
+export function deleteUnreferencedImageFiles(paths) {
+    const storage = getStorage();
+    return storage.transaction(async (tx) => {
+        const deleted = [];
+        for (const fileName of new Set(paths)) {
+            if ((await tx.images.list({ path: fileName })).length > 0) continue;
+            if (storage.blobs.delete('images', fileName)) deleted.push(fileName);
+        }
+        return deleted;
+    });
 }
 
 /**
- * List all images (metadata only)
- * @returns {Array<{ id: string, width?: number, height?: number, createdAt: number, updatedAt: number }>}
+ * List the images of a project (metadata only)
+ * @param {string} projectId
+ * @returns {Promise<Array<{ id: string, projectId: string, name: string | null, hash: string, format: string, byteSize: number, width: number, height: number, pixelWidth: number, pixelHeight: number, orientation: number, createdAt: number, updatedAt: number }>>}
  */
-export function listImages() {
-    const db = readImageDb();
-    return Object.entries(db.images).map(([id, meta]) => ({
-        id,
+export async function listImages(projectId = DEFAULT_PROJECT_ID) {
+    const images = await getStorage().images.list({ projectId });
+    return images.map(meta => ({
+        id: meta.id,
+        projectId: meta.projectId,
+        name: meta.name || null,
+        hash: meta.hash,
+        format: meta.format,
+        byteSize: meta.byteSize,
         width: meta.width,
         height: meta.height,
+        pixelWidth: meta.pixelWidth,
+        pixelHeight: meta.pixelHeight,
+        orientation: meta.orientation || 1,
         createdAt: meta.createdAt,
         updatedAt: meta.updatedAt
     }));
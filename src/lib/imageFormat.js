@@ -0,0 +1,205 @@
+// Identify image files by their leading bytes rather than a declared MIME type,
+// and read their dimensions and EXIF orientation straight from the headers
+
+/**
+ * Supported upload formats, checked in order. `readHeader` returns the pixel
+ * size as stored in the file and the EXIF orientation (1 when absent), or
+ * null when the header is truncated or malformed.
+ * @type {Array<{ format: string, extension: string, mimeType: string, matches: (buffer: Buffer) => boolean, readHeader: (buffer: Buffer) => ({ width: number, height: number, orientation: number } | null) }>}
+ */
+const FORMATS = [
+    {
+        format: 'png',
+        extension: 'png',
+        mimeType: 'image/png',
+        matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        readHeader: readPngHeader
+    },
+    {
+        format: 'jpeg',
+        extension: 'jpg',
+        mimeType: 'image/jpeg',
+        matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+        readHeader: readJpegHeader
+    },
+    {
+        format: 'gif',
+        extension: 'gif',
+        mimeType: 'image/gif',
+        matches: (buffer) => ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a',
+        readHeader: readGifHeader
+    },
+    {
+        format: 'webp',
+        extension: 'webp',
+        mimeType: 'image/webp',
+        matches: (buffer) => ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP',
+        readHeader: readWebpHeader
+    }
+];
+
+function startsWith(buffer, bytes) {
+    return buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte);
+}
+
+function ascii(buffer, start, end) {
+    return buffer.length >= end ? buffer.toString('latin1', start, end) : '';
+}
+
+function toSize(width, height, orientation = 1) {
+    return width > 0 && height > 0 ? { width, height, orientation } : null;
+}
+
+// PNG: the IHDR chunk always comes first and holds the size
+function readPngHeader(buffer) {
+    if (buffer.length < 24 || ascii(buffer, 12, 16) !== 'IHDR') return null;
+    return toSize(buffer.readUInt32BE(16), buffer.readUInt32BE(20));
+}
+
+// GIF: the logical screen size follows the signature
+function readGifHeader(buffer) {
+    if (buffer.length < 10) return null;
+    return toSize(buffer.readUInt16LE(6), buffer.readUInt16LE(8));
+}
+
+/**
+ * Read the Orientation tag (0x0112) from IFD0 of a TIFF-structured EXIF block
+ * @returns {number} 1-8, or 1 when missing or unreadable
+ */
+function readExifOrientation(buffer, start) {
+    const order = ascii(buffer, start, start + 2);
+    if (order !== 'II' && order !== 'MM') return 1;
+    const little = order === 'II';
+    const u16 = (offset) => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const u32 = (offset) => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+    if (start + 8 > buffer.length || u16(start + 2) !== 42) return 1;
+    const ifd = start + u32(start + 4);
+    if (ifd + 2 > buffer.length) return 1;
+
+    const entries = u16(ifd);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > buffer.length) break;
+        if (u16(entry) === 0x0112) {
+            const value = u16(entry + 8);
+            return value >= 1 && value <= 8 ? value : 1;
+        }
+    }
+    return 1;
+}
+
+// JPEG: walk the marker segments up to the first SOF (start of frame) marker,
+// picking up the EXIF orientation from APP1 on the way
+function readJpegHeader(buffer) {
+    let orientation = 1;
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+
+        // Fill bytes and standalone markers carry no length
+        if (marker === 0xff) {
+            offset += 1;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+        if (marker === 0xd9 || marker === 0xda) return null; // end of image / start of scan before any frame
+
+        const length = buffer.readUInt16BE(offset + 2);
+        const segment = offset + 4;
+
+        if (marker === 0xe1 && ascii(buffer, segment, segment + 6) === 'Exif\0\0') {
+            orientation = readExifOrientation(buffer, segment + 6);
+        }
+
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+        if (isStartOfFrame) {
+            if (segment + 5 > buffer.length) return null;
+            return toSize(buffer.readUInt16BE(segment + 3), buffer.readUInt16BE(segment + 1), orientation);
+        }
+
+        offset = segment + length - 2;
+    }
+
+    return null;
+}
+
+// WebP: size lives in the first chunk (VP8, VP8L or VP8X); extended files may
+// carry an EXIF chunk later on
+function readWebpHeader(buffer) {
+    let size = null;
+    let orientation = 1;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const type = ascii(buffer, offset, offset + 4);
+        const length = buffer.readUInt32LE(offset + 4);
+        const data = offset + 8;
+
+        if (type === 'VP8 ' && !size && data + 10 <= buffer.length) {
+            size = toSize(buffer.readUInt16LE(data + 6) & 0x3fff, buffer.readUInt16LE(data + 8) & 0x3fff);
+        } else if (type === 'VP8L' && !size && data + 5 <= buffer.length) {
+            const bits = buffer.readUInt32LE(data + 1);
+            size = toSize((bits & 0x3fff) + 1, ((bits >> 14) & 0x3fff) + 1);
+        } else if (type === 'VP8X' && !size && data + 10 <= buffer.length) {
+            size = toSize(buffer.readUIntLE(data + 4, 3) + 1, buffer.readUIntLE(data + 7, 3) + 1);
+        } else if (type === 'EXIF' && data + length <= buffer.length) {
+            // Some encoders keep the JPEG-style "Exif\0\0" prefix
+            const tiff = ascii(buffer, data, data + 6) === 'Exif\0\0' ? data + 6 : data;
+            orientation = readExifOrientation(buffer, tiff);
+        }
+
+        // Chunks are padded to an even length
+        offset = data + length + (length % 2);
+    }
+
+    return size ? { ...size, orientation } : null;
+}
+
+/** Names of the formats accepted for upload, for error messages */
+export const SUPPORTED_FORMATS = FORMATS.map(f => f.format);
+
+/**
+ * Whether an EXIF orientation swaps width and height (the 90° rotations, 5-8)
+ * @param {number} orientation
+ * @returns {boolean}
+ */
+export function isTransposed(orientation) {
+    return orientation >= 5 && orientation <= 8;
+}
+
+/**
+ * Read format, size and EXIF orientation from an image's headers.
+ *
+ * `width` / `height` are upright: the size once the EXIF orientation is
+ * applied, which is how browsers display and draw the image and the space
+ * crop coordinates are measured in. `pixelWidth` / `pixelHeight` are the
+ * size as encoded in the file.
+ * @param {Buffer} buffer
+ * @returns {{ format: string, extension: string, mimeType: string, width: number | null, height: number | null, pixelWidth: number | null, pixelHeight: number | null, orientation: number } | null}
+ *   null if the format is unsupported; sizes are null if the header could not be read
+ */
+export function readImageInfo(buffer) {
+    const match = FORMATS.find(f => f.matches(buffer));
+    if (!match) return null;
+
+    const header = match.readHeader(buffer);
+    const orientation = header ? header.orientation : 1;
+    const transposed = header && isTransposed(orientation);
+    return {
+        format: match.format,
+        extension: match.extension,
+        mimeType: match.mimeType,
+        width: header ? (transposed ? header.height : header.width) : null,
+        height: header ? (transposed ? header.width : header.height) : null,
+        pixelWidth: header ? header.width : null,
+        pixelHeight: header ? header.height : null,
+        orientation
+    };
+}
@@ -0,0 +1,352 @@
+import path from 'path';
+import { saveCropPreview } from './cropDb';
+import { readBlob, writeBlob, blobExists, getContentHash } from './storage/blobStore';
+import { readImageInfo } from './imageFormat';
+import { DEFAULT_PROJECT_ID } from '../utils/projects';
+
+/**
+ * Schema migrations for the JSON stores.
+ *
+ * Each store keeps a `schemaVersion` at its top level. Migrations are listed in
+ * ascending version order; every migration whose version is above the stored
+ * one runs in turn and mutates the data in place. To change the stored shape,
+ * append a new entry - never edit one that has already shipped.
+ */
+
+function isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:image/');
+}
+
+function parseTags(tags) {
+    if (Array.isArray(tags)) {
+        return tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim());
+    }
+    if (typeof tags === 'string') {
+        return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    return [];
+}
+
+// Tag normalization as each migration shipped it. Migrations must keep doing
+// what they did, so they do not use utils/tags, whose rules have moved on.
+
+// v6: trimmed, inner whitespace collapsed, lowercase, no duplicates
+function normalizeTagsV6(tags) {
+    if (!Array.isArray(tags)) return [];
+    const normalized = tags.map(tag => (
+        typeof tag === 'string' ? tag.normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase() : ''
+    ));
+    return [...new Set(normalized.filter(Boolean))];
+}
+
+// v7: the v6 rules for each level of a "/" path, dropping empty levels
+function normalizeTagsV7(tags) {
+    if (!Array.isArray(tags)) return [];
+    const normalized = tags.map(tag => (
+        typeof tag === 'string'
+            ? tag
+                .normalize('NFC')
+                .split('/')
+                .map(level => level.trim().replace(/\s+/g, ' ').toLowerCase())
+                .filter(Boolean)
+                .join('/')
+            : ''
+    ));
+    return [...new Set(normalized.filter(Boolean))];
+}
+
+function toNumber(value, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+function createEmptyAssignment(panelIndex) {
+    return { panelIndex, cropId: null, zoom: 1, offsetX: 0, offsetY: 0 };
+}
+
+/**
+ * Migrations for data/db.json (crops, canvases)
+ * @type {Array<{ version: number, description: string, migrate: (db: Object) => void }>}
+ */
+export const DB_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Ensure top-level collections exist',
+        migrate(db) {
+            if (!Array.isArray(db.crops)) db.crops = [];
+            if (!Array.isArray(db.canvases)) db.canvases = [];
+            if (!Array.isArray(db.images)) db.images = [];
+        }
+    },
+    {
+        version: 2,
+        description: 'Normalize crops: move inline previews to files, default tags/notes/rotation/filter',
+        migrate(db) {
+            db.crops = db.crops.map(crop => {
+                const { imageData, ...rest } = crop;
+                let imageDataPath = crop.imageDataPath || null;
+
+                // Crops saved before imageDataPath existed kept the preview inline
+                if (!imageDataPath && isDataUrl(imageData)) {
+                    imageDataPath = saveCropPreview(crop.id, imageData);
+                }
+
+                return {
+                    ...rest,
+                    imageDataPath,
+                    tags: parseTags(crop.tags),
+                    notes: typeof crop.notes === 'string' ? crop.notes : '',
+                    rotation: toNumber(crop.rotation, 0),
+                    sourceRotation: toNumber(crop.sourceRotation, 0),
+                    filter: crop.filter || 'none'
+                };
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Normalize placed items: frame shape, frame rotation, custom points, crop offset, phone mockup',
+        migrate(db) {
+            db.canvases = db.canvases.map(canvas => {
+                if (!Array.isArray(canvas.placedItems)) return canvas;
+
+                return {
+                    ...canvas,
+                    placedItems: canvas.placedItems.map(item => ({
+                        ...item,
+                        frameShape: item.frameShape || 'rectangle',
+                        customPoints: Array.isArray(item.customPoints) ? item.customPoints : null,
+                        frameRotation: toNumber(item.frameRotation, 0),
+                        cropOffsetX: toNumber(item.cropOffsetX, 0),
+                        cropOffsetY: toNumber(item.cropOffsetY, 0),
+                        borderStyle: item.borderStyle || 'manga',
+                        phoneMockup: Boolean(item.phoneMockup)
+                    }))
+                };
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Normalize compositions: assignments as an ordered array of panel slots',
+        migrate(db) {
+            db.canvases = db.canvases.map(canvas => {
+                const composition = canvas.composition;
+                if (!composition || !composition.assignments) return canvas;
+
+                // Early compositions keyed assignments by panel index in an object
+                const entries = Array.isArray(composition.assignments)
+                    ? composition.assignments.map((assignment, index) => [index, assignment])
+                    : Object.entries(composition.assignments).map(([key, assignment]) => [Number(key), assignment]);
+
+                const assignments = [];
+                for (const [index, assignment] of entries) {
+                    if (!Number.isInteger(index) || index < 0) continue;
+                    assignments[index] = {
+                        ...createEmptyAssignment(index),
+                        ...assignment,
+                        panelIndex: index
+                    };
+                }
+                for (let i = 0; i < assignments.length; i++) {
+                    if (!assignments[i]) assignments[i] = createEmptyAssignment(i);
+                }
+
+                return { ...canvas, composition: { ...composition, assignments } };
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Give every crop a createdAt timestamp',
+        migrate(db) {
+            db.crops = db.crops.map(crop => {
+                if (Number.isFinite(crop.createdAt)) return crop;
+
+                // Client-created crop ids are Date.now() values
+                const idTime = Number(crop.id);
+                const createdAt = Number.isFinite(idTime) && idTime > 1e12
+                    ? idTime
+                    : toNumber(crop.updatedAt, Date.now());
+                return { ...crop, createdAt };
+            });
+        }
+    },
+    {
+        version: 6,
+        description: 'Normalize crop tags: trimmed, lowercase, no duplicates',
+        migrate(db) {
+            db.crops = db.crops.map(crop => ({ ...crop, tags: normalizeTagsV6(crop.tags) }));
+        }
+    },
+    {
+        version: 7,
+        description: 'Add the tags collection (color and description per tag path), normalize tag paths',
+        migrate(db) {
+            if (!Array.isArray(db.tags)) db.tags = [];
+            db.crops = db.crops.map(crop => ({ ...crop, tags: normalizeTagsV7(crop.tags) }));
+        }
+    },
+    {
+        version: 8,
+        description: 'Add the collections collection (ordered crop ids per collection)',
+        migrate(db) {
+            if (!Array.isArray(db.collections)) db.collections = [];
+        }
+    },
+    {
+        version: 9,
+        description: 'Add the projects collection; existing crops, canvases and collections join the default project',
+        migrate(db) {
+            if (!Array.isArray(db.projects)) db.projects = [];
+            const assign = (record) => (record.projectId ? record : { ...record, projectId: DEFAULT_PROJECT_ID });
+            db.crops = db.crops.map(assign);
+            db.canvases = db.canvases.map(assign);
+            db.collections = db.collections.map(assign);
+        }
+    }
+];
+
+/**
+ * Migrations for data/imageDb.json (source image metadata)
+ * @type {Array<{ version: number, description: string, migrate: (db: Object) => void }>}
+ */
+export const IMAGE_DB_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Ensure image entries have dimensions and timestamps',
+        migrate(db) {
+            if (!db.images || typeof db.images !== 'object' || Array.isArray(db.images)) {
+                db.images = {};
+            }
+            for (const [id, meta] of Object.entries(db.images)) {
+                const createdAt = toNumber(meta.createdAt, Date.now());
+                db.images[id] = {
+                    ...meta,
+                    width: meta.width || null,
+                    height: meta.height || null,
+                    createdAt,
+                    updatedAt: toNumber(meta.updatedAt, createdAt)
+                };
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Store source images by SHA-256 content hash',
+        migrate(db) {
+            for (const [id, meta] of Object.entries(db.images)) {
+                if (meta.hash || !meta.path) continue;
+
+                const buffer = readBlob('images', meta.path);
+                if (!buffer) continue;
+
+                const hash = getContentHash(buffer);
+                const fileName = `${hash}${path.extname(meta.path).toLowerCase()}`;
+                if (!blobExists('images', fileName)) {
+                    writeBlob('images', fileName, buffer);
+                }
+
+                // The old per-id file is left in place; garbage collection removes it
+                // once the migrated store has been saved
+                db.images[id] = { ...meta, hash, path: fileName };
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Read format, byte size, dimensions and EXIF orientation from image headers',
+        migrate(db) {
+            for (const [id, meta] of Object.entries(db.images)) {
+                const buffer = meta.path ? readBlob('images', meta.path) : null;
+                const header = buffer ? readImageInfo(buffer) : null;
+
+                db.images[id] = {
+                    ...meta,
+                    format: header ? header.format : meta.format || null,
+                    byteSize: buffer ? buffer.length : meta.byteSize || null,
+                    width: header?.width || meta.width || null,
+                    height: header?.height || meta.height || null,
+                    orientation: header ? header.orientation : meta.orientation || 1
+                };
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Record upright width/height (EXIF orientation applied) and the encoded pixel size',
+        migrate(db) {
+            for (const [id, meta] of Object.entries(db.images)) {
+                const buffer = meta.path ? readBlob('images', meta.path) : null;
+                const header = buffer ? readImageInfo(buffer) : null;
+                if (!header || !header.width) continue;
+
+                db.images[id] = {
+                    ...meta,
+                    width: header.width,
+                    height: header.height,
+                    pixelWidth: header.pixelWidth,
+                    pixelHeight: header.pixelHeight,
+                    orientation: header.orientation
+                };
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Existing images join the default project',
+        migrate(db) {
+            for (const [id, meta] of Object.entries(db.images)) {
+                if (!meta.projectId) db.images[id] = { ...meta, projectId: DEFAULT_PROJECT_ID };
+            }
+        }
+    }
+];
+
+/**
+ * Latest schema version described by a migration list
+ * @param {Array<{ version: number }>} migrations
+ * @returns {number}
+ */
+export function getLatestVersion(migrations) {
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Whether a store is behind the latest version of its migration list
+ * @param {Object} data - Parsed store contents
+ * @param {Array<{ version: number }>} migrations
+ * @returns {boolean}
+ */
+export function needsMigration(data, migrations) {
+    return (data.schemaVersion || 0) < getLatestVersion(migrations);
+}
+
+/**
+ * Apply every pending migration to a store, in order, mutating it in place.
+ * @param {Object} data - Parsed store contents
+ * @param {Array<{ version: number, description: string, migrate: (db: Object) => void }>} migrations
+ * @param {string} storeName - Used in log messages
+ * @returns {number[]} Versions that were applied
+ */
+export function runMigrations(data, migrations, storeName) {
+    const currentVersion = data.schemaVersion || 0;
+    const latestVersion = getLatestVersion(migrations);
+
+    if (currentVersion > latestVersion) {
+        console.warn(`[migrations] ${storeName} is at schema ${currentVersion}, newer than this build supports (${latestVersion})`);
+        return [];
+    }
+
+    const applied = [];
+    for (const migration of migrations) {
+        if (migration.version <= currentVersion) continue;
+
+        migration.migrate(data);
+        data.schemaVersion = migration.version;
+        applied.push(migration.version);
+        console.log(`[migrations] ${storeName}: v${migration.version} - ${migration.description}`);
+    }
+
+    return applied;
+}
@@ -0,0 +1,342 @@
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { getStorage } from './storage';
+import { deleteUnreferencedImageFiles } from './imageDb';
+import { deleteCropPreview } from './cropDb';
+import { getCanvasCropIds } from './references';
+import { removeCropsFromCollections } from './collections';
+import { indexCrops, unindexCrops, indexImage, unindexImage } from './searchIndex';
+import { readJsonObject, parseNamedInput } from './requestInput';
+import { DEFAULT_PROJECT_ID, DEFAULT_PROJECT_NAME, getRecordProjectId } from '../utils/projects';
+
+// Projects namespace images, crops, canvases and collections. Each record
+// carries a `projectId`; crops always live in their source image's project.
+// The default project needs no stored record and cannot be deleted.
+
+function createProjectError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function notFound(projectId) {
+    return createProjectError('EPROJECTNOTFOUND', `Project ${projectId} not found`);
+}
+
+/**
+ * Generate an id for a new project
+ * @returns {string}
+ */
+export function generateProjectId() {
+    return `prj_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+}
+
+/**
+ * Whether a stored record belongs to a project
+ * @param {Object | null} record
+ * @param {string} projectId
+ * @returns {boolean}
+ */
+export function inProject(record, projectId) {
+    return Boolean(record) && getRecordProjectId(record) === projectId;
+}
+
+/**
+ * Get a project by id. The default project exists even before it is first saved.
+ * @param {{ projects: Object }} tables - Storage or a transaction's tables
+ * @param {string} projectId
+ * @returns {Promise<Object | null>}
+ */
+export async function getProject(tables, projectId) {
+    const project = await tables.projects.get(projectId);
+    if (project || projectId !== DEFAULT_PROJECT_ID) return project;
+    return { id: DEFAULT_PROJECT_ID, name: DEFAULT_PROJECT_NAME, description: null, createdAt: 0, updatedAt: 0 };
+}
+
+/**
+ * The project a request is scoped to: `?project=<id>`, or the default project.
+ * Throws EPROJECTNOTFOUND for an unknown project.
+ * @param {Request} request
+ * @returns {Promise<string>}
+ */
+export async function getProjectScope(request) {
+    const projectId = new URL(request.url).searchParams.get('project') || DEFAULT_PROJECT_ID;
+    if (!await getProject(getStorage(), projectId)) throw notFound(projectId);
+    return projectId;
+}
+
+/**
+ * getProjectScope for route handlers: `{ projectId }`, or `{ response }`
+ * holding the 404 to return for an unknown project
+ * @param {Request} request
+ * @returns {Promise<{ projectId?: string, response?: NextResponse }>}
+ */
+export async function resolveProjectScope(request) {
+    try {
+        return { projectId: await getProjectScope(request) };
+    } catch (error) {
+        if (error.code !== 'EPROJECTNOTFOUND') throw error;
+        return { response: NextResponse.json({ error: error.message, code: error.code }, { status: 404 }) };
+    }
+}
+
+/**
+ * Parse a project request's JSON body, which must be an object
+ * @param {Request} request
+ * @returns {Promise<Object>}
+ */
+export function readProjectBody(request) {
+    return readJsonObject(request, 'EBADPROJECT');
+}
+
+/**
+ * Validate a project's name and description from a request body
+ * @param {Object} body
+ * @param {{ partial?: boolean }} options - partial: fields may be omitted (PATCH)
+ * @returns {{ name?: string, description?: string | null }}
+ */
+export function parseProjectInput(body, options) {
+    return parseNamedInput(body, 'EBADPROJECT', options);
+}
+
+/**
+ * Shape a project for API responses
+ * @param {Object} project
+ * @param {{ images: number, crops: number, canvases: number }} counts
+ */
+export function toProjectResponse(project, counts) {
+    return {
+        id: project.id,
+        name: project.name,
+        description: project.description || null,
+        counts,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt
+    };
+}
+
+async function countRecords(tables, projectId) {
+    const [images, crops, canvases] = await Promise.all([
+        tables.images.list({ projectId }),
+        tables.crops.list({ projectId }),
+        tables.canvases.list({ projectId })
+    ]);
+    return { images: images.length, crops: crops.length, canvases: canvases.length };
+}
+
+/**
+ * Every project, default first, with how many images, crops and canvases each holds
+ * @returns {Promise<Object[]>} Project responses
+ */
+export async function listProjects() {
+    const storage = getStorage();
+    const stored = await storage.projects.list();
+    const projects = stored.some(project => project.id === DEFAULT_PROJECT_ID)
+        ? stored
+        : [await getProject(storage, DEFAULT_PROJECT_ID), ...stored];
+
+    return Promise.all(projects.map(async project => (
+        toProjectResponse(project, await countRecords(storage, project.id))
+    )));
+}
+
+/**
+ * Get one project with its record counts
+ * @param {string} projectId
+ * @returns {Promise<Object>} Project response
+ */
+export async function getProjectSummary(projectId) {
+    const storage = getStorage();
+    const project = await getProject(storage, projectId);
+    if (!project) throw notFound(projectId);
+    return toProjectResponse(project, await countRecords(storage, projectId));
+}
+
+/**
+ * Create an empty project
+ * @param {{ name: string, description?: string | null }} input
+ * @returns {Promise<Object>} The stored project
+ */
+export function createProject(input) {
+    const now = Date.now();
+    return getStorage().projects.put({
+        id: generateProjectId(),
+        name: input.name,
+        description: input.description || null,
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+/**
+ * Rename or describe a project
+ * @param {string} projectId
+ * @param {{ name?: string, description?: string | null }} input
+ * @returns {Promise<Object>} The updated project
+ */
+export function updateProject(projectId, input) {
+    return getStorage().transaction(async (tx) => {
+        const project = await getProject(tx, projectId);
+        if (!project) throw notFound(projectId);
+        return tx.projects.put({ ...project, ...input, updatedAt: Date.now() });
+    });
+}
+
+/**
+ * Delete a project. A project that still holds records is only deleted with
+ * `force`, which deletes its images, crops, canvases and collections too;
+ * otherwise EPROJECTNOTEMPTY is thrown with `error.dependents`.
+ * @param {string} projectId
+ * @param {{ force?: boolean }} options
+ * @returns {Promise<{ images: number, crops: number, canvases: number, collections: number }>} Records deleted
+ */
+export async function deleteProject(projectId, { force = false } = {}) {
+    if (projectId === DEFAULT_PROJECT_ID) {
+        throw createProjectError('EBADPROJECT', 'The default project cannot be deleted');
+    }
+
+    const result = await getStorage().transaction(async (tx) => {
+        if (!await tx.projects.get(projectId)) throw notFound(projectId);
+
+        const dependents = {
+            images: (await tx.images.list({ projectId })).map(image => image.id),
+            crops: (await tx.crops.list({ projectId })).map(crop => crop.id),
+            canvases: (await tx.canvases.list({ projectId })).map(canvas => canvas.id)
+        };
+        if (!force && Object.values(dependents).some(ids => ids.length > 0)) {
+            return { dependents };
+        }
+
+        const crops = await tx.crops.removeWhere({ projectId });
+        const canvases = await tx.canvases.removeWhere({ projectId });
+        const collections = await tx.collections.removeWhere({ projectId });
+        const images = await tx.images.removeWhere({ projectId });
+        await tx.projects.remove(projectId);
+
+        return { crops, canvases, collections, images };
+    });
+
+    if (result.dependents) {
+        const error = createProjectError('EPROJECTNOTEMPTY', 'Project still has images, crops or canvases');
+        error.dependents = result.dependents;
+        throw error;
+    }
+
+    await deleteUnreferencedImageFiles(result.images.map(image => image.path));
+    result.crops.forEach(crop => deleteCropPreview(crop.imageDataPath));
+    unindexCrops(result.crops.map(crop => crop.id));
+    result.images.forEach(image => unindexImage(image.id));
+
+    return {
+        images: result.images.length,
+        crops: result.crops.length,
+        canvases: result.canvases.length,
+        collections: result.collections.length
+    };
+}
+
+async function getRecords(table, ids, kind) {
+    if (!Array.isArray(ids)) {
+        throw createProjectError('EBADPROJECT', `${kind}Ids must be an array`);
+    }
+
+    const records = [];
+    const missing = [];
+    for (const id of ids) {
+        const record = await table.get(id);
+        if (record) records.push(record);
+        else missing.push(id);
+    }
+
+    if (missing.length > 0) {
+        throw createProjectError('EBADPROJECT', `Unknown ${kind} ids: ${missing.join(', ')}`);
+    }
+    return records;
+}
+
+/**
+ * Move images (with all of their crops) and canvases into a project.
+ *
+ * Canvases and the crops they use must end up in the same project. When a
+ * move would split them, nothing moves and EPROJECTSPLIT is thrown with
+ * `error.dependents`: the canvases and images to include in the move.
+ * Moved crops leave the collections of their old project.
+ * @param {string} projectId - Target project
+ * @param {{ imageIds?: Array<string>, canvasIds?: Array<string> }} items
+ * @returns {Promise<{ images: number, crops: number, canvases: number }>} Records moved
+ */
+export async function moveToProject(projectId, { imageIds = [], canvasIds = [] } = {}) {
+    const moved = await getStorage().transaction(async (tx) => {
+        if (!await getProject(tx, projectId)) throw notFound(projectId);
+
+        const images = (await getRecords(tx.images, imageIds, 'image')).filter(image => !inProject(image, projectId));
+        const canvases = (await getRecords(tx.canvases, canvasIds, 'canvas')).filter(canvas => !inProject(canvas, projectId));
+
+        const movingImageIds = new Set(images.map(image => String(image.id)));
+        const movingCanvasIds = new Set(canvases.map(canvas => String(canvas.id)));
+        const allCrops = await tx.crops.list();
+        const crops = allCrops.filter(crop => movingImageIds.has(String(crop.imageId)));
+        const movingCropIds = new Set(crops.map(crop => String(crop.id)));
+        const cropsById = new Map(allCrops.map(crop => [String(crop.id), crop]));
+
+        // Canvases left behind that use a moving crop, and images left behind
+        // whose crops a moving canvas uses
+        const missingCanvases = [];
+        const missingImages = new Set();
+        for (const canvas of await tx.canvases.list()) {
+            const moving = movingCanvasIds.has(String(canvas.id));
+            const landsInProject = moving || inProject(canvas, projectId);
+            for (const cropId of getCanvasCropIds(canvas).keys()) {
+                const crop = cropsById.get(cropId);
+                if (!crop) continue;
+                const cropLandsInProject = movingCropIds.has(cropId) || inProject(crop, projectId);
+                if (movingCropIds.has(cropId) && !landsInProject && !missingCanvases.includes(canvas.id)) {
+                    missingCanvases.push(canvas.id);
+                }
+                if (moving && !cropLandsInProject) missingImages.add(crop.imageId);
+            }
+        }
+        if (missingCanvases.length > 0 || missingImages.size > 0) {
+            return { dependents: { canvases: missingCanvases, images: [...missingImages] } };
+        }
+
+        const result = { images: [], crops: [], canvases: [] };
+        const patch = { projectId, updatedAt: Date.now() };
+        for (const image of images) result.images.push(await tx.images.update(image.id, patch));
+        for (const crop of crops) result.crops.push(await tx.crops.update(crop.id, patch));
+        for (const canvas of canvases) result.canvases.push(await tx.canvases.update(canvas.id, patch));
+
+        await removeCropsFromCollections(tx, crops.map(crop => crop.id));
+        return result;
+    });
+
+    if (moved.dependents) {
+        const error = createProjectError('EPROJECTSPLIT', 'Canvases and the crops they use must move together');
+        error.dependents = moved.dependents;
+        throw error;
+    }
+
+    moved.images.forEach(indexImage);
+    indexCrops(moved.crops);
+
+    return { images: moved.images.length, crops: moved.crops.length, canvases: moved.canvases.length };
+}
+
+/**
+ * HTTP status for a project error, or null if it is unexpected
+ * @param {Error} error
+ * @returns {number | null}
+ */
+export function getProjectErrorStatus(error) {
+    switch (error.code) {
+        case 'EBADPROJECT':
+            return 400;
+        case 'EPROJECTNOTFOUND':
+            return 404;
+        case 'EPROJECTNOTEMPTY':
+        case 'EPROJECTSPLIT':
+            return 409;
+        default:
+            return null;
+    }
+}
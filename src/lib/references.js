@@ -0,0 +1,154 @@
+import { sameId } from './storage/query';
+
+// Canvases point at crops through placedItems (freeform mode) and
+// composition.assignments (panel mode); crops point at their source image
+
+/**
+ * Crop ids a canvas uses, with how many times each appears
+ * @param {Object} canvas
+ * @returns {Map<string, number>}
+ */
+export function getCanvasCropIds(canvas) {
+    const counts = new Map();
+    const add = (cropId) => {
+        if (cropId === undefined || cropId === null) return;
+        const key = String(cropId);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    };
+
+    for (const item of canvas.placedItems || []) add(item.cropId);
+    for (const assignment of canvas.composition?.assignments || []) add(assignment?.cropId);
+
+    return counts;
+}
+
+/**
+ * Build the reverse index "which canvases use this crop / image"
+ * @param {{ canvases: Array, crops: Array }} records
+ * @returns {{ crops: Map<string, Array<{ canvasId: string, name: string | null, placements: number }>>, images: Map<string, Array<{ canvasId: string, name: string | null, placements: number }>> }}
+ */
+export function buildReferenceIndex({ canvases, crops }) {
+    const cropImages = new Map(crops.map(crop => [String(crop.id), crop.imageId]));
+    const index = { crops: new Map(), images: new Map() };
+
+    const addDependent = (map, key, canvas, placements) => {
+        if (!map.has(key)) map.set(key, []);
+        const dependents = map.get(key);
+        const existing = dependents.find(d => sameId(d.canvasId, canvas.id));
+        if (existing) {
+            existing.placements += placements;
+        } else {
+            dependents.push({ canvasId: canvas.id, name: canvas.name || null, placements });
+        }
+    };
+
+    for (const canvas of canvases) {
+        for (const [cropId, placements] of getCanvasCropIds(canvas)) {
+            addDependent(index.crops, cropId, canvas, placements);
+            const imageId = cropImages.get(cropId);
+            if (imageId) addDependent(index.images, String(imageId), canvas, placements);
+        }
+    }
+
+    return index;
+}
+
+/**
+ * Load the reference index from storage (or from a transaction's tables)
+ * @param {{ canvases: Object, crops: Object }} tables
+ */
+export async function getReferenceIndex(tables) {
+    return buildReferenceIndex({
+        canvases: await tables.canvases.list(),
+        crops: await tables.crops.list()
+    });
+}
+
+/**
+ * Canvases that use a crop
+ * @param {{ canvases: Object, crops: Object }} tables
+ * @param {string|number} cropId
+ */
+export async function findCropDependents(tables, cropId) {
+    const index = await getReferenceIndex(tables);
+    return { canvases: index.crops.get(String(cropId)) || [] };
+}
+
+/**
+ * Canvases that use any of several crops, each listed once
+ * @param {{ canvases: Object, crops: Object }} tables
+ * @param {Array<string|number>} cropIds
+ */
+export async function findCropsDependents(tables, cropIds) {
+    const index = await getReferenceIndex(tables);
+    const canvases = [];
+    for (const cropId of cropIds) {
+        for (const dependent of index.crops.get(String(cropId)) || []) {
+            const existing = canvases.find(d => sameId(d.canvasId, dependent.canvasId));
+            if (existing) existing.placements += dependent.placements;
+            else canvases.push({ ...dependent });
+        }
+    }
+    return { canvases };
+}
+
+/**
+ * Crops cut from an image, and canvases that use any of them
+ * @param {{ canvases: Object, crops: Object }} tables
+ * @param {string} imageId
+ */
+export async function findImageDependents(tables, imageId) {
+    const index = await getReferenceIndex(tables);
+    const crops = await tables.crops.list({ imageId });
+    return {
+        crops: crops.map(crop => crop.id),
+        canvases: index.images.get(String(imageId)) || []
+    };
+}
+
+/**
+ * Whether a dependents report lists anything
+ * @param {Object} dependents - Result of findCropDependents / findImageDependents
+ * @returns {boolean}
+ */
+export function hasDependents(dependents) {
+    return Object.values(dependents).some(list => list.length > 0);
+}
+
+/**
+ * Remove crops from every canvas that uses them: placed items are dropped and
+ * panel assignments are emptied. Used when a crop is force-deleted.
+ * @param {{ canvases: Object }} tables - Transaction tables
+ * @param {Array<string|number>} cropIds
+ * @returns {Promise<string[]>} Ids of the canvases that changed
+ */
+export async function detachCrops(tables, cropIds) {
+    const removed = new Set(cropIds.map(String));
+    const isRemoved = (cropId) => cropId !== undefined && cropId !== null && removed.has(String(cropId));
+    const changed = [];
+
+    for (const canvas of await tables.canvases.list()) {
+        const usesRemoved = [...getCanvasCropIds(canvas).keys()].some(id => removed.has(id));
+        if (!usesRemoved) continue;
+
+        const patch = { updatedAt: Date.now() };
+        if (Array.isArray(canvas.placedItems)) {
+            patch.placedItems = canvas.placedItems.filter(item => !isRemoved(item.cropId));
+        }
+        if (Array.isArray(canvas.composition?.assignments)) {
+            patch.composition = {
+                ...canvas.composition,
+                assignments: canvas.composition.assignments.map(assignment => (
+                    assignment && isRemoved(assignment.cropId)
+                        ? { panelIndex: assignment.panelIndex, cropId: null, zoom: 1, offsetX: 0, offsetY: 0 }
+                        : assignment
+                ))
+            };
+        }
+
+        await tables.canvases.update(canvas.id, patch);
+        changed.push(canvas.id);
+    }
+
+    return changed;
+}
@@ -0,0 +1,75 @@
+// Request body checks shared by the collection, project and tag routes.
+// Errors carry the calling module's "bad input" code (EBADCOLLECTION,
+// EBADPROJECT, EBADTAG), so its get*ErrorStatus answers them with 400.
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+function createInputError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Parse a request's JSON body, which must be an object
+ * @param {Request} request
+ * @param {string} code - Error code for malformed or non-object bodies
+ * @returns {Promise<Object>}
+ */
+export async function readJsonObject(request, code) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        throw createInputError(code, 'Request body must be valid JSON');
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw createInputError(code, 'Request body must be a JSON object');
+    }
+    return body;
+}
+
+/**
+ * Validate a description: trimmed text, or null when empty or cleared
+ * @param {*} value
+ * @param {string} code - Error code for invalid input
+ * @returns {string | null}
+ */
+export function parseDescription(value, code) {
+    if (value !== null && typeof value !== 'string') {
+        throw createInputError(code, 'description must be a string or null');
+    }
+    const description = value?.trim() || null;
+    if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+        throw createInputError(code, `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    return description;
+}
+
+/**
+ * Validate the name and description of a named record (a project or a
+ * collection) from a request body
+ * @param {Object} body
+ * @param {string} code - Error code for invalid input
+ * @param {{ partial?: boolean }} options - partial: fields may be omitted (PATCH)
+ * @returns {{ name?: string, description?: string | null }}
+ */
+export function parseNamedInput(body, code, { partial = false } = {}) {
+    const input = {};
+
+    if ('name' in body || !partial) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            throw createInputError(code, `name must be 1-${MAX_NAME_LENGTH} characters`);
+        }
+        input.name = name;
+    }
+
+    if ('description' in body) {
+        input.description = parseDescription(body.description, code);
+    }
+
+    return input;
+}
@@ -0,0 +1,307 @@
+import { getStorage } from './storage';
+import { normalizeTag, isTagWithin } from '../utils/tags';
+import { getRecordProjectId } from '../utils/projects';
+
+/**
+ * In-memory full-text index over crop tags, notes and source image metadata.
+ *
+ * Built from storage on the first search, then kept current by the routes
+ * that write crops and images (indexCrops / unindexCrops / indexImage /
+ * unindexImage). Writes that land while the index is being built mark it
+ * stale, and it is rebuilt on the next search.
+ */
+
+// How much a match in each field counts towards a result's score
+const FIELD_WEIGHTS = { tags: 3, notes: 1, image: 0.5 };
+const PREFIX_FACTOR = 0.5;
+const PHRASE_BONUS = 2;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Shared across route modules and hot reloads, like the storage instance
+ * @returns {{ docs: Map, postings: Map, images: Map, ready: boolean, building: Promise | null, generation: number }}
+ */
+function getIndex() {
+    if (!globalThis.__vistaCropSearchIndex) {
+        globalThis.__vistaCropSearchIndex = {
+            docs: new Map(),      // cropId -> { crop, fields: { tags, notes, image } }
+            postings: new Map(),  // token -> Set of cropIds
+            images: new Map(),    // imageId -> image tokens
+            ready: false,
+            building: null,
+            generation: 0
+        };
+    }
+    return globalThis.__vistaCropSearchIndex;
+}
+
+/**
+ * Split text into lowercase word tokens, ignoring accents and punctuation
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    if (!text) return [];
+    return String(text)
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+function getImageTokens(image) {
+    return tokenize([image.id, image.name, image.format].filter(Boolean).join(' '));
+}
+
+function removeDoc(index, cropId) {
+    const doc = index.docs.get(cropId);
+    if (!doc) return;
+    for (const tokens of Object.values(doc.fields)) {
+        for (const token of tokens) {
+            const ids = index.postings.get(token);
+            if (!ids) continue;
+            ids.delete(cropId);
+            if (ids.size === 0) index.postings.delete(token);
+        }
+    }
+    index.docs.delete(cropId);
+}
+
+function addDoc(index, crop) {
+    const cropId = String(crop.id);
+    removeDoc(index, cropId);
+
+    const fields = {
+        tags: (crop.tags || []).flatMap(tokenize),
+        notes: tokenize(crop.notes),
+        image: index.images.get(String(crop.imageId)) || []
+    };
+    index.docs.set(cropId, { crop, fields });
+
+    for (const tokens of Object.values(fields)) {
+        for (const token of tokens) {
+            if (!index.postings.has(token)) index.postings.set(token, new Set());
+            index.postings.get(token).add(cropId);
+        }
+    }
+}
+
+async function build(index) {
+    const generation = index.generation;
+    const storage = getStorage();
+    const [images, crops] = await Promise.all([storage.images.list(), storage.crops.list()]);
+
+    index.docs.clear();
+    index.postings.clear();
+    index.images.clear();
+    for (const image of images) index.images.set(String(image.id), getImageTokens(image));
+    for (const crop of crops) addDoc(index, crop);
+
+    // A write landed mid-build: the snapshot may be missing it
+    index.ready = index.generation === generation;
+}
+
+async function ensureIndex() {
+    const index = getIndex();
+    while (!index.ready) {
+        if (!index.building) {
+            index.building = build(index).finally(() => { index.building = null; });
+        }
+        await index.building;
+    }
+    return index;
+}
+
+// Updates before the first build only need to mark any build in flight as stale
+function applyUpdate(update) {
+    const index = getIndex();
+    index.generation += 1;
+    if (index.ready) update(index);
+}
+
+/**
+ * Add or refresh crops in the index (call after saving or patching them)
+ * @param {Object[]} crops - Stored crop records
+ */
+export function indexCrops(crops) {
+    applyUpdate(index => crops.forEach(crop => addDoc(index, crop)));
+}
+
+/**
+ * Drop crops from the index (call after deleting them)
+ * @param {Array<string|number>} cropIds
+ */
+export function unindexCrops(cropIds) {
+    applyUpdate(index => cropIds.forEach(id => removeDoc(index, String(id))));
+}
+
+/**
+ * Add or refresh an image's metadata, re-indexing its crops
+ * @param {Object} image - Stored image record
+ */
+export function indexImage(image) {
+    applyUpdate(index => {
+        index.images.set(String(image.id), getImageTokens(image));
+        for (const { crop } of [...index.docs.values()]) {
+            if (String(crop.imageId) === String(image.id)) addDoc(index, crop);
+        }
+    });
+}
+
+/**
+ * Drop an image's metadata from the index
+ * @param {string} imageId
+ */
+export function unindexImage(imageId) {
+    applyUpdate(index => {
+        index.images.delete(String(imageId));
+        for (const { crop } of [...index.docs.values()]) {
+            if (String(crop.imageId) === String(imageId)) addDoc(index, crop);
+        }
+    });
+}
+
+/**
+ * Parse a query string into terms, phrases and filters.
+ *   cat red        both words must match (any field)
+ *   cat*           prefix match
+ *   "red cat"      phrase: consecutive words in one field
+ *   tag:red        crops tagged "red" or a descendant such as "red/dark" (quotes allowed: tag:"big cat")
+ *   image:img_123  crops of that image (id, or words of its name)
+ * @param {string} query
+ * @returns {{ terms: Array<{ token: string, prefix: boolean }>, phrases: string[][], tags: string[], images: string[] }}
+ */
+export function parseSearchQuery(query) {
+    const parsed = { terms: [], phrases: [], tags: [], images: [] };
+    const pattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+
+    for (const match of String(query || '').matchAll(pattern)) {
+        const [, quotedKey, quotedValue, key, value, phrase, word] = match;
+        const filterKey = (quotedKey || key || '').toLowerCase();
+        const filterValue = quotedValue ?? value;
+
+        if (filterKey === 'tag') {
+            const tag = normalizeTag(filterValue);
+            if (tag) parsed.tags.push(tag);
+        } else if (filterKey === 'image') {
+            if (filterValue.trim()) parsed.images.push(filterValue.trim());
+        } else if (phrase !== undefined) {
+            const tokens = tokenize(phrase);
+            if (tokens.length > 1) parsed.phrases.push(tokens);
+            else if (tokens.length === 1) parsed.terms.push({ token: tokens[0], prefix: false });
+        } else {
+            // Unknown "key:value" pairs are searched as plain text
+            const text = word ?? match[0];
+            const prefix = text.endsWith('*');
+            for (const token of tokenize(text)) {
+                parsed.terms.push({ token, prefix });
+            }
+        }
+    }
+
+    return parsed;
+}
+
+function findTokens(index, { token, prefix }) {
+    if (!prefix) return index.postings.has(token) ? [token] : [];
+    return [...index.postings.keys()].filter(key => key.startsWith(token));
+}
+
+function containsPhrase(tokens, phrase) {
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+        if (phrase.every((token, j) => tokens[i + j] === token)) return true;
+    }
+    return false;
+}
+
+function matchesImageFilter(index, crop, filter) {
+    if (String(crop.imageId) === filter) return true;
+    const imageTokens = index.images.get(String(crop.imageId)) || [];
+    const wanted = tokenize(filter);
+    return wanted.length > 0 && containsPhrase(imageTokens, wanted);
+}
+
+/**
+ * Score one document against the query's terms and phrases
+ * @returns {number | null} null if it does not match every term and phrase
+ */
+function scoreDoc(doc, termTokens, phrases) {
+    let score = 0;
+
+    for (const { exact, prefixed } of termTokens) {
+        let termScore = 0;
+        for (const [field, tokens] of Object.entries(doc.fields)) {
+            const weight = FIELD_WEIGHTS[field];
+            for (const token of tokens) {
+                if (exact.has(token)) termScore += weight;
+                else if (prefixed.has(token)) termScore += weight * PREFIX_FACTOR;
+            }
+        }
+        if (termScore === 0) return null;
+        score += termScore;
+    }
+
+    for (const phrase of phrases) {
+        const fields = Object.entries(doc.fields).filter(([, tokens]) => containsPhrase(tokens, phrase));
+        if (fields.length === 0) return null;
+        score += fields.reduce((sum, [field]) => sum + FIELD_WEIGHTS[field] * PHRASE_BONUS * phrase.length, 0);
+    }
+
+    return score;
+}
+
+/**
+ * Search crops
+ * @param {string} query - See parseSearchQuery for the syntax
+ * @param {{ limit?: number, projectId?: string }} options - projectId: only crops of this project
+ * @returns {Promise<{ results: Array<{ crop: Object, score: number }>, total: number }>}
+ *   Best matches first; with only filters, newest crops first
+ */
+export async function searchCrops(query, { limit = DEFAULT_LIMIT, projectId } = {}) {
+    const index = await ensureIndex();
+    const { terms, phrases, tags, images } = parseSearchQuery(query);
+
+    // Candidates: crops containing every term (or prefix) and phrase word
+    let candidates = null;
+    const termTokens = [];
+    const narrow = (ids) => {
+        candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+    };
+
+    for (const term of terms) {
+        const exact = new Set(index.postings.has(term.token) ? [term.token] : []);
+        const prefixed = new Set(term.prefix ? findTokens(index, term).filter(t => !exact.has(t)) : []);
+        termTokens.push({ exact, prefixed });
+        narrow(new Set([...exact, ...prefixed].flatMap(token => [...index.postings.get(token)])));
+    }
+    for (const phrase of phrases) {
+        for (const token of phrase) {
+            narrow(new Set(index.postings.get(token) || []));
+        }
+    }
+
+    const ids = candidates ? [...candidates] : [...index.docs.keys()];
+    const results = [];
+    for (const id of ids) {
+        const doc = index.docs.get(id);
+        if (!doc) continue;
+        if (projectId && getRecordProjectId(doc.crop) !== projectId) continue;
+
+        const cropTags = (doc.crop.tags || []).map(normalizeTag);
+        if (!tags.every(tag => cropTags.some(cropTag => isTagWithin(cropTag, tag)))) continue;
+        if (!images.every(filter => matchesImageFilter(index, doc.crop, filter))) continue;
+
+        const score = scoreDoc(doc, termTokens, phrases);
+        if (score === null) continue;
+        results.push({ crop: doc.crop, score });
+    }
+
+    results.sort((a, b) => b.score - a.score || (b.crop.createdAt || 0) - (a.crop.createdAt || 0));
+
+    return {
+        results: results.slice(0, Math.min(Math.max(limit, 1), MAX_LIMIT)),
+        total: results.length
+    };
+}
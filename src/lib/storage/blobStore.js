@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from '../fileStore';
+
+// Binary files live on disk for every storage driver; records only keep
+// the file name relative to their bucket. Exports are served statically.
+const DB_DIR = path.join(process.cwd(), 'data');
+const BUCKET_DIRS = {
+    images: path.join(DB_DIR, 'images'),
+    crops: path.join(DB_DIR, 'crops'),
+    exports: path.join(process.cwd(), 'public', 'uploads')
+};
+
+function getBucketDir(bucket) {
+    const dir = BUCKET_DIRS[bucket];
+    if (!dir) {
+        throw new Error(`Unknown blob bucket: ${bucket}`);
+    }
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+}
+
+/**
+ * Resolve a blob name inside its bucket, rejecting names that would escape it
+ * @param {string} bucket - 'images', 'crops' or 'exports'
+ * @param {string} name - File name inside the bucket
+ * @returns {string} Absolute file path
+ */
+export function getBlobPath(bucket, name) {
+    const dir = getBucketDir(bucket);
+    const filePath = path.join(dir, String(name));
+    if (path.dirname(filePath) !== dir) {
+        throw new Error(`Invalid blob name: ${name}`);
+    }
+    return filePath;
+}
+
+/**
+ * SHA-256 hex digest of a blob's bytes, used to name content-addressed files
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function getContentHash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Write a blob atomically
+ * @param {string} bucket
+ * @param {string} name
+ * @param {Buffer} buffer
+ */
+export function writeBlob(bucket, name, buffer) {
+    writeFileAtomic(getBlobPath(bucket, name), buffer);
+}
+
+/**
+ * Read a blob
+ * @param {string} bucket
+ * @param {string} name
+ * @returns {Buffer | null} File contents or null if missing
+ */
+export function readBlob(bucket, name) {
+    const filePath = getBlobPath(bucket, name);
+    if (!fs.existsSync(filePath)) return null;
+    return fs.readFileSync(filePath);
+}
+
+/**
+ * Delete a blob
+ * @param {string} bucket
+ * @param {string} name
+ * @returns {boolean} True if a file was removed
+ */
+export function deleteBlob(bucket, name) {
+    const filePath = getBlobPath(bucket, name);
+    if (!fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    return true;
+}
+
+/**
+ * @param {string} bucket
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function blobExists(bucket, name) {
+    return fs.existsSync(getBlobPath(bucket, name));
+}
+
+/**
+ * Size and modification time of a blob
+ * @param {string} bucket
+ * @param {string} name
+ * @returns {{ size: number, mtimeMs: number } | null} Null if missing
+ */
+export function statBlob(bucket, name) {
+    const filePath = getBlobPath(bucket, name);
+    if (!fs.existsSync(filePath)) return null;
+    const { size, mtimeMs } = fs.statSync(filePath);
+    return { size, mtimeMs };
+}
+
+/**
+ * List blob names in a bucket (temp files from in-flight writes are skipped)
+ * @param {string} bucket
+ * @returns {string[]}
+ */
+export function listBlobs(bucket) {
+    return fs.readdirSync(getBucketDir(bucket)).filter(name => !name.startsWith('.'));
+}
+
+export const blobStore = {
+    getPath: getBlobPath,
+    write: writeBlob,
+    read: readBlob,
+    delete: deleteBlob,
+    exists: blobExists,
+    stat: statBlob,
+    list: listBlobs,
+    hash: getContentHash
+};
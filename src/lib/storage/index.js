@@ -0,0 +1,67 @@
+import path from 'path';
+import { createJsonStorage } from './jsonStorage';
+import { createSqliteStorage } from './sqliteStorage';
+
+/**
+ * Storage adapter
+ *
+ * Every driver exposes the same shape:
+ *   crops, canvases, images, tags, collections, projects - tables with async
+ *       list(where?), get(id), put(record), update(id, patch), remove(id), removeWhere(where)
+ *     `where` is an equality filter; array fields such as tags match when they contain the value.
+ *     put() inserts or replaces by id; remove()/removeWhere() return the removed records.
+ *   blobs - file storage for image and crop preview bytes (see ./blobStore)
+ *   transaction(fn) - runs fn(tx) atomically; tx has the same tables
+ *   migrate() - brings stored records up to the current schema
+ *
+ * The driver is chosen with VISTACROP_STORAGE ('json', the default, or 'sqlite').
+ * VISTACROP_SQLITE_FILE overrides the SQLite database location.
+ */
+
+const DB_DIR = path.join(process.cwd(), 'data');
+const DEFAULT_SQLITE_FILE = path.join(DB_DIR, 'vistacrop.sqlite');
+
+export const STORAGE_DRIVERS = ['json', 'sqlite'];
+
+// Shared across route bundles in the same process, like the file write queues
+const instances = globalThis.__vistaCropStorage || {};
+globalThis.__vistaCropStorage = instances;
+
+/**
+ * Name of the configured storage driver
+ * @returns {string}
+ */
+export function getStorageDriver() {
+    return process.env.VISTACROP_STORAGE || 'json';
+}
+
+function createStorage(driver) {
+    switch (driver) {
+        case 'json':
+            return createJsonStorage();
+        case 'sqlite':
+            return createSqliteStorage({
+                filename: process.env.VISTACROP_SQLITE_FILE || DEFAULT_SQLITE_FILE
+            });
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+}
+
+/**
+ * Get a storage instance (the configured driver unless one is named)
+ * @param {string} [driver]
+ */
+export function getStorage(driver = getStorageDriver()) {
+    if (!instances[driver]) {
+        instances[driver] = createStorage(driver);
+    }
+    return instances[driver];
+}
+
+/**
+ * Migrate the configured store. Called once when the server starts (see src/instrumentation.js).
+ */
+export async function runStartupMigrations() {
+    await getStorage().migrate();
+}
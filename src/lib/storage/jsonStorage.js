@@ -0,0 +1,225 @@
+import fs from 'fs';
+import path from 'path';
+import { readJsonStore, writeJsonStore, withFileLock } from '../fileStore';
+import { IMAGE_DB_MIGRATIONS, getLatestVersion, needsMigration, runMigrations } from '../migrations';
+import { DB_FILE, readDb, writeDb, migrateDb } from '../db';
+import { blobStore } from './blobStore';
+import { matchesWhere, sameId } from './query';
+
+// Image metadata lives in its own file, keyed by image id
+const DB_DIR = path.join(process.cwd(), 'data');
+const IMAGE_DB_FILE = path.join(DB_DIR, 'imageDb.json');
+
+/**
+ * Where each table lives: which file, which key, and whether it is
+ * an array of records or an id-keyed object
+ */
+const TABLES = {
+    crops: { file: 'db', key: 'crops', shape: 'array' },
+    canvases: { file: 'db', key: 'canvases', shape: 'array' },
+    images: { file: 'imageDb', key: 'images', shape: 'map' },
+    tags: { file: 'db', key: 'tags', shape: 'array' },
+    collections: { file: 'db', key: 'collections', shape: 'array' },
+    projects: { file: 'db', key: 'projects', shape: 'array' }
+};
+
+function ensureDataDir() {
+    if (!fs.existsSync(DB_DIR)) {
+        fs.mkdirSync(DB_DIR, { recursive: true });
+    }
+}
+
+function createEmptyImageDb() {
+    return { schemaVersion: getLatestVersion(IMAGE_DB_MIGRATIONS), images: {} };
+}
+
+/**
+ * Read the image database, restoring from backup if the file is corrupt.
+ * Call it with IMAGE_DB_FILE locked; older data is migrated once and saved, like readDb.
+ * @returns {{ schemaVersion: number, images: Record<string, Object> }}
+ */
+function readImageDb() {
+    ensureDataDir();
+    const db = readJsonStore(IMAGE_DB_FILE, createEmptyImageDb);
+    if (needsMigration(db, IMAGE_DB_MIGRATIONS)) {
+        runMigrations(db, IMAGE_DB_MIGRATIONS, 'imageDb.json');
+        writeImageDb(db);
+    }
+    return db;
+}
+
+function writeImageDb(data) {
+    ensureDataDir();
+    writeJsonStore(IMAGE_DB_FILE, data);
+}
+
+function migrateImageDb() {
+    return withFileLock(IMAGE_DB_FILE, () => {
+        ensureDataDir();
+        const db = readJsonStore(IMAGE_DB_FILE, createEmptyImageDb);
+        const applied = runMigrations(db, IMAGE_DB_MIGRATIONS, 'imageDb.json');
+        if (applied.length > 0) {
+            writeImageDb(db);
+        }
+        return applied;
+    });
+}
+
+const FILES = {
+    db: { read: readDb, write: writeDb },
+    imageDb: { read: readImageDb, write: writeImageDb }
+};
+
+/**
+ * Lazily loaded file contents for one unit of work, with dirty tracking
+ * so only the files that changed are written back
+ */
+function createState() {
+    const loaded = {};
+    const dirty = new Set();
+    return {
+        load(file) {
+            if (!loaded[file]) loaded[file] = FILES[file].read();
+            return loaded[file];
+        },
+        markDirty(file) {
+            dirty.add(file);
+        },
+        flush() {
+            for (const file of dirty) {
+                FILES[file].write(loaded[file]);
+            }
+        }
+    };
+}
+
+/**
+ * Build a table view over one collection of a loaded file
+ */
+function createJsonTable(state, { file, key, shape }) {
+    function getCollection() {
+        const data = state.load(file);
+        if (!data[key]) data[key] = shape === 'map' ? {} : [];
+        return data[key];
+    }
+
+    function allRecords() {
+        const collection = getCollection();
+        return shape === 'map'
+            ? Object.entries(collection).map(([id, record]) => ({ ...record, id }))
+            : collection;
+    }
+
+    function put(record) {
+        const collection = getCollection();
+        if (shape === 'map') {
+            const { id, ...rest } = record;
+            collection[id] = rest;
+        } else {
+            const index = collection.findIndex(r => sameId(r.id, record.id));
+            if (index === -1) collection.push(record);
+            else collection[index] = record;
+        }
+        state.markDirty(file);
+        return record;
+    }
+
+    function remove(id) {
+        const collection = getCollection();
+        let removed = null;
+        if (shape === 'map') {
+            const match = Object.keys(collection).find(k => sameId(k, id));
+            if (match !== undefined) {
+                removed = { ...collection[match], id: match };
+                delete collection[match];
+            }
+        } else {
+            const index = collection.findIndex(r => sameId(r.id, id));
+            if (index !== -1) {
+                removed = collection.splice(index, 1)[0];
+            }
+        }
+        if (removed) state.markDirty(file);
+        return removed;
+    }
+
+    return {
+        async list(where) {
+            return allRecords().filter(record => matchesWhere(record, where));
+        },
+        async get(id) {
+            return allRecords().find(record => sameId(record.id, id)) || null;
+        },
+        async put(record) {
+            return put(record);
+        },
+        async update(id, patch) {
+            const existing = allRecords().find(record => sameId(record.id, id));
+            if (!existing) return null;
+            return put({ ...existing, ...patch, id: existing.id });
+        },
+        async remove(id) {
+            return remove(id);
+        },
+        async removeWhere(where) {
+            const matches = allRecords().filter(record => matchesWhere(record, where));
+            return matches.map(record => remove(record.id));
+        }
+    };
+}
+
+function createTables(state) {
+    return Object.fromEntries(
+        Object.entries(TABLES).map(([name, def]) => [name, createJsonTable(state, def)])
+    );
+}
+
+/**
+ * Run a unit of work with both JSON files locked (always in the same order,
+ * so two transactions can never deadlock) and write back what changed.
+ * If the callback throws, nothing is written.
+ */
+function transaction(fn) {
+    return withFileLock(DB_FILE, () => withFileLock(IMAGE_DB_FILE, async () => {
+        const state = createState();
+        const result = await fn(createTables(state));
+        state.flush();
+        return result;
+    }));
+}
+
+/**
+ * Top-level table: every call runs as its own transaction. Reads take the
+ * locks too, since reading older data migrates and saves it.
+ */
+function createStandaloneTable(name) {
+    return {
+        list: (where) => transaction(tx => tx[name].list(where)),
+        get: (id) => transaction(tx => tx[name].get(id)),
+        put: (record) => transaction(tx => tx[name].put(record)),
+        update: (id, patch) => transaction(tx => tx[name].update(id, patch)),
+        remove: (id) => transaction(tx => tx[name].remove(id)),
+        removeWhere: (where) => transaction(tx => tx[name].removeWhere(where))
+    };
+}
+
+/**
+ * Create the JSON-file storage driver (data/db.json + data/imageDb.json)
+ */
+export function createJsonStorage() {
+    return {
+        driver: 'json',
+        crops: createStandaloneTable('crops'),
+        canvases: createStandaloneTable('canvases'),
+        images: createStandaloneTable('images'),
+        tags: createStandaloneTable('tags'),
+        collections: createStandaloneTable('collections'),
+        projects: createStandaloneTable('projects'),
+        blobs: blobStore,
+        transaction,
+        async migrate() {
+            await migrateDb();
+            await migrateImageDb();
+        }
+    };
+}
@@ -0,0 +1,42 @@
+const TABLE_NAMES = ['projects', 'crops', 'canvases', 'images', 'tags', 'collections'];
+
+/**
+ * Copy every record from one storage driver into another.
+ * Blobs are shared on disk by all drivers, so only records move.
+ * The target must be empty unless `overwrite` is set, in which case its
+ * tables are cleared first. The whole copy runs in one target transaction.
+ * @param {Object} source - Storage to read from
+ * @param {Object} target - Storage to write to
+ * @param {{ overwrite?: boolean }} options
+ * @returns {Promise<Record<string, number>>} Records copied per table
+ */
+export async function copyStorage(source, target, { overwrite = false } = {}) {
+    await source.migrate();
+    await target.migrate();
+
+    const records = {};
+    for (const name of TABLE_NAMES) {
+        records[name] = await source[name].list();
+    }
+
+    return target.transaction(async (tx) => {
+        for (const name of TABLE_NAMES) {
+            const existing = await tx[name].list();
+            if (existing.length > 0 && !overwrite) {
+                const error = new Error(`Target ${name} table is not empty; pass overwrite to replace it`);
+                error.code = 'ETARGETNOTEMPTY';
+                throw error;
+            }
+        }
+
+        const counts = {};
+        for (const name of TABLE_NAMES) {
+            if (overwrite) await tx[name].removeWhere({});
+            for (const record of records[name]) {
+                await tx[name].put(record);
+            }
+            counts[name] = records[name].length;
+        }
+        return counts;
+    });
+}
@@ -0,0 +1,32 @@
+/**
+ * Shared record helpers for the storage drivers
+ */
+
+/**
+ * Ids are compared as strings: crops use numeric ids, canvases string ids,
+ * and route params always arrive as strings
+ */
+export function sameId(a, b) {
+    return String(a) === String(b);
+}
+
+/**
+ * Check a record against an equality filter.
+ * Array fields (e.g. tags) match when they contain the value.
+ * @param {Object} record
+ * @param {Object} where - Field/value pairs; undefined values are ignored
+ * @returns {boolean}
+ */
+export function matchesWhere(record, where = {}) {
+    return Object.entries(where).every(([key, value]) => {
+        if (value === undefined) return true;
+        const field = record[key];
+        if (Array.isArray(field)) {
+            return field.some(item => sameId(item, value));
+        }
+        if (field === undefined || field === null) {
+            return value === null;
+        }
+        return sameId(field, value);
+    });
+}
@@ -0,0 +1,295 @@
+import fs from 'fs';
+import path from 'path';
+import { withFileLock } from '../fileStore';
+import { DB_MIGRATIONS, IMAGE_DB_MIGRATIONS, getLatestVersion, runMigrations } from '../migrations';
+import { blobStore } from './blobStore';
+import { matchesWhere } from './query';
+
+/**
+ * Every table stores the full record as JSON in `data`. Fields listed in
+ * `columns` are mirrored into indexed columns so they can be filtered in SQL;
+ * `tags` names a side table indexing each value of the record's tags array.
+ */
+const TABLES = {
+    crops: { columns: { imageId: 'image_id', projectId: 'project_id' }, tags: 'crop_tags' },
+    canvases: { columns: { projectId: 'project_id' } },
+    images: { columns: { hash: 'hash', projectId: 'project_id' } },
+    tags: { columns: {} },
+    collections: { columns: { projectId: 'project_id' } },
+    projects: { columns: {} }
+};
+
+// Schema version of each migrated store, kept in the meta table
+const VERSION_KEYS = {
+    db: 'dbSchemaVersion',
+    imageDb: 'imageDbSchemaVersion'
+};
+
+function createSchema(db) {
+    db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+
+    for (const [name, def] of Object.entries(TABLES)) {
+        const columns = Object.values(def.columns).map(column => `${column} TEXT, `).join('');
+        db.exec(`CREATE TABLE IF NOT EXISTS ${name} (id TEXT PRIMARY KEY, ${columns}data TEXT NOT NULL)`);
+
+        // Columns added after a table was first created; migrations rewrite the rows to fill them
+        const existingColumns = new Set(db.prepare(`PRAGMA table_info(${name})`).all().map(c => c.name));
+        for (const column of Object.values(def.columns)) {
+            if (!existingColumns.has(column)) {
+                db.exec(`ALTER TABLE ${name} ADD COLUMN ${column} TEXT`);
+            }
+        }
+
+        for (const column of Object.values(def.columns)) {
+            db.exec(`CREATE INDEX IF NOT EXISTS idx_${name}_${column} ON ${name}(${column})`);
+        }
+
+        if (def.tags) {
+            db.exec(`CREATE TABLE IF NOT EXISTS ${def.tags} (record_id TEXT NOT NULL, tag TEXT NOT NULL, PRIMARY KEY (record_id, tag))`);
+            db.exec(`CREATE INDEX IF NOT EXISTS idx_${def.tags}_tag ON ${def.tags}(tag)`);
+        }
+    }
+
+    // A brand new database starts at the current schema
+    const setDefault = db.prepare('INSERT OR IGNORE INTO meta (key, value) VALUES (?, ?)');
+    setDefault.run(VERSION_KEYS.db, String(getLatestVersion(DB_MIGRATIONS)));
+    setDefault.run(VERSION_KEYS.imageDb, String(getLatestVersion(IMAGE_DB_MIGRATIONS)));
+}
+
+function getSchemaVersion(db, store) {
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(VERSION_KEYS[store]);
+    return row ? Number(row.value) : 0;
+}
+
+function setSchemaVersion(db, store, version) {
+    db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(VERSION_KEYS[store], String(version));
+}
+
+function toColumnValue(value) {
+    return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Build a table view over one SQLite table. Methods are synchronous under
+ * the hood (better-sqlite3) but async to match the storage interface.
+ */
+function createSqliteTable(db, name, def) {
+    const columnEntries = Object.entries(def.columns);
+    const columnNames = columnEntries.map(([, column]) => column);
+
+    const selectOne = db.prepare(`SELECT data FROM ${name} WHERE id = ?`);
+    const insert = db.prepare(
+        `INSERT INTO ${name} (id, ${columnNames.map(c => `${c}, `).join('')}data) VALUES (?, ${columnNames.map(() => '?, ').join('')}?)`
+    );
+    const update = db.prepare(
+        `UPDATE ${name} SET ${columnNames.map(c => `${c} = ?, `).join('')}data = ? WHERE id = ?`
+    );
+    const deleteOne = db.prepare(`DELETE FROM ${name} WHERE id = ?`);
+    const deleteTags = def.tags && db.prepare(`DELETE FROM ${def.tags} WHERE record_id = ?`);
+    const insertTag = def.tags && db.prepare(`INSERT OR IGNORE INTO ${def.tags} (record_id, tag) VALUES (?, ?)`);
+
+    function get(id) {
+        const row = selectOne.get(String(id));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    function list(where = {}) {
+        const clauses = [];
+        const params = [];
+        const remaining = {};
+
+        for (const [key, value] of Object.entries(where)) {
+            if (value === undefined) continue;
+            if (def.columns[key]) {
+                if (value === null) {
+                    clauses.push(`${def.columns[key]} IS NULL`);
+                } else {
+                    clauses.push(`${def.columns[key]} = ?`);
+                    params.push(String(value));
+                }
+            } else if (key === 'tags' && def.tags) {
+                clauses.push(`id IN (SELECT record_id FROM ${def.tags} WHERE tag = ?)`);
+                params.push(String(value));
+            } else {
+                remaining[key] = value;
+            }
+        }
+
+        const whereSql = clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+        return db.prepare(`SELECT data FROM ${name}${whereSql} ORDER BY rowid`)
+            .all(...params)
+            .map(row => JSON.parse(row.data))
+            .filter(record => matchesWhere(record, remaining));
+    }
+
+    function put(record) {
+        const id = String(record.id);
+        const columnValues = columnEntries.map(([field]) => toColumnValue(record[field]));
+        const data = JSON.stringify(record);
+
+        // UPDATE keeps the rowid, so records stay in insertion order
+        if (selectOne.get(id)) {
+            update.run(...columnValues, data, id);
+        } else {
+            insert.run(id, ...columnValues, data);
+        }
+
+        if (def.tags) {
+            deleteTags.run(id);
+            for (const tag of new Set(Array.isArray(record.tags) ? record.tags : [])) {
+                insertTag.run(id, String(tag));
+            }
+        }
+        return record;
+    }
+
+    function remove(id) {
+        const existing = get(id);
+        if (!existing) return null;
+        deleteOne.run(String(id));
+        if (def.tags) deleteTags.run(String(id));
+        return existing;
+    }
+
+    return {
+        async list(where) {
+            return list(where);
+        },
+        async get(id) {
+            return get(id);
+        },
+        async put(record) {
+            return put(record);
+        },
+        async update(id, patch) {
+            const existing = get(id);
+            if (!existing) return null;
+            return put({ ...existing, ...patch, id: existing.id });
+        },
+        async remove(id) {
+            return remove(id);
+        },
+        async removeWhere(where) {
+            return list(where).map(record => remove(record.id));
+        }
+    };
+}
+
+/**
+ * Create the SQLite storage driver
+ * @param {{ filename: string }} options - Path of the database file
+ */
+export function createSqliteStorage({ filename }) {
+    let db = null;
+    let tables = null;
+
+    async function open() {
+        if (!db) {
+            // Loaded on demand so the json driver never needs the native module
+            const { default: Database } = await import('better-sqlite3');
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+            db = new Database(filename);
+            db.pragma('journal_mode = WAL');
+            createSchema(db);
+            tables = Object.fromEntries(
+                Object.entries(TABLES).map(([name, def]) => [name, createSqliteTable(db, name, def)])
+            );
+        }
+        return tables;
+    }
+
+    /**
+     * Run a unit of work inside one SQLite transaction. All access to the
+     * connection is queued, so an async callback never interleaves with other work.
+     */
+    function transaction(fn) {
+        return withFileLock(filename, async () => {
+            const tx = await open();
+            db.exec('BEGIN IMMEDIATE');
+            try {
+                const result = await fn(tx);
+                db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        });
+    }
+
+    function createStandaloneTable(name) {
+        const run = (method) => (...args) => withFileLock(filename, async () => {
+            const tx = await open();
+            return tx[name][method](...args);
+        });
+        return {
+            list: run('list'),
+            get: run('get'),
+            put: run('put'),
+            update: run('update'),
+            remove: run('remove'),
+            removeWhere: run('removeWhere')
+        };
+    }
+
+    /**
+     * Rewrite a table in full (used when a migration reshapes records)
+     */
+    async function replaceAll(tx, name, records) {
+        await tx[name].removeWhere({});
+        for (const record of records) {
+            await tx[name].put(record);
+        }
+    }
+
+    return {
+        driver: 'sqlite',
+        crops: createStandaloneTable('crops'),
+        canvases: createStandaloneTable('canvases'),
+        images: createStandaloneTable('images'),
+        tags: createStandaloneTable('tags'),
+        collections: createStandaloneTable('collections'),
+        projects: createStandaloneTable('projects'),
+        blobs: blobStore,
+        transaction,
+        /**
+         * Run the shared record migrations against the tables by materializing
+         * them in the JSON store shape, then writing the result back
+         */
+        migrate() {
+            return transaction(async (tx) => {
+                const dbVersion = getSchemaVersion(db, 'db');
+                if (dbVersion < getLatestVersion(DB_MIGRATIONS)) {
+                    const data = {
+                        schemaVersion: dbVersion,
+                        crops: await tx.crops.list(),
+                        canvases: await tx.canvases.list(),
+                        images: [],
+                        tags: await tx.tags.list(),
+                        collections: await tx.collections.list(),
+                        projects: await tx.projects.list()
+                    };
+                    runMigrations(data, DB_MIGRATIONS, 'sqlite');
+                    await replaceAll(tx, 'crops', data.crops);
+                    await replaceAll(tx, 'canvases', data.canvases);
+                    await replaceAll(tx, 'tags', data.tags);
+                    await replaceAll(tx, 'collections', data.collections);
+                    await replaceAll(tx, 'projects', data.projects);
+                    setSchemaVersion(db, 'db', data.schemaVersion);
+                }
+
+                const imageDbVersion = getSchemaVersion(db, 'imageDb');
+                if (imageDbVersion < getLatestVersion(IMAGE_DB_MIGRATIONS)) {
+                    const images = {};
+                    for (const { id, ...meta } of await tx.images.list()) {
+                        images[id] = meta;
+                    }
+                    const data = { schemaVersion: imageDbVersion, images };
+                    runMigrations(data, IMAGE_DB_MIGRATIONS, 'sqlite images');
+                    await replaceAll(tx, 'images', Object.entries(data.images).map(([id, meta]) => ({ ...meta, id })));
+                    setSchemaVersion(db, 'imageDb', data.schemaVersion);
+                }
+            });
+        }
+    };
+}
@@ -0,0 +1,205 @@
+import { getStorage } from './storage';
+import { normalizeTag, normalizeTags, isTagWithin, summarizeTags } from '../utils/tags';
+import { indexCrops } from './searchIndex';
+import { readJsonObject, parseDescription } from './requestInput';
+
+// Tag operations on a project's crops. Tags are stored normalized (see utils/tags).
+// Optional details (color, description) live in the tags table, keyed by tag path.
+// Tag names and details are shared by all projects.
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function createTagError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Parse a tag request's JSON body, which must be an object
+ * @param {Request} request
+ * @returns {Promise<Object>}
+ */
+export function readTagBody(request) {
+    return readJsonObject(request, 'EBADTAG');
+}
+
+/**
+ * Normalize a tag name from a request, rejecting names that are empty afterwards
+ * @param {*} name
+ * @param {string} field - Field name for the error message
+ * @returns {string}
+ */
+export function parseTagName(name, field = 'tag') {
+    const tag = normalizeTag(name);
+    if (!tag) {
+        throw createTagError('EBADTAG', `${field} must be a non-empty string`);
+    }
+    return tag;
+}
+
+/**
+ * Validate a details patch: `color` is a hex color, `description` plain text;
+ * null clears either one
+ * @param {Object} body
+ * @returns {{ color?: string | null, description?: string | null }}
+ */
+export function parseTagDetails(body) {
+    const details = {};
+
+    if ('color' in body) {
+        if (body.color !== null && !(typeof body.color === 'string' && COLOR_PATTERN.test(body.color))) {
+            throw createTagError('EBADTAG', 'color must be a hex color such as #8b5cf6, or null');
+        }
+        details.color = body.color && body.color.toLowerCase();
+    }
+
+    if ('description' in body) {
+        details.description = parseDescription(body.description, 'EBADTAG');
+    }
+
+    return details;
+}
+
+/**
+ * Every tag in use or with stored details, plus their ancestors (see summarizeTags)
+ * @param {{ crops: Object, tags: Object }} tables - Storage or a transaction's tables
+ * @param {string} [projectId] - Only count this project's crops
+ */
+export async function listTags(tables, projectId) {
+    const details = (await tables.tags.list()).map(record => ({ ...record, name: String(record.id) }));
+    return summarizeTags(await tables.crops.list({ projectId }), details);
+}
+
+/**
+ * Set a tag's color and/or description
+ * @param {string} tag - Normalized tag path
+ * @param {{ color?: string | null, description?: string | null }} details
+ * @returns {Promise<Object>} The stored details record
+ */
+export function updateTagDetails(tag, details) {
+    return getStorage().transaction(async (tx) => {
+        const existing = await tx.tags.get(tag);
+        const now = Date.now();
+        return tx.tags.put({
+            color: null,
+            description: null,
+            createdAt: now,
+            ...existing,
+            ...details,
+            id: tag,
+            updatedAt: now
+        });
+    });
+}
+
+/**
+ * Move each source tag, with its descendants, under `target` (or drop them
+ * when target is null) on the project's crops and in the details table, in
+ * one transaction. Details already stored for a target path are kept, and
+ * since details are shared, a path that other projects still use keeps its
+ * record too.
+ * @param {string[]} sources - Normalized tag paths
+ * @param {string | null} target - Normalized tag path
+ * @param {string} projectId
+ * @returns {Promise<Object[]>} The crops that changed
+ */
+async function replaceTags(sources, target, projectId) {
+    const rewrite = (tag) => {
+        const source = sources.find(s => isTagWithin(tag, s));
+        if (source === undefined) return tag;
+        return target === null ? null : target + tag.slice(source.length);
+    };
+
+    const changed = await getStorage().transaction(async (tx) => {
+        const updated = [];
+        for (const crop of await tx.crops.list({ projectId })) {
+            const tags = normalizeTags(crop.tags);
+            if (tags.every(tag => rewrite(tag) === tag)) continue;
+
+            const nextTags = normalizeTags(tags.map(rewrite));
+            updated.push(await tx.crops.update(crop.id, { tags: nextTags, updatedAt: Date.now() }));
+        }
+
+        const tagsInUse = new Set((await tx.crops.list()).flatMap(crop => normalizeTags(crop.tags)));
+        const isInUse = (path) => [...tagsInUse].some(tag => isTagWithin(tag, path));
+
+        // Details of a tag only other projects use are theirs to move
+        const details = (await tx.tags.list())
+            .filter(record => rewrite(String(record.id)) !== String(record.id))
+            .filter(record => updated.length > 0 || !isInUse(String(record.id)));
+        for (const record of details) {
+            if (!isInUse(String(record.id))) await tx.tags.remove(record.id);
+        }
+        for (const record of details) {
+            const nextId = rewrite(String(record.id));
+            if (nextId !== null && !await tx.tags.get(nextId)) {
+                await tx.tags.put({ ...record, id: nextId, updatedAt: Date.now() });
+            }
+        }
+
+        if (updated.length === 0 && details.length === 0) {
+            throw createTagError('ETAGNOTFOUND', `No crop in the project has the tag${sources.length > 1 ? 's' : ''} ${sources.join(', ')}`);
+        }
+        return updated;
+    });
+
+    indexCrops(changed);
+    return changed;
+}
+
+/**
+ * Rename a tag, and move its descendants along with it ("anatomy" -> "body"
+ * also turns "anatomy/hands" into "body/hands"). Renaming to a tag that is
+ * already in use merges them.
+ * @param {string} from
+ * @param {string} to
+ * @param {string} projectId - Only this project's crops are rewritten
+ * @returns {Promise<Object[]>} The crops that changed
+ */
+export function renameTag(from, to, projectId) {
+    if (isTagWithin(to, from) && to !== from) {
+        throw createTagError('EBADTAG', 'A tag cannot be moved inside itself');
+    }
+    return replaceTags([from], to, projectId);
+}
+
+/**
+ * Merge several tags (and their descendants) into one on the project's crops
+ * @param {string[]} tags
+ * @param {string} into
+ * @param {string} projectId
+ * @returns {Promise<Object[]>} The crops that changed
+ */
+export function mergeTags(tags, into, projectId) {
+    if (tags.some(tag => tag !== into && isTagWithin(into, tag))) {
+        throw createTagError('EBADTAG', 'A tag cannot be merged into its own descendant');
+    }
+    return replaceTags(tags, into, projectId);
+}
+
+/**
+ * Remove a tag and its descendants from the project's crops
+ * @param {string} tag
+ * @param {string} projectId
+ * @returns {Promise<Object[]>} The crops that changed
+ */
+export function deleteTag(tag, projectId) {
+    return replaceTags([tag], null, projectId);
+}
+
+/**
+ * HTTP status for a tag operation error, or null if it is unexpected
+ * @param {Error} error
+ * @returns {number | null}
+ */
+export function getTagErrorStatus(error) {
+    switch (error.code) {
+        case 'EBADTAG':
+            return 400;
+        case 'ETAGNOTFOUND':
+            return 404;
+        default:
+            return null;
+    }
+}
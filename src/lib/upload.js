@@ -0,0 +1,130 @@
+import { MAX_IMAGE_BYTES, decodeDataUrl } from './imageDb';
+
+// Reading image uploads from requests: multipart form data, raw binary bodies
+// and legacy base64 JSON, all capped in size before they are buffered
+
+// Room for multipart boundaries and form fields around the file itself
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+/** HTTP status for each upload error code */
+const UPLOAD_ERROR_STATUS = {
+    EINVALIDIMAGE: 400,
+    EIMAGETOOLARGE: 413,
+    EUNSUPPORTEDIMAGE: 415
+};
+
+function createUploadError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * HTTP status for an error thrown while reading or saving an upload
+ * @param {Error} error
+ * @returns {number | null} null for unexpected errors
+ */
+export function getUploadErrorStatus(error) {
+    return UPLOAD_ERROR_STATUS[error.code] || null;
+}
+
+/**
+ * Read a request body into a Buffer, failing as soon as it exceeds maxBytes
+ * @param {Request} request
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ */
+export async function readRequestBody(request, maxBytes) {
+    const tooLarge = () => createUploadError('EIMAGETOOLARGE', `Upload is larger than the ${maxBytes} byte limit`);
+
+    const declaredLength = Number(request.headers.get('content-length'));
+    if (declaredLength > maxBytes) throw tooLarge();
+    if (!request.body) return Buffer.alloc(0);
+
+    const chunks = [];
+    let received = 0;
+    const reader = request.body.getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        received += value.byteLength;
+        if (received > maxBytes) {
+            await reader.cancel();
+            throw tooLarge();
+        }
+        chunks.push(value);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+function toDimension(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Read an uploaded image from a request. Accepts:
+ * - multipart/form-data with the file in a `file` (or `image`) field
+ * - application/json with a base64 data URL in `data`
+ * - any other content type as the raw file bytes
+ * Optional `width` / `height` / `name` come from form fields, JSON or the
+ * query string; multipart uploads default `name` to the file name.
+ * @param {Request} request
+ * @returns {Promise<{ buffer: Buffer, metadata: { width?: number, height?: number, name?: string } }>}
+ */
+export async function readImageUpload(request) {
+    // The multipart boundary is case-sensitive, so only the type is compared lowercased
+    const contentType = request.headers.get('content-type') || '';
+    const mediaType = contentType.toLowerCase();
+    const { searchParams } = new URL(request.url);
+    let fields = { width: searchParams.get('width'), height: searchParams.get('height'), name: searchParams.get('name') };
+    let buffer;
+
+    if (mediaType.startsWith('multipart/form-data')) {
+        const body = await readRequestBody(request, MAX_IMAGE_BYTES + MULTIPART_OVERHEAD_BYTES);
+        let form;
+        try {
+            form = await new Response(body, { headers: { 'content-type': contentType } }).formData();
+        } catch {
+            throw createUploadError('EINVALIDIMAGE', 'Malformed multipart body');
+        }
+
+        const file = form.get('file') || form.get('image');
+        if (!file || typeof file === 'string') {
+            throw createUploadError('EINVALIDIMAGE', "Expected the image in a 'file' field");
+        }
+        buffer = Buffer.from(await file.arrayBuffer());
+        fields = {
+            width: form.get('width') ?? fields.width,
+            height: form.get('height') ?? fields.height,
+            // Blobs appended without a file name arrive as "blob"
+            name: form.get('name') || (file.name !== 'blob' ? file.name : null) || fields.name
+        };
+    } else if (mediaType.startsWith('application/json')) {
+        // Base64 is 4/3 the size of the bytes it encodes
+        const body = await readRequestBody(request, Math.ceil(MAX_IMAGE_BYTES * 4 / 3) + MULTIPART_OVERHEAD_BYTES);
+        let json;
+        try {
+            json = JSON.parse(body.toString('utf8'));
+        } catch {
+            throw createUploadError('EINVALIDIMAGE', 'Malformed JSON body');
+        }
+        if (!json || typeof json !== 'object' || Array.isArray(json)) {
+            throw createUploadError('EINVALIDIMAGE', 'Expected a JSON object with the image in `data`');
+        }
+        buffer = decodeDataUrl(json.data);
+        fields = { width: json.width ?? fields.width, height: json.height ?? fields.height, name: json.name ?? fields.name };
+    } else {
+        buffer = await readRequestBody(request, MAX_IMAGE_BYTES);
+    }
+
+    return {
+        buffer,
+        metadata: {
+            width: toDimension(fields.width),
+            height: toDimension(fields.height),
+            name: typeof fields.name === 'string' && fields.name.trim() ? fields.name.trim().slice(0, 255) : undefined
+        }
+    };
+}
@@ -4,17 +4,33 @@
 
 const API_BASE_URL = '/api'; // Adjust to your server's base URL
 
+// Project that crop, image, canvas, collection, search and tag requests are scoped to
+let currentProjectId = null;
+
+/**
+ * Scope later requests to a project (null for the default project)
+ * @param {string | null} projectId
+ */
+export function setCurrentProject(projectId) {
+    currentProjectId = projectId;
+}
+
 // ============================================================================
 // CROPS API
 // ============================================================================
 
 /**
- * Save all crops for an image
+ * Save all crops for an image, deleting any stored crop left out
+ * Fails with status 409 (and `error.data.dependents`) while canvases use a
+ * crop that would be deleted, unless `force` is set, which also removes it
+ * from those canvases.
  * @param {string} imageId - The ID of the image
  * @param {Array} crops - Array of crop objects
+ * @param {{ force?: boolean }} options
  */
-export async function saveCrops(imageId, crops) {
-    const response = await fetch(`${API_BASE_URL}/images/${imageId}/crops`, {
+export async function saveCrops(imageId, crops, { force = false } = {}) {
+    const query = force ? '?force=true' : '';
+    const response = await fetch(apiUrl(`/images/${imageId}/crops${query}`), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ crops, updatedAt: Date.now() })
@@ -27,18 +43,71 @@ export async function saveCrops(imageId, crops) {
 }
 
 /**
- * Load all crops from all images
- * @returns {Promise<Array>} Array of all crop objects
+ * Add new crops to a stored image in one request, leaving its other crops alone
+ * Fails with status 409 (and `error.data.ids`) if a crop id is already taken.
+ * @param {string} imageId - The ID of the image
+ * @param {Array} crops - New crop objects, each with an id, region and imageData
+ * @returns {Promise<{ crops: Array }>} The stored crops
  */
-export async function loadAllCrops() {
-    const response = await fetch(`${API_BASE_URL}/crops`);
+export async function addCrops(imageId, crops) {
+    const response = await fetch(apiUrl(`/images/${imageId}/crops/batch`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ crops })
+    });
 
     if (!response.ok) {
-        throw await createApiError(response, 'Failed to load all crops');
+        throw await createApiError(response, 'Failed to add crops');
     }
+    return response.json();
+}
 
-    const data = await response.json();
-    return data.crops || [];
+// Crop fields the app's lists use: everything but the image payloads, since
+// previews are served from previewUrl
+export const CROP_LIST_FIELDS = [
+    'imageId',
+    'projectId',
+    'x',
+    'y',
+    'width',
+    'height',
+    'originalImageWidth',
+    'originalImageHeight',
+    'rotation',
+    'sourceRotation',
+    'filter',
+    'constraint',
+    'tags',
+    'notes',
+    'previewUrl',
+    'createdAt',
+    'updatedAt'
+];
+
+/**
+ * Load one page of crops
+ * @param {Object} params - Query options: imageId, tag, q, createdAfter, sort, limit, cursor, fields (array or comma-separated)
+ * @returns {Promise<{ crops: Array, total: number, nextCursor: string | null }>}
+ */
+export async function loadCropsPage(params = {}) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null || value === '') continue;
+        if (key === 'fields') {
+            query.set(key, Array.isArray(value) ? value.join(',') : value);
+            continue;
+        }
+        for (const item of Array.isArray(value) ? value : [value]) {
+            query.append(key, String(item));
+        }
+    }
+
+    const response = await fetch(apiUrl(`/crops?${query}`));
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to load crops');
+    }
+    return response.json();
 }
 
 /**
@@ -47,7 +116,7 @@ export async function loadAllCrops() {
  * @returns {Promise<Array>} Array of crop objects
  */
 export async function loadCrops(imageId) {
-    const response = await fetch(`${API_BASE_URL}/images/${imageId}/crops`);
+    const response = await fetch(apiUrl(`/images/${imageId}/crops`));
 
     if (!response.ok) {
         if (response.status === 404) return [];
@@ -65,7 +134,7 @@ export async function loadCrops(imageId) {
  * @param {Object} updates - Partial crop data to update
  */
 export async function updateCrop(imageId, cropId, updates) {
-    const response = await fetch(`${API_BASE_URL}/images/${imageId}/crops/${cropId}`, {
+    const response = await fetch(apiUrl(`/images/${imageId}/crops/${cropId}`), {
         method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ ...updates, updatedAt: Date.now() })
@@ -79,11 +148,15 @@ export async function updateCrop(imageId, cropId, updates) {
 
 /**
  * Delete a single crop
+ * Fails with status 409 (and `error.data.dependents`) while canvases use the
+ * crop, unless `force` is set, which also removes it from those canvases.
  * @param {string} imageId - The ID of the image
  * @param {string} cropId - The ID of the crop to delete
+ * @param {{ force?: boolean }} options
  */
-export async function deleteCrop(imageId, cropId) {
-    const response = await fetch(`${API_BASE_URL}/images/${imageId}/crops/${cropId}`, {
+export async function deleteCrop(imageId, cropId, { force = false } = {}) {
+    const query = force ? '?force=true' : '';
+    const response = await fetch(apiUrl(`/images/${imageId}/crops/${cropId}${query}`), {
         method: 'DELETE'
     });
 
@@ -93,21 +166,101 @@ export async function deleteCrop(imageId, cropId) {
     return response.json();
 }
 
+/**
+ * Load how many canvases use each crop
+ * @returns {Promise<Object>} Map of cropId to { count, canvases }
+ */
+export async function loadCropUsage() {
+    const response = await fetch(apiUrl(`/crops/usage`));
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to load crop usage');
+    }
+
+    const data = await response.json();
+    return data.usage || {};
+}
+
+/**
+ * Search crops by tags, notes and source image metadata
+ * @param {string} query - Words, "phrases", prefix*, tag:name and image:id filters
+ * @param {{ limit?: number }} options
+ * @returns {Promise<{ results: Array<{ score: number, crop: Object }>, total: number }>}
+ */
+export async function searchCrops(query, { limit } = {}) {
+    const params = new URLSearchParams({ q: query });
+    if (limit) params.set('limit', String(limit));
+
+    const response = await fetch(apiUrl(`/search?${params}`));
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to search crops');
+    }
+    return response.json();
+}
+
+/**
+ * Load every tag in use, with its ancestors, counts and display details
+ * @returns {Promise<Array<{ name: string, parent: string | null, count: number, totalCount: number, color: string | null, description: string | null }>>} Most used first
+ */
+export async function loadTags() {
+    const response = await fetch(apiUrl(`/tags`));
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to load tags');
+    }
+
+    const data = await response.json();
+    return data.tags || [];
+}
+
+/**
+ * Set a tag's color and/or description (null clears a field)
+ * @param {string} tag - Tag path
+ * @param {{ color?: string | null, description?: string | null }} details
+ * @returns {Promise<{ name: string, color: string | null, description: string | null }>}
+ */
+export async function updateTagDetails(tag, details) {
+    const response = await fetch(apiUrl(`/tags/info`), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...details, tag })
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to update tag');
+    }
+
+    const data = await response.json();
+    return data.tag;
+}
+
 // ============================================================================
 // IMAGES API
 // ============================================================================
 
 /**
- * Upload an image to the server
- * @param {string} imageId - The ID for the image
- * @param {string} base64Data - Base64 data URL of the image
+ * Upload an image to the server as a binary file; the server assigns its id.
+ * The format is checked on the server (PNG, JPEG, WebP or GIF) and oversized
+ * files are rejected (status 413 / 415 on `error.status`).
+ * If identical bytes were uploaded before, the server keeps the existing image
+ * and returns its id with `duplicate: true`.
+ * @param {Blob|string} image - The file, or a base64 data URL
  * @param {{ width?: number, height?: number }} metadata - Optional image metadata
+ * @returns {Promise<{ imageId: string, url: string, hash: string, format: string, byteSize: number, width: number, height: number, orientation: number, duplicate: boolean }>}
  */
-export async function uploadImage(imageId, base64Data, metadata = {}) {
-    const response = await fetch(`${API_BASE_URL}/images/${imageId}`, {
+export async function uploadImage(image, metadata = {}) {
+    const file = typeof image === 'string' ? await (await fetch(image)).blob() : image;
+
+    const formData = new FormData();
+    formData.append('file', file);
+    for (const [key, value] of Object.entries(metadata)) {
+        if (value !== undefined && value !== null) formData.append(key, String(value));
+    }
+
+    const response = await fetch(apiUrl(`/images`), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ data: base64Data, ...metadata })
+        body: formData
     });
 
     if (!response.ok) {
@@ -116,6 +269,160 @@ export async function uploadImage(imageId, base64Data, metadata = {}) {
     return response.json();
 }
 
+// ============================================================================
+// COLLECTIONS API
+// ============================================================================
+
+/**
+ * Load every collection
+ * @returns {Promise<Array<{ id: string, name: string, description: string | null, cropIds: Array, cropCount: number }>>}
+ */
+export async function loadCollections() {
+    const response = await fetch(apiUrl(`/collections`));
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to load collections');
+    }
+
+    const data = await response.json();
+    return data.collections || [];
+}
+
+/**
+ * Create a collection
+ * @param {{ name: string, description?: string, cropIds?: Array }} collection
+ * @returns {Promise<Object>} The new collection
+ */
+export async function createCollection(collection) {
+    const response = await fetch(apiUrl(`/collections`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(collection)
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to create collection');
+    }
+
+    const data = await response.json();
+    return data.collection;
+}
+
+/**
+ * Rename or describe a collection
+ * @param {string} collectionId
+ * @param {{ name?: string, description?: string | null }} updates
+ * @returns {Promise<Object>} The updated collection
+ */
+export async function updateCollection(collectionId, updates) {
+    const response = await fetch(apiUrl(`/collections/${collectionId}`), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updates)
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to update collection');
+    }
+
+    const data = await response.json();
+    return data.collection;
+}
+
+/**
+ * Delete a collection (its crops are kept)
+ * @param {string} collectionId
+ */
+export async function deleteCollection(collectionId) {
+    const response = await fetch(apiUrl(`/collections/${collectionId}`), {
+        method: 'DELETE'
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to delete collection');
+    }
+    return response.json();
+}
+
+/**
+ * Load a collection's crops, in the collection's order
+ * @param {string} collectionId
+ * @returns {Promise<Array>} Crop objects (previews are served from previewUrl)
+ */
+export async function loadCollectionCrops(collectionId) {
+    const response = await fetch(apiUrl(`/collections/${collectionId}/crops`));
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to load collection crops');
+    }
+
+    const data = await response.json();
+    return data.crops || [];
+}
+
+/**
+ * Add crops to a collection (crops already in it move to `position`)
+ * @param {string} collectionId
+ * @param {Array} cropIds
+ * @param {number} [position] - Index to insert at; appended when omitted
+ * @returns {Promise<Object>} The updated collection
+ */
+export async function addCropsToCollection(collectionId, cropIds, position) {
+    const response = await fetch(apiUrl(`/collections/${collectionId}/crops`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cropIds, position })
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to add crops to collection');
+    }
+
+    const data = await response.json();
+    return data.collection;
+}
+
+/**
+ * Replace a collection's crops and their order
+ * @param {string} collectionId
+ * @param {Array} cropIds
+ * @returns {Promise<Object>} The updated collection
+ */
+export async function setCollectionCrops(collectionId, cropIds) {
+    const response = await fetch(apiUrl(`/collections/${collectionId}/crops`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cropIds })
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to reorder collection');
+    }
+
+    const data = await response.json();
+    return data.collection;
+}
+
+/**
+ * Remove crops from a collection (the crops themselves are kept)
+ * @param {string} collectionId
+ * @param {Array} cropIds
+ * @returns {Promise<Object>} The updated collection
+ */
+export async function removeCropsFromCollection(collectionId, cropIds) {
+    const query = new URLSearchParams(cropIds.map(id => ['cropId', String(id)]));
+    const response = await fetch(apiUrl(`/collections/${collectionId}/crops?${query}`), {
+        method: 'DELETE'
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to remove crops from collection');
+    }
+
+    const data = await response.json();
+    return data.collection;
+}
+
 // ============================================================================
 // CANVAS API
 // ============================================================================
@@ -126,7 +433,7 @@ export async function uploadImage(imageId, base64Data, metadata = {}) {
  * @returns {Promise<{canvasId: string}>} The new canvas ID
  */
 export async function createCanvas(options = {}) {
-    const response = await fetch(`${API_BASE_URL}/canvas`, {
+    const response = await fetch(apiUrl(`/canvas`), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ ...options, createdAt: Date.now() })
@@ -145,7 +452,7 @@ export async function createCanvas(options = {}) {
  * @param {Array} placedItems - Array of placed items in freeform mode
  */
 export async function saveCanvas(canvasId, composition, placedItems) {
-    const response = await fetch(`${API_BASE_URL}/canvas/${canvasId}`, {
+    const response = await fetch(apiUrl(`/canvas/${canvasId}`), {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ composition, placedItems, updatedAt: Date.now() })
@@ -163,7 +470,7 @@ export async function saveCanvas(canvasId, composition, placedItems) {
  * @returns {Promise<Object|null>} The saved canvas data or null
  */
 export async function loadCanvas(canvasId) {
-    const response = await fetch(`${API_BASE_URL}/canvas/${canvasId}`);
+    const response = await fetch(apiUrl(`/canvas/${canvasId}`));
 
     if (!response.ok) {
         if (response.status === 404) return null;
@@ -177,7 +484,7 @@ export async function loadCanvas(canvasId) {
  * @returns {Promise<Array>} Array of canvas metadata
  */
 export async function listCanvases() {
-    const response = await fetch(`${API_BASE_URL}/canvas`);
+    const response = await fetch(apiUrl(`/canvas`));
 
     if (!response.ok) {
         throw await createApiError(response, 'Failed to list canvases');
@@ -190,7 +497,7 @@ export async function listCanvases() {
  * @param {string} canvasId - The ID of the canvas to delete
  */
 export async function deleteCanvas(canvasId) {
-    const response = await fetch(`${API_BASE_URL}/canvas/${canvasId}`, {
+    const response = await fetch(apiUrl(`/canvas/${canvasId}`), {
         method: 'DELETE'
     });
 
@@ -205,11 +512,11 @@ export async function deleteCanvas(canvasId) {
 // ============================================================================
 
 /**
- * List all stored images (metadata only)
- * @returns {Promise<{images: Array}>} Array of image metadata
+ * List the project's stored images (metadata only)
+ * @returns {Promise<{images: Array<{ id: string, name: string | null, url: string, format: string, width: number, height: number, cropCount: number, createdAt: number }>}>}
  */
 export async function listImages() {
-    const response = await fetch(`${API_BASE_URL}/images`);
+    const response = await fetch(apiUrl(`/images`));
 
     if (!response.ok) {
         throw await createApiError(response, 'Failed to list images');
@@ -218,12 +525,14 @@ export async function listImages() {
 }
 
 /**
- * Get a stored image by ID
+ * Get a stored image's metadata by ID
  * @param {string} imageId - The ID of the image
- * @returns {Promise<Object|null>} The image data or null if not found
+ * @param {{ includeData?: boolean }} options - Also fetch the image as a base64 data URL (`data`)
+ * @returns {Promise<Object|null>} Metadata with the file `url`, or null if not found
  */
-export async function getImage(imageId) {
-    const response = await fetch(`${API_BASE_URL}/images/${imageId}`);
+export async function getImage(imageId, { includeData = false } = {}) {
+    const query = includeData ? '?include=data' : '';
+    const response = await fetch(apiUrl(`/images/${imageId}${query}`));
 
     if (!response.ok) {
         if (response.status === 404) return null;
@@ -232,17 +541,39 @@ export async function getImage(imageId) {
     return response.json();
 }
 
+/**
+ * URL that serves a stored image's bytes (cacheable, supports Range)
+ * @param {string} imageId - The ID of the image
+ * @returns {string}
+ */
+export function getImageFileUrl(imageId) {
+    return apiUrl(`/images/${encodeURIComponent(imageId)}/file`);
+}
+
+/**
+ * Image source for a crop: a preview that has not been uploaded yet is still
+ * inline (`imageData`); stored crops are served from `previewUrl`
+ * @param {Object} crop
+ * @returns {string | null}
+ */
+export function getCropImageSrc(crop) {
+    return crop.imageData || crop.previewUrl || null;
+}
+
 /**
  * Delete a stored image
+ * Fails with status 409 (and `error.data.dependents`) while crops or canvases
+ * depend on the image, unless `force` is set; a forced delete removes the
+ * image's crops too.
  * @param {string} imageId - The ID of the image to delete
- * @param {boolean} deleteCrops - Whether to also delete associated crops
+ * @param {{ force?: boolean }} options
  */
-export async function deleteImage(imageId, deleteCrops = false) {
-    const url = deleteCrops
-        ? `${API_BASE_URL}/images/${imageId}?deleteCrops=true`
-        : `${API_BASE_URL}/images/${imageId}`;
+export async function deleteImage(imageId, { force = false } = {}) {
+    const url = force
+        ? `/images/${imageId}?force=true`
+        : `/images/${imageId}`;
 
-    const response = await fetch(url, {
+    const response = await fetch(apiUrl(url), {
         method: 'DELETE'
     });
 
@@ -266,7 +597,7 @@ export async function uploadExportedCanvas(canvasId, imageBlob, options = {}) {
     const formData = new FormData();
     formData.append('image', imageBlob, `export-${Date.now()}.${options.format || 'png'}`);
 
-    const response = await fetch(`${API_BASE_URL}/canvas/${canvasId}/export`, {
+    const response = await fetch(apiUrl(`/canvas/${canvasId}/export`), {
         method: 'POST',
         body: formData
     });
@@ -277,11 +608,127 @@ export async function uploadExportedCanvas(canvasId, imageBlob, options = {}) {
     return response.json();
 }
 
+// ============================================================================
+// PROJECTS API
+// ============================================================================
+
+/**
+ * Load every project, the default project first
+ * @returns {Promise<Array<{ id: string, name: string, description: string | null, counts: { images: number, crops: number, canvases: number } }>>}
+ */
+export async function loadProjects() {
+    const response = await fetch(`${API_BASE_URL}/projects`);
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to load projects');
+    }
+
+    const data = await response.json();
+    return data.projects || [];
+}
+
+/**
+ * Create an empty project
+ * @param {{ name: string, description?: string }} project
+ * @returns {Promise<Object>} The new project
+ */
+export async function createProject(project) {
+    const response = await fetch(`${API_BASE_URL}/projects`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(project)
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to create project');
+    }
+
+    const data = await response.json();
+    return data.project;
+}
+
+/**
+ * Rename or describe a project
+ * @param {string} projectId
+ * @param {{ name?: string, description?: string | null }} updates
+ * @returns {Promise<Object>} The updated project
+ */
+export async function updateProject(projectId, updates) {
+    const response = await fetch(`${API_BASE_URL}/projects/${projectId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updates)
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to update project');
+    }
+
+    const data = await response.json();
+    return data.project;
+}
+
+/**
+ * Delete a project
+ * Fails with status 409 (and `error.data.dependents`) while the project holds
+ * images, crops or canvases, unless `force` is set, which deletes them too.
+ * @param {string} projectId
+ * @param {{ force?: boolean }} options
+ */
+export async function deleteProject(projectId, { force = false } = {}) {
+    const query = force ? '?force=true' : '';
+    const response = await fetch(`${API_BASE_URL}/projects/${projectId}${query}`, {
+        method: 'DELETE'
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to delete project');
+    }
+    return response.json();
+}
+
+/**
+ * Move images (with their crops) and canvases into a project
+ * Fails with status 409 (and `error.data.dependents`: the canvases and images
+ * that have to move along) when a canvas would be separated from its crops.
+ * @param {string} projectId - Target project
+ * @param {{ imageIds?: Array<string>, canvasIds?: Array<string> }} items
+ * @returns {Promise<{ images: number, crops: number, canvases: number }>} Records moved
+ */
+export async function moveToProject(projectId, items) {
+    const response = await fetch(`${API_BASE_URL}/projects/${projectId}/move`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(items)
+    });
+
+    if (!response.ok) {
+        throw await createApiError(response, 'Failed to move to project');
+    }
+
+    const data = await response.json();
+    return data.moved;
+}
+
 // ============================================================================
 // HELPERS
 // ============================================================================
 
+/**
+ * API URL for a path, scoped to the current project
+ * @param {string} path - Path below the API base, with an optional query
+ * @returns {string}
+ */
+function apiUrl(path) {
+    const url = `${API_BASE_URL}${path}`;
+    if (!currentProjectId) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}project=${encodeURIComponent(currentProjectId)}`;
+}
+
 async function createApiError(response, defaultMessage) {
-    const error = await response.json().catch(() => ({ message: 'Unknown error' }));
-    return new Error(error.message || `${defaultMessage}: ${response.status}`);
+    const data = await response.json().catch(() => ({ message: 'Unknown error' }));
+    const error = new Error(data.message || data.error || `${defaultMessage}: ${response.status}`);
+    error.status = response.status;
+    error.data = data;
+    return error;
 }
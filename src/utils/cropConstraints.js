@@ -0,0 +1,76 @@
+/**
+ * Crop Constraint Utility
+ * Shapes a selection can be held to in the Canvas view: an aspect ratio, or
+ * an exact output size in image pixels. Crops record the constraint they
+ * were made with as `constraint`: { type: 'ratio' | 'size', width, height },
+ * or null when drawn freehand.
+ */
+
+export const FREE_CONSTRAINT = { id: 'free', type: 'free', label: 'Free' }
+
+export const RATIO_PRESETS = [
+    { id: '1:1', type: 'ratio', width: 1, height: 1, label: '1:1' },
+    { id: '4:3', type: 'ratio', width: 4, height: 3, label: '4:3' },
+    { id: '3:4', type: 'ratio', width: 3, height: 4, label: '3:4' },
+    { id: '3:2', type: 'ratio', width: 3, height: 2, label: '3:2' },
+    { id: '2:3', type: 'ratio', width: 2, height: 3, label: '2:3' },
+    { id: '16:9', type: 'ratio', width: 16, height: 9, label: '16:9' },
+    { id: '9:16', type: 'ratio', width: 9, height: 16, label: '9:16' }
+]
+
+/**
+ * Width / height the constraint holds a selection to, or null when free
+ * @param {{ type: string, width?: number, height?: number }} constraint
+ * @returns {number | null}
+ */
+export function getConstraintAspect(constraint) {
+    if (!constraint || constraint.type === 'free') return null
+    return constraint.width / constraint.height
+}
+
+/**
+ * Whether a constraint's dimensions are usable
+ * @param {{ type: string, width?: number, height?: number }} constraint
+ * @returns {boolean}
+ */
+export function isValidConstraint(constraint) {
+    if (constraint.type === 'free') return true
+    return constraint.width > 0 && constraint.height > 0 &&
+        Number.isFinite(constraint.width) && Number.isFinite(constraint.height)
+}
+
+/**
+ * Value stored on a crop for a constraint
+ * @param {{ type: string, width?: number, height?: number }} constraint
+ * @returns {{ type: string, width: number, height: number } | null}
+ */
+export function toConstraintRecord(constraint) {
+    if (!constraint || constraint.type === 'free') return null
+    return { type: constraint.type, width: constraint.width, height: constraint.height }
+}
+
+/**
+ * Picker constraint for a crop's stored constraint: a preset when one
+ * matches, otherwise a custom ratio or fixed size
+ * @param {{ type: string, width: number, height: number } | null} record
+ * @returns {Object}
+ */
+export function fromConstraintRecord(record) {
+    if (!record) return FREE_CONSTRAINT
+    if (record.type === 'size') {
+        return { id: 'size', type: 'size', width: record.width, height: record.height, label: 'Fixed size' }
+    }
+    const preset = RATIO_PRESETS.find(p => p.width === record.width && p.height === record.height)
+    return preset || { id: 'custom', type: 'ratio', width: record.width, height: record.height, label: 'Custom ratio' }
+}
+
+/**
+ * Short text for a stored constraint, e.g. "16:9" or "512 × 512 px"
+ * @param {{ type: string, width: number, height: number } | null} record
+ * @returns {string}
+ */
+export function describeConstraint(record) {
+    if (!record) return FREE_CONSTRAINT.label
+    if (record.type === 'size') return `${record.width} × ${record.height} px`
+    return `${record.width}:${record.height}`
+}
@@ -4,7 +4,8 @@
  */
 import { FILTERS } from './filters'
 import { drawShapePath } from './frameShapes'
-import { getImage } from './api'
+import { getImageFileUrl, getCropImageSrc } from './api'
+import { loadImage, getUprightSize } from './imageLoader'
 
 /**
  * Export canvas in panel mode
@@ -17,13 +18,8 @@ async function exportPanelMode(ctx, composition, panels, crops) {
         const crop = crops.find(c => c.id === assignment.cropId)
         if (!crop) continue
 
-        const img = new Image()
-        img.crossOrigin = 'anonymous'
-        await new Promise((resolve, reject) => {
-            img.onload = resolve
-            img.onerror = reject
-            img.src = crop.imageData
-        })
+        const img = await loadImage(getCropImageSrc(crop))
+        const { width: imgWidth, height: imgHeight } = getUprightSize(img)
 
         ctx.save()
         ctx.filter = FILTERS.find(f => f.id === crop.filter)?.css || 'none'
@@ -41,9 +37,9 @@ async function exportPanelMode(ctx, composition, panels, crops) {
             ctx.rotate((crop.rotation * Math.PI) / 180)
         }
 
-        const scale = Math.max(panel.width / img.width, panel.height / img.height)
-        const drawWidth = img.width * scale
-        const drawHeight = img.height * scale
+        const scale = Math.max(panel.width / imgWidth, panel.height / imgHeight)
+        const drawWidth = imgWidth * scale
+        const drawHeight = imgHeight * scale
         ctx.drawImage(img, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight)
 
         ctx.restore()
@@ -97,22 +93,17 @@ async function drawRotatedItem(ctx, item, crop, x, y, width, height) {
     const rotation = item.rotation ?? crop.rotation ?? 0
 
     try {
-        const originalImageData = await getImage(crop.imageId)
-        if (!originalImageData?.data) throw new Error('No original image data')
+        if (!crop.imageId) throw new Error('No original image')
 
-        const origImg = new Image()
-        origImg.crossOrigin = 'anonymous'
-        await new Promise((resolve, reject) => {
-            origImg.onload = resolve
-            origImg.onerror = reject
-            origImg.src = originalImageData.data
-        })
+        // Upright size, the same space the crop's x/y/width/height were measured in
+        const origImg = await loadImage(getImageFileUrl(crop.imageId))
+        const origSize = getUprightSize(origImg)
 
         const scaleX = crop.width > 0 ? width / crop.width : 1
         const scaleY = crop.height > 0 ? height / crop.height : 1
 
-        const origW = crop.originalImageWidth || origImg.width
-        const origH = crop.originalImageHeight || origImg.height
+        const origW = crop.originalImageWidth || origSize.width
+        const origH = crop.originalImageHeight || origSize.height
         const cropX = crop.x || 0
         const cropY = crop.y || 0
         const cropW = crop.width || 100
@@ -141,13 +132,7 @@ async function drawRotatedItem(ctx, item, crop, x, y, width, height) {
     } catch (error) {
         console.error('Failed to load original image for export:', error)
         // Fallback: draw cropped image without rotation
-        const img = new Image()
-        img.crossOrigin = 'anonymous'
-        await new Promise((resolve, reject) => {
-            img.onload = resolve
-            img.onerror = reject
-            img.src = crop.imageData
-        })
+        const img = await loadImage(getCropImageSrc(crop))
         ctx.drawImage(img, x, y, width, height)
     }
 }
@@ -156,15 +141,10 @@ async function drawRotatedItem(ctx, item, crop, x, y, width, height) {
  * Draw item without rotation (using cropped preview)
  */
 async function drawNonRotatedItem(ctx, crop, x, y, width, height) {
-    const img = new Image()
-    img.crossOrigin = 'anonymous'
-    await new Promise((resolve, reject) => {
-        img.onload = resolve
-        img.onerror = reject
-        img.src = crop.imageData
-    })
-
-    const imgAspect = img.width / img.height
+    const img = await loadImage(getCropImageSrc(crop))
+    const { width: imgWidth, height: imgHeight } = getUprightSize(img)
+
+    const imgAspect = imgWidth / imgHeight
     const boxAspect = width / height
     let drawWidth, drawHeight, drawX, drawY
 
@@ -0,0 +1,34 @@
+/**
+ * Image Loader Utility
+ * Single place where source images and crop previews are decoded for measuring or drawing
+ *
+ * Source files are stored exactly as uploaded, so phone photos keep their EXIF
+ * orientation tag. Browsers apply it when decoding (the CSS default is
+ * `image-orientation: from-image`), so naturalWidth/naturalHeight and
+ * drawImage() are already upright. That upright space is the one crop
+ * coordinates and the server's image width/height use.
+ */
+
+/**
+ * Load an image, resolving once it is decoded
+ * @param {string} src - URL or data URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image()
+        img.crossOrigin = 'anonymous'
+        img.onload = () => resolve(img)
+        img.onerror = () => reject(new Error('Failed to load image'))
+        img.src = src
+    })
+}
+
+/**
+ * Upright size of a loaded image (EXIF orientation applied)
+ * @param {HTMLImageElement} img
+ * @returns {{ width: number, height: number }}
+ */
+export function getUprightSize(img) {
+    return { width: img.naturalWidth, height: img.naturalHeight }
+}
@@ -0,0 +1,18 @@
+/**
+ * Project Utility
+ * Every image, crop, canvas and collection belongs to one project. Records
+ * saved before projects existed, and requests that name no project, use the
+ * default project.
+ */
+
+export const DEFAULT_PROJECT_ID = 'default'
+export const DEFAULT_PROJECT_NAME = 'Default'
+
+/**
+ * Project a stored record belongs to
+ * @param {{ projectId?: string }} record
+ * @returns {string}
+ */
+export function getRecordProjectId(record) {
+    return record?.projectId || DEFAULT_PROJECT_ID
+}
@@ -0,0 +1,268 @@
+/**
+ * Selection Geometry Utility
+ * The Canvas view's selection is an axis-aligned box ({ startX, startY,
+ * endX, endY } in display pixels) turned by a rotation around its center.
+ * Resizing works in the box's own axes so it behaves the same at any angle.
+ */
+
+// Smallest selection, in display pixels, that can become a crop
+export const MIN_SELECTION_SIZE = 10
+
+// Resize handles, as directions from the center along the box's own axes
+export const SELECTION_HANDLES = [
+    { id: 'nw', dx: -1, dy: -1 },
+    { id: 'n', dx: 0, dy: -1 },
+    { id: 'ne', dx: 1, dy: -1 },
+    { id: 'e', dx: 1, dy: 0 },
+    { id: 'se', dx: 1, dy: 1 },
+    { id: 's', dx: 0, dy: 1 },
+    { id: 'sw', dx: -1, dy: 1 },
+    { id: 'w', dx: -1, dy: 0 }
+]
+
+const RESIZE_CURSORS = ['ew-resize', 'nwse-resize', 'ns-resize', 'nesw-resize']
+
+/**
+ * Express a point in the axes of a box rotated around `center`
+ * @param {{ x: number, y: number }} point
+ * @param {{ x: number, y: number }} center
+ * @param {number} rotation - Degrees, clockwise
+ * @returns {{ x: number, y: number }} Offset from the center along the box's axes
+ */
+export function toLocalPoint(point, center, rotation) {
+    const radians = (rotation * Math.PI) / 180
+    const cos = Math.cos(radians)
+    const sin = Math.sin(radians)
+    const dx = point.x - center.x
+    const dy = point.y - center.y
+    return { x: dx * cos + dy * sin, y: -dx * sin + dy * cos }
+}
+
+/**
+ * Inverse of toLocalPoint
+ * @param {{ x: number, y: number }} local
+ * @param {{ x: number, y: number }} center
+ * @param {number} rotation - Degrees, clockwise
+ * @returns {{ x: number, y: number }}
+ */
+export function toWorldPoint(local, center, rotation) {
+    const radians = (rotation * Math.PI) / 180
+    const cos = Math.cos(radians)
+    const sin = Math.sin(radians)
+    return {
+        x: center.x + local.x * cos - local.y * sin,
+        y: center.y + local.x * sin + local.y * cos
+    }
+}
+
+/**
+ * Selection with the given center and size
+ * @returns {{ startX: number, startY: number, endX: number, endY: number }}
+ */
+export function selectionFromCenter(centerX, centerY, width, height) {
+    return {
+        startX: centerX - width / 2,
+        startY: centerY - height / 2,
+        endX: centerX + width / 2,
+        endY: centerY + height / 2
+    }
+}
+
+/**
+ * Whether a point lies inside the rotated selection
+ * @param {{ x: number, y: number }} point
+ * @param {{ centerX: number, centerY: number, width: number, height: number }} rect
+ * @param {number} rotation
+ * @returns {boolean}
+ */
+export function isPointInSelection(point, rect, rotation) {
+    const local = toLocalPoint(point, { x: rect.centerX, y: rect.centerY }, rotation)
+    return Math.abs(local.x) <= rect.width / 2 && Math.abs(local.y) <= rect.height / 2
+}
+
+/**
+ * Resize cursor for a handle, following the selection's rotation
+ * @param {{ dx: number, dy: number }} handle
+ * @param {number} rotation
+ * @returns {string}
+ */
+export function getHandleCursor(handle, rotation) {
+    const angle = Math.atan2(handle.dy, handle.dx) * (180 / Math.PI) + rotation
+    const normalized = ((angle % 180) + 180) % 180
+    return RESIZE_CURSORS[Math.round(normalized / 45) % 4]
+}
+
+/**
+ * Resize a rotated selection by dragging one of its handles.
+ * The opposite edge or corner stays put, or the center with `fromCenter`;
+ * `keepAspect` holds `aspect` (width / height), by default the starting ratio.
+ * With `bounds`, a box that would leave the image is shrunk back toward the
+ * starting size until its unrotated box fits, as moveSelection keeps it.
+ * @param {{ centerX: number, centerY: number, width: number, height: number, rotation: number }} start - Selection when the drag began
+ * @param {{ dx: number, dy: number }} handle
+ * @param {{ x: number, y: number }} pointer
+ * @param {{ keepAspect?: boolean, aspect?: number, fromCenter?: boolean, bounds?: { width: number, height: number } }} options
+ * @returns {{ startX: number, startY: number, endX: number, endY: number }}
+ */
+export function resizeSelection(start, handle, pointer, { keepAspect = false, aspect, fromCenter = false, bounds } = {}) {
+    const { centerX, centerY, width, height, rotation } = start
+    const center = { x: centerX, y: centerY }
+    const local = toLocalPoint(pointer, center, rotation)
+
+    // Fixed point in the box's axes, and how far the pointer is from it per unit of size
+    const anchorX = fromCenter ? 0 : -handle.dx * width / 2
+    const anchorY = fromCenter ? 0 : -handle.dy * height / 2
+    const reach = fromCenter ? 2 : 1
+
+    let newWidth = handle.dx ? handle.dx * (local.x - anchorX) * reach : width
+    let newHeight = handle.dy ? handle.dy * (local.y - anchorY) * reach : height
+
+    if (keepAspect) {
+        const ratio = aspect || width / height
+        if (handle.dx && handle.dy) {
+            // Follow whichever side the pointer pulled further
+            if (newWidth / ratio > newHeight) newHeight = newWidth / ratio
+            else newWidth = newHeight * ratio
+        } else if (handle.dx) {
+            newHeight = newWidth / ratio
+        } else {
+            newWidth = newHeight * ratio
+        }
+        const grow = Math.max(MIN_SELECTION_SIZE / newWidth, MIN_SELECTION_SIZE / newHeight, 1)
+        newWidth = Math.max(newWidth * grow, MIN_SELECTION_SIZE)
+        newHeight = Math.max(newHeight * grow, MIN_SELECTION_SIZE)
+    } else {
+        newWidth = Math.max(newWidth, MIN_SELECTION_SIZE)
+        newHeight = Math.max(newHeight, MIN_SELECTION_SIZE)
+    }
+
+    // Edges without a handle, and every edge when resizing from the center, stay centered
+    const boxOfSize = (boxWidth, boxHeight) => {
+        const boxCenter = toWorldPoint({
+            x: fromCenter || !handle.dx ? 0 : anchorX + handle.dx * boxWidth / 2,
+            y: fromCenter || !handle.dy ? 0 : anchorY + handle.dy * boxHeight / 2
+        }, center, rotation)
+        return selectionFromCenter(boxCenter.x, boxCenter.y, boxWidth, boxHeight)
+    }
+
+    const resized = boxOfSize(newWidth, newHeight)
+    if (!bounds || isInsideBounds(resized, bounds)) return resized
+
+    // Largest step from the starting size toward the new one that still fits;
+    // both sizes share the ratio when it is kept, and so does every step between
+    let fits = 0
+    let overflows = 1
+    for (let i = 0; i < 20; i++) {
+        const step = (fits + overflows) / 2
+        const box = boxOfSize(width + (newWidth - width) * step, height + (newHeight - height) * step)
+        if (isInsideBounds(box, bounds)) fits = step
+        else overflows = step
+    }
+    const clamped = boxOfSize(width + (newWidth - width) * fits, height + (newHeight - height) * fits)
+    return moveSelection(clamped, 0, 0, bounds)
+}
+
+function isInsideBounds(selection, bounds) {
+    // Tolerance for floating point error at the edges
+    const epsilon = 1e-6
+    return Math.min(selection.startX, selection.endX) >= -epsilon &&
+        Math.min(selection.startY, selection.endY) >= -epsilon &&
+        Math.max(selection.startX, selection.endX) <= bounds.width + epsilon &&
+        Math.max(selection.startY, selection.endY) <= bounds.height + epsilon
+}
+
+/**
+ * Move a selection by an offset, keeping its unrotated box inside the image
+ * @param {{ startX: number, startY: number, endX: number, endY: number }} selection
+ * @param {number} dx
+ * @param {number} dy
+ * @param {{ width: number, height: number }} bounds - Displayed image size
+ * @returns {{ startX: number, startY: number, endX: number, endY: number }}
+ */
+export function moveSelection(selection, dx, dy, bounds) {
+    const left = Math.min(selection.startX, selection.endX)
+    const top = Math.min(selection.startY, selection.endY)
+    const right = Math.max(selection.startX, selection.endX)
+    const bottom = Math.max(selection.startY, selection.endY)
+
+    const offsetX = Math.min(Math.max(dx, -left), Math.max(bounds.width - right, -left))
+    const offsetY = Math.min(Math.max(dy, -top), Math.max(bounds.height - bottom, -top))
+
+    return {
+        startX: selection.startX + offsetX,
+        startY: selection.startY + offsetY,
+        endX: selection.endX + offsetX,
+        endY: selection.endY + offsetY
+    }
+}
+
+/**
+ * Hold a selection being drawn to an aspect ratio. The corner where the
+ * drag started stays put, and the box shrinks to stay inside the image.
+ * @param {{ startX: number, startY: number, endX: number, endY: number }} selection
+ * @param {number} aspect - Width / height
+ * @param {{ width: number, height: number }} bounds - Displayed image size
+ * @returns {{ startX: number, startY: number, endX: number, endY: number }}
+ */
+export function constrainToAspect(selection, aspect, bounds) {
+    const { startX, startY } = selection
+    let width = Math.abs(selection.endX - startX)
+    let height = Math.abs(selection.endY - startY)
+    if (!width && !height) return selection
+
+    if (width / height > aspect) height = width / aspect
+    else width = height * aspect
+
+    const dirX = selection.endX >= startX ? 1 : -1
+    const dirY = selection.endY >= startY ? 1 : -1
+    const maxWidth = dirX > 0 ? bounds.width - startX : startX
+    const maxHeight = dirY > 0 ? bounds.height - startY : startY
+    const fit = Math.min(1, maxWidth / width, maxHeight / height)
+
+    return {
+        startX,
+        startY,
+        endX: startX + dirX * width * fit,
+        endY: startY + dirY * height * fit
+    }
+}
+
+/**
+ * Reshape a selection around its center to an aspect ratio (keeping its
+ * area) or an exact size, then keep it inside the image
+ * @param {{ startX: number, startY: number, endX: number, endY: number }} selection
+ * @param {{ aspect?: number, width?: number, height?: number }} target - Ratio, or display size
+ * @param {{ width: number, height: number }} bounds - Displayed image size
+ * @returns {{ startX: number, startY: number, endX: number, endY: number }}
+ */
+export function fitSelection(selection, target, bounds) {
+    const centerX = (selection.startX + selection.endX) / 2
+    const centerY = (selection.startY + selection.endY) / 2
+    let { width, height } = target
+
+    if (target.aspect) {
+        const area = Math.abs((selection.endX - selection.startX) * (selection.endY - selection.startY))
+        width = Math.sqrt(area * target.aspect)
+        height = width / target.aspect
+        const fit = Math.min(1, bounds.width / width, bounds.height / height)
+        width *= fit
+        height *= fit
+    }
+
+    return moveSelection(selectionFromCenter(centerX, centerY, width, height), 0, 0, bounds)
+}
+
+/**
+ * Scale a selection with the image when the view zooms
+ * @param {{ startX: number, startY: number, endX: number, endY: number }} selection
+ * @param {number} ratio - New display scale / old display scale
+ * @returns {{ startX: number, startY: number, endX: number, endY: number }}
+ */
+export function scaleSelection(selection, ratio) {
+    return {
+        startX: selection.startX * ratio,
+        startY: selection.startY * ratio,
+        endX: selection.endX * ratio,
+        endY: selection.endY * ratio
+    }
+}
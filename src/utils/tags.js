@@ -0,0 +1,111 @@
+/**
+ * Tag Utility
+ * Normalization rules shared by the tag input and the server, so "Hands",
+ * " hands " and "HANDS" are stored as one tag
+ *
+ * Tags are hierarchical paths: "anatomy/hands/foreshortening" is a child of
+ * "anatomy/hands", which is a child of "anatomy".
+ */
+
+export const TAG_SEPARATOR = '/'
+
+/**
+ * Normalize a tag path: each level trimmed, inner whitespace collapsed and
+ * lowercased; empty levels are dropped ("Anatomy / Hands/" -> "anatomy/hands")
+ * @param {string} tag
+ * @returns {string} Empty string when nothing is left
+ */
+export function normalizeTag(tag) {
+    if (typeof tag !== 'string') return ''
+    return tag
+        .normalize('NFC')
+        .split(TAG_SEPARATOR)
+        .map(level => level.trim().replace(/\s+/g, ' ').toLowerCase())
+        .filter(Boolean)
+        .join(TAG_SEPARATOR)
+}
+
+/**
+ * Normalize a list of tags, dropping empty names and duplicates (first one wins)
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return []
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))]
+}
+
+/**
+ * Parent path of a normalized tag
+ * @param {string} tag
+ * @returns {string | null} null for a top-level tag
+ */
+export function getParentTag(tag) {
+    const index = tag.lastIndexOf(TAG_SEPARATOR)
+    return index === -1 ? null : tag.slice(0, index)
+}
+
+/**
+ * Last level of a normalized tag ("anatomy/hands" -> "hands")
+ * @param {string} tag
+ * @returns {string}
+ */
+export function getTagLeaf(tag) {
+    return tag.slice(tag.lastIndexOf(TAG_SEPARATOR) + 1)
+}
+
+/**
+ * Every ancestor of a normalized tag, outermost first
+ * ("a/b/c" -> ["a", "a/b"])
+ * @param {string} tag
+ * @returns {string[]}
+ */
+export function getTagAncestors(tag) {
+    const levels = tag.split(TAG_SEPARATOR)
+    return levels.slice(0, -1).map((_, i) => levels.slice(0, i + 1).join(TAG_SEPARATOR))
+}
+
+/**
+ * Whether a normalized tag is `parent` itself or one of its descendants
+ * @param {string} tag
+ * @param {string} parent
+ * @returns {boolean}
+ */
+export function isTagWithin(tag, parent) {
+    return tag === parent || tag.startsWith(parent + TAG_SEPARATOR)
+}
+
+/**
+ * Summarize tags across crops: every tag in use or with details, plus their
+ * ancestors, most used first. `count` is the crops tagged with exactly this
+ * tag, `totalCount` the crops tagged with it or any descendant.
+ * @param {Object[]} crops
+ * @param {Array<{ name: string, color?: string | null, description?: string | null }>} details
+ * @returns {Array<{ name: string, parent: string | null, count: number, totalCount: number, color: string | null, description: string | null }>}
+ */
+export function summarizeTags(crops, details = []) {
+    const entries = new Map()
+    const getEntry = (name) => {
+        if (!entries.has(name)) {
+            entries.set(name, { name, parent: getParentTag(name), count: 0, totalCount: 0, color: null, description: null })
+            getTagAncestors(name).forEach(getEntry)
+        }
+        return entries.get(name)
+    }
+
+    for (const crop of crops) {
+        const tags = normalizeTags(crop.tags)
+        for (const tag of tags) getEntry(tag).count += 1
+
+        // A crop counts once towards each ancestor, however many of its tags share it
+        const within = new Set(tags.flatMap(tag => [tag, ...getTagAncestors(tag)]))
+        for (const tag of within) getEntry(tag).totalCount += 1
+    }
+
+    for (const { name, color, description } of details) {
+        Object.assign(getEntry(name), { color: color || null, description: description || null })
+    }
+
+    return [...entries.values()]
+        .sort((a, b) => b.totalCount - a.totalCount || a.name.localeCompare(b.name))
+}
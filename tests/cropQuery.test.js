@@ -0,0 +1,123 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+
+// Blob directories are resolved from the working directory when the modules
+// load, so they are imported once the test has moved into a scratch directory
+let previousDir;
+let parseCropQuery;
+let queryCrops;
+let crops;
+
+const CROPS = [
+    { id: 'a', imageId: 'img-1', projectId: 'default', tags: ['series/hero'], notes: 'Opening panel', createdAt: 100, updatedAt: 400 },
+    { id: 'b', imageId: 'img-1', projectId: 'default', tags: ['series'], notes: '', createdAt: 200, updatedAt: 300 },
+    { id: 'c', imageId: 'img-2', projectId: 'default', tags: ['series/villain', 'sky'], notes: 'Closing panel', createdAt: 300, updatedAt: 200 },
+    { id: 'd', imageId: 'img-2', projectId: 'default', tags: ['seriesx'], createdAt: 300, updatedAt: 100 },
+    { id: 'e', imageId: 'img-3', projectId: 'comics', tags: ['series/hero'], createdAt: 50, updatedAt: 50 }
+];
+
+beforeAll(async () => {
+    previousDir = process.cwd();
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'crop-query-')));
+    ({ parseCropQuery, queryCrops } = await import('@/lib/cropQuery'));
+    const storage = (await import('@/lib/storage')).getStorage('json');
+    for (const crop of CROPS) await storage.crops.put(crop);
+    crops = storage.crops;
+});
+
+afterAll(() => {
+    const scratchDir = process.cwd();
+    process.chdir(previousDir);
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+});
+
+function parse(query) {
+    return parseCropQuery(new URLSearchParams(query));
+}
+
+async function listIds(query, options = {}) {
+    const result = await queryCrops(crops, { ...parse(query), projectId: 'default', ...options });
+    return result.crops.map(crop => crop.id);
+}
+
+describe('parseCropQuery', () => {
+    it('defaults to every crop, oldest first', () => {
+        expect(parse('')).toEqual({
+            imageId: undefined,
+            tags: [],
+            q: undefined,
+            createdAfter: undefined,
+            sort: { field: 'createdAt', descending: false },
+            limit: undefined,
+            cursor: undefined,
+            fields: undefined,
+            includeImageData: false
+        });
+    });
+
+    it('normalizes tags and reads the other filters', () => {
+        const options = parse('tag=Series%20/%20Hero&tag=sky&q=%20panel%20&createdAfter=2024-01-01T00:00:00Z&sort=-updatedAt&fields=tags,%20notes');
+
+        expect(options.tags).toEqual(['series/hero', 'sky']);
+        expect(options.q).toBe('panel');
+        expect(options.createdAfter).toBe(Date.parse('2024-01-01T00:00:00Z'));
+        expect(options.sort).toEqual({ field: 'updatedAt', descending: true });
+        expect(options.fields).toEqual(['tags', 'notes']);
+    });
+
+    it('caps the page size', () => {
+        expect(parse('limit=10000').limit).toBe(500);
+    });
+
+    it.each([
+        ['sort=name', /^sort must be one of/],
+        ['limit=0', 'limit must be a positive integer'],
+        ['limit=2.5', 'limit must be a positive integer'],
+        ['createdAfter=yesterday', 'createdAfter must be a timestamp in milliseconds or an ISO date'],
+        ['cursor=not-a-cursor', 'Invalid cursor']
+    ])('rejects %s', (query, message) => {
+        expect(() => parse(query)).toThrow(expect.objectContaining({ code: 'EBADQUERY', message: expect.stringMatching(message) }));
+    });
+});
+
+describe('queryCrops', () => {
+    it('keeps to the project and image', async () => {
+        expect(await listIds('')).toEqual(['a', 'b', 'c', 'd']);
+        expect(await listIds('imageId=img-2')).toEqual(['c', 'd']);
+    });
+
+    it('matches a tag and its descendants, but not tags that only share a prefix', async () => {
+        expect(await listIds('tag=series')).toEqual(['a', 'b', 'c']);
+        expect(await listIds('tag=series/hero')).toEqual(['a']);
+        expect(await listIds('tag=series&tag=sky')).toEqual(['c']);
+    });
+
+    it('filters by notes and creation time', async () => {
+        expect(await listIds('q=PANEL')).toEqual(['a', 'c']);
+        expect(await listIds('createdAfter=200')).toEqual(['c', 'd']);
+    });
+
+    it('sorts by either timestamp, breaking ties by id', async () => {
+        expect(await listIds('sort=-createdAt')).toEqual(['d', 'c', 'b', 'a']);
+        expect(await listIds('sort=updatedAt')).toEqual(['d', 'c', 'b', 'a']);
+    });
+
+    it('pages with a cursor and counts every match', async () => {
+        const first = await queryCrops(crops, { ...parse('limit=3'), projectId: 'default' });
+        expect(first.crops.map(crop => crop.id)).toEqual(['a', 'b', 'c']);
+        expect(first.total).toBe(4);
+
+        const second = await queryCrops(crops, { ...parse(`limit=3&cursor=${first.nextCursor}`), projectId: 'default' });
+        expect(second.crops.map(crop => crop.id)).toEqual(['d']);
+        expect(second.total).toBe(4);
+        expect(second.nextCursor).toBeNull();
+    });
+
+    it('returns only the requested fields, with the id', async () => {
+        const result = await queryCrops(crops, { ...parse('imageId=img-1&fields=tags'), projectId: 'default' });
+
+        expect(result.crops).toEqual([{ id: 'a', tags: ['series/hero'] }, { id: 'b', tags: ['series'] }]);
+    });
+});
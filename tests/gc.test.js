@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const PNG = fs.readFileSync(path.join(import.meta.dirname, 'fixtures', 'images', 'photo.png'));
+
+// Past the grace period, so files written by the test count as orphans
+const LATER = Date.now() + 60 * 60 * 1000;
+
+// Blob directories are resolved from the working directory when the modules
+// load, so they are imported once the test has moved into a scratch directory
+let previousDir;
+let collectGarbage;
+let storage;
+
+beforeAll(async () => {
+    previousDir = process.cwd();
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'gc-')));
+    vi.spyOn(console, 'log').mockImplementation(() => { });
+    ({ collectGarbage } = await import('@/lib/gc'));
+    storage = (await import('@/lib/storage')).getStorage('json');
+});
+
+afterAll(() => {
+    const scratchDir = process.cwd();
+    process.chdir(previousDir);
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+});
+
+beforeEach(() => {
+    fs.rmSync(path.join(process.cwd(), 'data'), { recursive: true, force: true });
+    fs.rmSync(path.join(process.cwd(), 'public'), { recursive: true, force: true });
+});
+
+// Two images whose files are gone: img-used still has a crop placed on a
+// canvas, img-unused has nothing left
+async function seedMissingImages() {
+    await storage.images.put({ id: 'img-used', path: 'used.png', projectId: 'default' });
+    await storage.images.put({ id: 'img-unused', path: 'unused.png', projectId: 'default' });
+    await storage.crops.put({ id: 'crop-1', imageId: 'img-used', projectId: 'default', tags: [] });
+    await storage.canvases.put({ id: 'canvas-1', name: 'Page 1', projectId: 'default', placedItems: [{ cropId: 'crop-1' }] });
+}
+
+describe('collectGarbage', () => {
+    it('reports without changing anything in a dry run', async () => {
+        await seedMissingImages();
+        storage.blobs.write('images', 'orphan.png', PNG);
+
+        const report = await collectGarbage({ now: LATER });
+
+        expect(report.dryRun).toBe(true);
+        expect(report.orphanedFiles.images).toEqual([{ name: 'orphan.png', size: PNG.length }]);
+        expect(report.reclaimableBytes).toBe(PNG.length);
+        expect(report.missingFiles.images.map(entry => entry.imageId).sort()).toEqual(['img-unused', 'img-used']);
+        expect(storage.blobs.exists('images', 'orphan.png')).toBe(true);
+        expect(await storage.images.list()).toHaveLength(2);
+    });
+
+    it('keeps image records that crops or canvases still use', async () => {
+        await seedMissingImages();
+
+        const report = await collectGarbage({ dryRun: false, now: LATER });
+
+        const used = report.missingFiles.images.find(entry => entry.imageId === 'img-used');
+        expect(used.kept).toBe(true);
+        expect(used.dependents.crops).toEqual(['crop-1']);
+        expect(used.dependents.canvases).toEqual([{ canvasId: 'canvas-1', name: 'Page 1', placements: 1 }]);
+        expect(report.missingFiles.images.find(entry => entry.imageId === 'img-unused').kept).toBe(false);
+        expect((await storage.images.list()).map(image => image.id)).toEqual(['img-used']);
+    });
+
+    it('deletes orphaned files once they are past the grace period', async () => {
+        await storage.images.put({ id: 'img-1', path: 'kept.png', projectId: 'default' });
+        storage.blobs.write('images', 'kept.png', PNG);
+        storage.blobs.write('images', 'orphan.png', PNG);
+        storage.blobs.write('crops', 'orphan-crop.png', PNG);
+
+        const recent = await collectGarbage({ dryRun: false });
+        expect(recent.orphanedFiles.images).toEqual([]);
+        expect(storage.blobs.exists('images', 'orphan.png')).toBe(true);
+
+        await collectGarbage({ dryRun: false, now: LATER });
+        expect(storage.blobs.exists('images', 'orphan.png')).toBe(false);
+        expect(storage.blobs.exists('crops', 'orphan-crop.png')).toBe(false);
+        expect(storage.blobs.exists('images', 'kept.png')).toBe(true);
+    });
+
+    it('drops references to missing crop previews and exports', async () => {
+        await storage.crops.put({ id: 'crop-1', imageId: 'img-1', projectId: 'default', tags: [], imageDataPath: 'gone.png' });
+        await storage.canvases.put({
+            id: 'canvas-1',
+            projectId: 'default',
+            exports: [{ fileName: 'kept.png' }, { fileName: 'gone.png' }]
+        });
+        storage.blobs.write('exports', 'kept.png', PNG);
+
+        const report = await collectGarbage({ dryRun: false, now: LATER });
+
+        expect(report.missingFiles.crops).toEqual([{ cropId: 'crop-1', imageId: 'img-1', path: 'gone.png' }]);
+        expect(report.missingFiles.exports).toEqual([{ canvasId: 'canvas-1', path: 'gone.png' }]);
+        expect((await storage.crops.get('crop-1')).imageDataPath).toBeNull();
+        expect((await storage.canvases.get('canvas-1')).exports).toEqual([{ fileName: 'kept.png' }]);
+    });
+});
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+import { describe, expect, it } from 'vitest';
+import { readImageInfo } from '@/lib/imageFormat';
+
+const IMAGES_DIR = path.join(import.meta.dirname, 'fixtures', 'images');
+const PNG = fs.readFileSync(path.join(IMAGES_DIR, 'photo.png'));
+// 3x2 pixels stored, EXIF orientation 6 (rotate 90° clockwise to display)
+const JPEG = fs.readFileSync(path.join(IMAGES_DIR, 'rotated.jpg'));
+
+describe('readImageInfo', () => {
+    it('reads a PNG header', () => {
+        expect(readImageInfo(PNG)).toEqual({
+            format: 'png',
+            extension: 'png',
+            mimeType: 'image/png',
+            width: 3,
+            height: 2,
+            pixelWidth: 3,
+            pixelHeight: 2,
+            orientation: 1
+        });
+    });
+
+    it('reports a JPEG upright, with the stored size alongside', () => {
+        expect(readImageInfo(JPEG)).toEqual({
+            format: 'jpeg',
+            extension: 'jpg',
+            mimeType: 'image/jpeg',
+            width: 2,
+            height: 3,
+            pixelWidth: 3,
+            pixelHeight: 2,
+            orientation: 6
+        });
+    });
+
+    it('reads GIF and WebP sizes', () => {
+        const gif = Buffer.concat([Buffer.from('GIF89a'), Buffer.from([5, 0, 4, 0])]);
+        // Lossless WebP: 14-bit width - 1 and height - 1 after the signature byte
+        const bits = (7 - 1) | ((9 - 1) << 14);
+        const vp8l = Buffer.alloc(5);
+        vp8l[0] = 0x2f;
+        vp8l.writeUInt32LE(bits, 1);
+        const chunk = Buffer.concat([Buffer.from('VP8L'), Buffer.from([5, 0, 0, 0]), vp8l, Buffer.alloc(1)]);
+        const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBP'), chunk]);
+
+        expect(readImageInfo(gif)).toMatchObject({ format: 'gif', width: 5, height: 4 });
+        expect(readImageInfo(webp)).toMatchObject({ format: 'webp', width: 7, height: 9, orientation: 1 });
+    });
+
+    it('keeps the format when the header is cut short', () => {
+        expect(readImageInfo(PNG.subarray(0, 16))).toMatchObject({ format: 'png', width: null, height: null, orientation: 1 });
+        expect(readImageInfo(JPEG.subarray(0, 6))).toMatchObject({ format: 'jpeg', width: null, height: null });
+    });
+
+    it('returns null for other files', () => {
+        expect(readImageInfo(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+        expect(readImageInfo(Buffer.alloc(0))).toBeNull();
+    });
+});
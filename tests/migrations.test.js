@@ -0,0 +1,136 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Stored data as each schema version left it, in tests/fixtures. Every fixture
+// must migrate to the latest one (db-v9.json, imageDb-v5.json).
+const FIXTURES_DIR = path.join(import.meta.dirname, 'fixtures');
+const PNG = fs.readFileSync(path.join(FIXTURES_DIR, 'images', 'photo.png'));
+const JPEG = fs.readFileSync(path.join(FIXTURES_DIR, 'images', 'rotated.jpg'));
+
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+// Blob directories are resolved from the working directory when the modules
+// load, so they are imported once the test has moved into a scratch directory
+let dataDir;
+let previousDir;
+let migrations;
+let blobs;
+
+beforeAll(async () => {
+    previousDir = process.cwd();
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-')));
+    dataDir = path.join(process.cwd(), 'data');
+    vi.spyOn(console, 'log').mockImplementation(() => { });
+    migrations = await import('@/lib/migrations');
+    blobs = await import('@/lib/storage/blobStore');
+});
+
+afterAll(() => {
+    const scratchDir = process.cwd();
+    process.chdir(previousDir);
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+});
+
+beforeEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('db.json migrations', () => {
+    const latest = readFixture('db-v9.json');
+
+    it.each([0, 1, 2, 3, 4, 5, 6, 7, 8])('migrates a v%i store to the latest schema', (version) => {
+        const db = readFixture(`db-v${version}.json`);
+        const applied = migrations.runMigrations(db, migrations.DB_MIGRATIONS, 'db.json');
+
+        expect(applied).toEqual(Array.from({ length: 9 - version }, (_, i) => version + i + 1));
+        expect(db).toEqual(latest);
+    });
+
+    it('moves inline previews into the crops bucket', () => {
+        const db = readFixture('db-v1.json');
+        migrations.runMigrations(db, migrations.DB_MIGRATIONS, 'db.json');
+
+        expect(db.crops[0].imageData).toBeUndefined();
+        expect(blobs.readBlob('crops', '1700000000000.png')).toEqual(PNG);
+    });
+
+    it('normalizes tags the way v6 and v7 shipped', () => {
+        const db = readFixture('db-v5.json');
+        db.crops[1].tags = ['Series / Hero', 'SERIES /  hero ', 'a//b'];
+        migrations.runMigrations(db, migrations.DB_MIGRATIONS.slice(0, 6), 'db.json');
+        expect(db.crops[1].tags).toEqual(['series / hero', 'a//b']);
+
+        migrations.runMigrations(db, migrations.DB_MIGRATIONS, 'db.json');
+        expect(db.crops[1].tags).toEqual(['series/hero', 'a/b']);
+    });
+
+    it('puts existing records in the default project', () => {
+        const db = readFixture('db-v8.json');
+        db.collections.push({ id: 'col-1', name: 'Favorites', cropIds: ['legacy'] });
+        db.canvases.push({ id: 'c2', name: 'Page 2', projectId: 'comics' });
+        migrations.runMigrations(db, migrations.DB_MIGRATIONS, 'db.json');
+
+        expect(db.collections[0].projectId).toBe('default');
+        expect(db.canvases.map(canvas => canvas.projectId)).toEqual(['default', 'comics']);
+        expect(db.projects).toEqual([]);
+    });
+
+    it('leaves a store from a newer build alone', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const db = { ...readFixture('db-v9.json'), schemaVersion: 10 };
+
+        expect(migrations.runMigrations(db, migrations.DB_MIGRATIONS, 'db.json')).toEqual([]);
+        expect(db.schemaVersion).toBe(10);
+    });
+});
+
+describe('imageDb.json migrations', () => {
+    const latest = readFixture('imageDb-v5.json');
+
+    // img-3's file is missing on purpose: migrations keep what the record already has
+    function writeSourceFiles(db) {
+        for (const meta of Object.values(db.images)) {
+            if (meta.id === 'img-3') continue;
+            blobs.writeBlob('images', meta.path, meta.id === 'img-2' ? JPEG : PNG);
+        }
+    }
+
+    it.each([0, 1, 2, 3, 4])('migrates a v%i store to the latest schema', (version) => {
+        const db = readFixture(`imageDb-v${version}.json`);
+        writeSourceFiles(db);
+        const applied = migrations.runMigrations(db, migrations.IMAGE_DB_MIGRATIONS, 'imageDb.json');
+
+        expect(applied).toEqual(Array.from({ length: 5 - version }, (_, i) => version + i + 1));
+        expect(db).toEqual(latest);
+    });
+
+    it('copies source images to files named by their content hash', () => {
+        const db = readFixture('imageDb-v1.json');
+        writeSourceFiles(db);
+        migrations.runMigrations(db, migrations.IMAGE_DB_MIGRATIONS, 'imageDb.json');
+
+        expect(blobs.readBlob('images', db.images['img-1'].path)).toEqual(PNG);
+        expect(blobs.readBlob('images', db.images['img-2'].path)).toEqual(JPEG);
+        // The old files stay until garbage collection runs
+        expect(blobs.blobExists('images', 'img-1.png')).toBe(true);
+    });
+});
+
+describe('reading an older store', () => {
+    it('migrates db.json once and saves it', async () => {
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(path.join(dataDir, 'db.json'), JSON.stringify(readFixture('db-v1.json')));
+        const { getStorage } = await import('@/lib/storage');
+
+        const crops = await getStorage('json').crops.list();
+
+        expect(crops.map(crop => crop.projectId)).toEqual(['default', 'default']);
+        const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'db.json'), 'utf8'));
+        expect(saved).toEqual(readFixture('db-v9.json'));
+    });
+});
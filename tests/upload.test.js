@@ -0,0 +1,103 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+
+const PNG = fs.readFileSync(path.join(import.meta.dirname, 'fixtures', 'images', 'photo.png'));
+const MAX_BYTES = 1024;
+const UPLOAD_URL = 'http://localhost/api/images';
+
+// The size limit is read and blob directories are resolved when the modules
+// load, so they are imported once the test has set both up
+let previousDir;
+let readImageUpload;
+let getUploadErrorStatus;
+
+beforeAll(async () => {
+    previousDir = process.cwd();
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'upload-')));
+    process.env.VISTACROP_MAX_IMAGE_BYTES = String(MAX_BYTES);
+    ({ readImageUpload, getUploadErrorStatus } = await import('@/lib/upload'));
+});
+
+afterAll(() => {
+    const scratchDir = process.cwd();
+    process.chdir(previousDir);
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+    delete process.env.VISTACROP_MAX_IMAGE_BYTES;
+});
+
+function post(body, headers = {}, url = UPLOAD_URL) {
+    return new Request(url, { method: 'POST', body, headers });
+}
+
+function jsonPost(body) {
+    return post(JSON.stringify(body), { 'content-type': 'application/json' });
+}
+
+async function uploadError(request) {
+    const error = await readImageUpload(request).catch(e => e);
+    return { code: error.code, status: getUploadErrorStatus(error) };
+}
+
+describe('readImageUpload', () => {
+    it('reads a multipart file with its form fields', async () => {
+        const form = new FormData();
+        form.append('file', new Blob([PNG], { type: 'image/png' }), 'photo.png');
+        form.append('width', '3');
+        form.append('height', '2');
+
+        const { buffer, metadata } = await readImageUpload(post(form));
+
+        expect(buffer).toEqual(PNG);
+        expect(metadata).toEqual({ width: 3, height: 2, name: 'photo.png' });
+    });
+
+    it('accepts the file in an image field and prefers an explicit name', async () => {
+        const form = new FormData();
+        form.append('image', new Blob([PNG]));
+        form.append('name', '  Cover  ');
+
+        const { buffer, metadata } = await readImageUpload(post(form));
+
+        expect(buffer).toEqual(PNG);
+        expect(metadata.name).toBe('Cover');
+    });
+
+    it('reads a raw body, with metadata from the query string', async () => {
+        const request = post(PNG, { 'content-type': 'image/png' }, `${UPLOAD_URL}?width=3&height=-2&name=raw.png`);
+
+        const { buffer, metadata } = await readImageUpload(request);
+
+        expect(buffer).toEqual(PNG);
+        expect(metadata).toEqual({ width: 3, height: undefined, name: 'raw.png' });
+    });
+
+    it('decodes a base64 data URL from JSON', async () => {
+        const data = `data:image/png;base64,${PNG.toString('base64')}`;
+
+        const { buffer, metadata } = await readImageUpload(jsonPost({ data, width: 3, height: 2, name: 'legacy.png' }));
+
+        expect(buffer).toEqual(PNG);
+        expect(metadata).toEqual({ width: 3, height: 2, name: 'legacy.png' });
+    });
+
+    it('rejects bodies over the size limit with 413', async () => {
+        const large = Buffer.alloc(MAX_BYTES + 1);
+
+        expect(await uploadError(post(large, { 'content-type': 'image/png' }))).toEqual({ code: 'EIMAGETOOLARGE', status: 413 });
+    });
+
+    it.each([
+        ['a multipart body without a file', () => {
+            const form = new FormData();
+            form.append('name', 'nothing');
+            return post(form);
+        }],
+        ['malformed JSON', () => post('{', { 'content-type': 'application/json' })],
+        ['a JSON array', () => jsonPost([])],
+        ['JSON without a data URL', () => jsonPost({ data: 'not a data url' })]
+    ])('rejects %s with 400', async (_, createRequest) => {
+        expect(await uploadError(createRequest())).toEqual({ code: 'EINVALIDIMAGE', status: 400 });
+    });
+});
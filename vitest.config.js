@@ -0,0 +1,13 @@
+import path from 'path';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+    resolve: {
+        alias: { '@': path.join(import.meta.dirname, 'src') }
+    },
+    test: {
+        include: ['tests/**/*.test.js'],
+        // Tests move into scratch directories, which worker threads cannot do
+        pool: 'forks'
+    }
+});